@@ -0,0 +1,63 @@
+/**
+ * CRISISRESOURCES.JS - Crisis lines shown with the safety response
+ * A JSON file mapping locales ("en-US", "es", ...) and "default" to [{ name, contact }], read from the environment
+ *
+ *   CRISIS_RESOURCES_FILE  Path of the file (default config/crisis-resources.json)
+ *
+ * Check the numbers for every region you deploy to; they are shown to people in crisis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build the crisis resources config from environment variables
+ */
+function getCrisisResourcesConfig(env = process.env) {
+    return {
+        file: env.CRISIS_RESOURCES_FILE
+            ? path.resolve(env.CRISIS_RESOURCES_FILE)
+            : path.join(__dirname, 'crisis-resources.json')
+    };
+}
+
+/**
+ * Read and check the resources file; throws if it is invalid or has no default entry
+ */
+function loadCrisisResources({ file }) {
+    const resources = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!Array.isArray(resources.default) || resources.default.length === 0) {
+        throw new Error(`Crisis resources ${file}: a non-empty "default" list is required`);
+    }
+    Object.entries(resources).forEach(([locale, entries]) => {
+        const valid = Array.isArray(entries) && entries.every(entry => entry && entry.name && entry.contact);
+        if (!valid) {
+            throw new Error(`Crisis resources ${file}: "${locale}" must be a list of { name, contact }`);
+        }
+    });
+
+    return resources;
+}
+
+// Keyed by lower-case locale, browsers aren't consistent about the case of regions
+const crisisResources = new Map(
+    Object.entries(loadCrisisResources(getCrisisResourcesConfig())).map(([locale, entries]) => [locale.toLowerCase(), entries])
+);
+
+/**
+ * Resources for a locale: 'es-MX' -> 'es-MX', else 'es', else the default list
+ */
+function getCrisisResources(locale) {
+    const tag = locale ? String(locale).toLowerCase() : null;
+    if (tag && crisisResources.has(tag)) return crisisResources.get(tag);
+
+    const language = tag ? tag.split('-')[0] : null;
+    return (language && crisisResources.get(language)) || crisisResources.get('default');
+}
+
+module.exports = {
+    getCrisisResources,
+    getCrisisResourcesConfig,
+    loadCrisisResources
+};
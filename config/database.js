@@ -1,48 +1,58 @@
-// Import required classes from the pg module
-const { Pool, Client } = require('pg');
-
-// Create a new client instance using environment variables
-// Note: We use the destructured 'Client' here instead of 'pg.Client'
-const db = new Client({
-  user: process.env.PG_USER,
-  host: process.env.PG_HOST,
-  database: process.env.PG_DATABASE,
-  password: process.env.PG_PASSWORD,
-  port: process.env.PG_PORT,
-});
-
-// Connect to the database
-db.connect()
-  .then(() => console.log('Connected to PostgreSQL database'))
-  .catch(err => console.error('Connection error', err.stack));
+/**
+ * DATABASE.JS - Storage configuration
+ * Reads the driver settings from the environment and exposes one shared store
+ *
+ * DB_CLIENT selects the driver:
+ *   postgres - PG_HOST, PG_PORT, PG_USER, PG_PASSWORD, PG_DATABASE
+ *   mysql    - MYSQL_HOST, MYSQL_PORT, MYSQL_USER, MYSQL_PASSWORD, MYSQL_DATABASE
+ *   file     - DB_FILE (default data/companion.json, ':memory:' to skip writing)
+ * Without DB_CLIENT, postgres is used when PG_HOST is set and the file driver otherwise.
+ * Message text is encrypted with the keys from config/encryption.js.
+ */
 
-// Initialize a pool for the query function to use
-const pool = new Pool({
-  user: process.env.PG_USER,
-  host: process.env.PG_HOST,
-  database: process.env.PG_DATABASE,
-  password: process.env.PG_PASSWORD,
-  port: process.env.PG_PORT,
-});
+const path = require('path');
+const { createStore } = require('../server/storage');
+const { getEncryptionConfig } = require('./encryption');
+const { FieldCipher } = require('../utils/encryption');
 
 /**
- * Helper function to execute queries using the connection pool
- * @param {string} sql - The SQL query string
- * @param {Array} params - Array of parameters for the query
- * @returns {Promise<Array>} - The result rows
+ * Build the storage config from environment variables
  */
-async function query(sql, params) {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(sql, params);
-    return result.rows;
-  } finally {
-    // Always release the client back to the pool
-    client.release();
-  }
+function getDatabaseConfig(env = process.env) {
+    const client = env.DB_CLIENT || (env.PG_HOST ? 'postgres' : 'file');
+
+    switch (client) {
+        case 'postgres':
+            return {
+                client,
+                host: env.PG_HOST,
+                port: env.PG_PORT,
+                user: env.PG_USER,
+                password: env.PG_PASSWORD,
+                database: env.PG_DATABASE
+            };
+        case 'mysql':
+            return {
+                client,
+                host: env.MYSQL_HOST,
+                port: env.MYSQL_PORT ? parseInt(env.MYSQL_PORT, 10) : 3306,
+                user: env.MYSQL_USER,
+                password: env.MYSQL_PASSWORD,
+                database: env.MYSQL_DATABASE
+            };
+        default:
+            return {
+                client,
+                filename: env.DB_FILE === ':memory:'
+                    ? ':memory:'
+                    : path.resolve(__dirname, '..', env.DB_FILE || 'data/companion.json')
+            };
+    }
 }
 
+const store = createStore(getDatabaseConfig(), { cipher: new FieldCipher(getEncryptionConfig()) });
+
 module.exports = {
-  db,
-  query
-};
\ No newline at end of file
+    store,
+    getDatabaseConfig
+};
@@ -0,0 +1,49 @@
+/**
+ * ENCRYPTION.JS - Master keys for the encrypted text columns
+ * Read from the environment (see utils/encryption.js for the storage format)
+ *
+ *   ENCRYPTION_KEYS        Comma separated "<id>:<key>" pairs, each key 32 bytes as base64 or hex,
+ *                          e.g. "2024b:BASE64...,2024a:BASE64..." (generate one with `npm run reencrypt -- --generate-key`)
+ *   ENCRYPTION_ACTIVE_KEY  Id of the key new values are encrypted with (default the first listed)
+ *
+ * To rotate: add the new key, make it active, run `npm run reencrypt`, then drop the old key.
+ * Without ENCRYPTION_KEYS messages and replies are stored unencrypted.
+ */
+
+const { KEY_LENGTH } = require('../utils/encryption');
+
+function decodeKey(id, value) {
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`Encryption key "${id}" must be ${KEY_LENGTH} bytes (base64 or hex)`);
+    }
+    return key;
+}
+
+/**
+ * Build the cipher options from environment variables
+ * @returns {Object} - { keys: Map<id, Buffer>, activeKeyId }
+ */
+function getEncryptionConfig(env = process.env) {
+    const keys = new Map();
+
+    (env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator);
+        if (separator < 1 || !/^[\w.-]+$/.test(id)) {
+            throw new Error('ENCRYPTION_KEYS entries must look like "<id>:<key>"');
+        }
+        keys.set(id, decodeKey(id, entry.slice(separator + 1)));
+    });
+
+    const activeKeyId = env.ENCRYPTION_ACTIVE_KEY || keys.keys().next().value || null;
+    if (activeKeyId && !keys.has(activeKeyId)) {
+        throw new Error(`ENCRYPTION_ACTIVE_KEY "${activeKeyId}" is not listed in ENCRYPTION_KEYS`);
+    }
+
+    return { keys, activeKeyId };
+}
+
+module.exports = {
+    getEncryptionConfig
+};
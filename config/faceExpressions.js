@@ -0,0 +1,37 @@
+/**
+ * FACEEXPRESSIONS.JS - How face-api.js expressions map to the app's emotions
+ * Overrides of the default mapping (see DEFAULT_EXPRESSION_MAPPING in shared/emotion.js), read from the environment
+ *
+ *   FACE_EXPRESSION_MAPPING  JSON object of expression -> emotion or { emotion: weight },
+ *                            e.g. {"surprised":"neutral","disgusted":{"angry":3,"sad":1}}
+ *
+ * The server re-labels single face frames from their expressions with it (labelFace() in controllers/emotionController.js),
+ * and the browser loads it (/face-expressions.json) for the live label and the composition window.
+ */
+
+const TextEmotionAnalyzer = require('../shared/emotion');
+
+/**
+ * Build the face expression config from environment variables
+ */
+function getFaceExpressionConfig(env = process.env) {
+    let overrides = {};
+    if (env.FACE_EXPRESSION_MAPPING) {
+        try {
+            overrides = JSON.parse(env.FACE_EXPRESSION_MAPPING);
+        } catch (error) {
+            throw new Error(`FACE_EXPRESSION_MAPPING is not valid JSON: ${error.message}`);
+        }
+    }
+
+    return {
+        mapping: TextEmotionAnalyzer.compileExpressionMapping(overrides)
+    };
+}
+
+const { mapping: expressionMapping } = getFaceExpressionConfig();
+
+module.exports = {
+    expressionMapping,
+    getFaceExpressionConfig
+};
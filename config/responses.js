@@ -0,0 +1,47 @@
+/**
+ * RESPONSES.JS - Reply provider settings
+ * Which provider writes the companion's replies (see server/providers), read from the environment
+ *
+ *   RESPONSE_PROVIDER        template (default) or openai
+ *   RESPONSE_CONTEXT_TURNS   Earlier turns of the session handed to the provider (default 6)
+ *
+ * For the openai provider (any OpenAI-compatible chat completions API, e.g. a local llama.cpp or ollama server):
+ *   LLM_BASE_URL      API root (default https://api.openai.com/v1, ollama: http://localhost:11434/v1)
+ *   LLM_API_KEY       Sent as a bearer token when set
+ *   LLM_MODEL         Model name (default gpt-4o-mini)
+ *   LLM_TIMEOUT_MS    Give up and answer from the templates when the whole reply takes longer (default 10000)
+ *   LLM_TEMPERATURE   Sampling temperature (default 0.7)
+ *   LLM_MAX_TOKENS    Reply length limit (default 300)
+ */
+
+const { RESPONSE_PROVIDERS } = require('../server/providers');
+
+function number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Build the provider config from environment variables
+ */
+function getResponseConfig(env = process.env) {
+    const provider = env.RESPONSE_PROVIDER || 'template';
+    if (!RESPONSE_PROVIDERS.includes(provider)) {
+        throw new Error(`Unknown RESPONSE_PROVIDER "${provider}" (expected ${RESPONSE_PROVIDERS.join(' or ')})`);
+    }
+
+    return {
+        provider,
+        contextTurns: Math.floor(number(env.RESPONSE_CONTEXT_TURNS, 6)),
+        baseUrl: (env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+        apiKey: env.LLM_API_KEY || null,
+        model: env.LLM_MODEL || 'gpt-4o-mini',
+        timeoutMs: number(env.LLM_TIMEOUT_MS, 10000),
+        temperature: number(env.LLM_TEMPERATURE, 0.7),
+        maxTokens: Math.floor(number(env.LLM_MAX_TOKENS, 300))
+    };
+}
+
+module.exports = {
+    getResponseConfig
+};
@@ -0,0 +1,34 @@
+/**
+ * RETENTION.JS - Data retention policy
+ * How long each kind of data is kept, read from the environment (days; empty or 0 = keep forever)
+ *
+ *   RETENTION_TEXT_DAYS      Blank the raw message and reply text after this many days,
+ *                            the emotion rows (anonymised counts) stay for analytics
+ *   RETENTION_EMOTION_DAYS   Delete conversations and their emotions entirely after this many days
+ *   RETENTION_TRASH_DAYS     Permanently delete trashed conversations / sessions after this many days (default 30)
+ *   RETENTION_PURGE_INTERVAL_MINUTES  How often the purge job runs (default 60, 0 disables it)
+ */
+
+function days(value, fallback = null) {
+    if (value === undefined || value === '') return fallback;
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Build the retention policy from environment variables
+ */
+function getRetentionConfig(env = process.env) {
+    const interval = env.RETENTION_PURGE_INTERVAL_MINUTES;
+
+    return {
+        textDays: days(env.RETENTION_TEXT_DAYS),
+        emotionDays: days(env.RETENTION_EMOTION_DAYS),
+        trashDays: days(env.RETENTION_TRASH_DAYS, 30),
+        purgeIntervalMinutes: interval === undefined || interval === '' ? 60 : Math.max(parseInt(interval, 10) || 0, 0)
+    };
+}
+
+module.exports = {
+    getRetentionConfig
+};
@@ -0,0 +1,35 @@
+/**
+ * TEMPLATES.JS - Response template packs
+ * Where the companion's phrases are loaded from (see server/templates), read from the environment
+ *
+ *   TEMPLATE_DIR         Directory of <locale>.json packs (default templates/)
+ *   TEMPLATE_LOCALE      Locale used when the user's isn't available, and for anything a pack leaves out (default en)
+ *   TEMPLATE_HOT_RELOAD  Reload packs when their files change (default true, "false" to disable)
+ */
+
+const path = require('path');
+const { TemplateLibrary } = require('../server/templates');
+
+/**
+ * Build the template config from environment variables
+ */
+function getTemplateConfig(env = process.env) {
+    return {
+        dir: path.resolve(__dirname, '..', env.TEMPLATE_DIR || 'templates'),
+        defaultLocale: env.TEMPLATE_LOCALE || 'en',
+        hotReload: env.TEMPLATE_HOT_RELOAD !== 'false'
+    };
+}
+
+const templateConfig = getTemplateConfig();
+const templates = new TemplateLibrary(templateConfig);
+
+templates.load();
+if (templateConfig.hotReload) {
+    templates.watch();
+}
+
+module.exports = {
+    templates,
+    getTemplateConfig
+};
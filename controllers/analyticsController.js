@@ -0,0 +1,253 @@
+/**
+ * ANALYTICS CONTROLLER - Emotion rollups over time
+ * Buckets stored emotion rows by hour, day, week (ISO, Monday start) or month
+ * in the user's time zone and counts face emotions, text emotions and mismatches,
+ * averaging face and text valence / arousal.
+ */
+
+const {
+    getZonedParts,
+    zonedStartOf,
+    toLocalDate,
+    addDays,
+    isoWeekday,
+    formatDate
+} = require('../utils/timezone');
+const taxonomy = require('../shared/taxonomy');
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+const DIMENSIONS = ['valence', 'arousal'];
+
+// Longest range (in days) one request may cover, per granularity
+const MAX_RANGE_DAYS = {
+    hour: 31,
+    day: 366,
+    week: 366 * 2,
+    month: 366 * 10
+};
+
+/**
+ * Fill in a missing range and widen it to whole weeks / months
+ *
+ * @param {Object} options - { granularity, from?, to?, timeZone }
+ * @returns {Object} - { from, to } as local 'YYYY-MM-DD' dates, both inclusive
+ */
+function resolveRange({ granularity, from, to, timeZone }) {
+    let end = to || toLocalDate(new Date(), timeZone);
+    let start = from || defaultFrom(end, granularity);
+
+    if (granularity === 'week') {
+        start = addDays(start, -isoWeekday(start));
+        end = addDays(end, 6 - isoWeekday(end));
+    } else if (granularity === 'month') {
+        start = `${start.slice(0, 7)}-01`;
+        end = addDays(nextMonth(end), -1);
+    }
+
+    return { from: start, to: end };
+}
+
+function defaultFrom(to, granularity) {
+    switch (granularity) {
+        case 'hour': return to;
+        case 'week': return addDays(to, -7 * 11);
+        case 'month': return `${shiftMonth(to, -11)}-01`;
+        default: return addDays(to, -6);
+    }
+}
+
+/**
+ * Number of local days in a resolved range
+ */
+function countDays(range) {
+    return Math.round((Date.parse(range.to) - Date.parse(range.from)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Bucket keys covering a resolved range, oldest first
+ */
+function listPeriods(range, granularity) {
+    const periods = [];
+
+    for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+        if (granularity === 'hour') {
+            for (let hour = 0; hour < 24; hour++) {
+                periods.push(hourKey(date, hour));
+            }
+            continue;
+        }
+
+        const key = periodKey(date, granularity);
+        if (periods[periods.length - 1] !== key) periods.push(key);
+    }
+
+    return periods;
+}
+
+/**
+ * Aggregate emotion rows into buckets
+ *
+ * @param {Array} rows - emotion rows with face_emotion, text_emotion, mismatch, created_at
+ *                      and optionally face_valence, face_arousal, text_valence, text_arousal
+ * @param {Object} options - { granularity, range, timeZone }
+ * @returns {Object} - { buckets: [{ period, start, face, text, dimensions, mismatches, total }], totals }
+ *                     dimensions: { face: { valence, arousal }, text: { valence, arousal } } means, null without data
+ */
+function buildAnalytics(rows, { granularity, range, timeZone }) {
+    const buckets = new Map();
+    for (const period of listPeriods(range, granularity)) {
+        buckets.set(period, emptyBucket(period, periodStart(period, granularity, timeZone)));
+    }
+
+    const totals = emptyBucket();
+
+    for (const row of rows) {
+        const bucket = buckets.get(rowPeriod(new Date(row.created_at), granularity, timeZone));
+        if (!bucket) continue;
+
+        addRow(bucket, row);
+        addRow(totals, row);
+    }
+
+    delete totals.period;
+    delete totals.start;
+
+    return {
+        buckets: Array.from(buckets.values()).map(averageDimensions),
+        totals: averageDimensions(totals)
+    };
+}
+
+/**
+ * Day buckets built one row at a time, for callers streaming rows they don't keep (e.g. exports)
+ * Rows must arrive oldest first; only days with rows get a bucket.
+ *
+ * @param {string} timeZone - Zone the days are counted in
+ * @returns {Object} - { add(row), buckets() }, buckets() shaped as buildAnalytics' day buckets
+ */
+function createDailyTally(timeZone) {
+    const buckets = new Map();
+
+    return {
+        add(row) {
+            const period = rowPeriod(new Date(row.created_at), 'day', timeZone);
+            if (!buckets.has(period)) {
+                buckets.set(period, emptyBucket(period, periodStart(period, 'day', timeZone)));
+            }
+            addRow(buckets.get(period), row);
+        },
+
+        buckets() {
+            return Array.from(buckets.values()).map(averageDimensions);
+        }
+    };
+}
+
+// ========== HELPERS ==========
+
+function emptyBucket(period, start) {
+    // Every emotion is reported, even at zero, so clients get a stable shape
+    const zeroes = () => taxonomy.each(0);
+    return {
+        period,
+        start: start ? start.toISOString() : undefined,
+        face: zeroes(),
+        text: zeroes(),
+        // Running sums until averageDimensions
+        dimensions: {
+            face: { valence: 0, arousal: 0, count: 0 },
+            text: { valence: 0, arousal: 0, count: 0 }
+        },
+        mismatches: 0,
+        total: 0
+    };
+}
+
+function addRow(bucket, row) {
+    bucket.total++;
+    count(bucket.text, row.text_emotion);
+    count(bucket.face, row.face_emotion);
+    addDimensions(bucket.dimensions, row);
+    if (row.mismatch) bucket.mismatches++;
+}
+
+function count(counts, emotion) {
+    if (emotion) counts[emotion] = (counts[emotion] || 0) + 1;
+}
+
+function addDimensions(sums, row) {
+    for (const source of ['face', 'text']) {
+        const [valence, arousal] = DIMENSIONS.map(name => row[`${source}_${name}`]);
+        if (typeof valence !== 'number' || typeof arousal !== 'number') continue;
+
+        sums[source].valence += valence;
+        sums[source].arousal += arousal;
+        sums[source].count++;
+    }
+}
+
+function averageDimensions(bucket) {
+    const average = ({ valence, arousal, count }) => (count > 0
+        ? { valence: round(valence / count), arousal: round(arousal / count) }
+        : null);
+
+    return {
+        ...bucket,
+        dimensions: {
+            face: average(bucket.dimensions.face),
+            text: average(bucket.dimensions.text)
+        }
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function rowPeriod(date, granularity, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const localDate = formatDate(p.year, p.month, p.day);
+    return granularity === 'hour' ? hourKey(localDate, p.hour) : periodKey(localDate, granularity);
+}
+
+function periodKey(localDate, granularity) {
+    switch (granularity) {
+        case 'week': return addDays(localDate, -isoWeekday(localDate));
+        case 'month': return localDate.slice(0, 7);
+        default: return localDate;
+    }
+}
+
+function hourKey(localDate, hour) {
+    return `${localDate}T${String(hour).padStart(2, '0')}:00`;
+}
+
+function periodStart(period, granularity, timeZone) {
+    if (granularity === 'hour') {
+        return zonedStartOf(period.slice(0, 10), timeZone, parseInt(period.slice(11, 13), 10));
+    }
+    return zonedStartOf(granularity === 'month' ? `${period}-01` : period, timeZone);
+}
+
+/**
+ * 'YYYY-MM' of the month `offset` months away from a local date
+ */
+function shiftMonth(localDate, offset) {
+    const [year, month] = localDate.split('-').map(Number);
+    const index = year * 12 + (month - 1) + offset;
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+function nextMonth(localDate) {
+    return `${shiftMonth(localDate, 1)}-01`;
+}
+
+module.exports = {
+    GRANULARITIES,
+    MAX_RANGE_DAYS,
+    resolveRange,
+    countDays,
+    buildAnalytics,
+    createDailyTally
+};
@@ -1,17 +1,166 @@
 /**
  * EMOTION CONTROLLER - Emotion Analysis Logic
- * Compares face emotion vs text emotion and detects inconsistencies
+ * Compares face emotion vs text emotion and detects inconsistencies,
+ * by label and, when both carry them, by distance on the valence/arousal plane.
+ * The face can be a single frame or a window summarising every frame while the message was written.
  */
 
+const TextEmotionAnalyzer = require('../shared/emotion');
+const taxonomy = require('../shared/taxonomy');
+const { templates } = require('../config/templates');
+const { expressionMapping } = require('../config/faceExpressions');
+const {
+    detectEmotionalPattern,
+    calculateEmotionalVolatility,
+    suggestIntervention,
+    generateEmotionalInsight
+} = require('../utils/emotionComparator');
+
+const textAnalyzer = new TextEmotionAnalyzer();
+
+// Face and text closer than this on the valence/arousal plane count as aligned even with different labels
+const ALIGNED_DISTANCE = 0.35;
+
+// Emotions in the words at least this strong (share of the text's scores) besides the main one;
+// a face showing one of them agrees with part of what was said
+const SECONDARY_INTENSITY = 0.3;
+
+// Face and text this far apart, with the face less pleasant than the words, are a concerning mismatch
+const CONCERNING_DISTANCE = 0.8;
+
+// A negative face emotion peaking this high (0-100) while writing pleasant or neutral words
+// is judged against them, even when it didn't dominate the window
+const PEAK_CONFIDENCE = 60;
+
+/**
+ * Analyze the user's text on the server
+ * A textEmotion posted by the client is only checked against this result, never trusted
+ * 
+ * @param {string} userText - User's message
+ * @param {Object} [claimedEmotion] - textEmotion sent by the client, if any
+ * @param {string} [language] - The user's preferred language (see shared/lexicons), null to detect it
+ * @returns {Object} - { textEmotion, clientMatched } (clientMatched is null when nothing was claimed)
+ */
+function analyzeText(userText, claimedEmotion, language) {
+    const textEmotion = textAnalyzer.analyze(userText, { language });
+    
+    return {
+        textEmotion,
+        clientMatched: claimedEmotion ? claimedEmotion.emotion === textEmotion.emotion : null
+    };
+}
+
+/**
+ * A single face frame labelled on the server: the strongest emotion of its face-api.js expressions
+ * under the configured mapping (see config/faceExpressions.js), with that probability as confidence,
+ * and valence/arousal computed from the expressions too, so they always belong to the server's label.
+ * Frames without expressions keep the client's label and dimensions.
+ * 
+ * @param {Object} [faceEmotion] - { emotion, confidence, expressions?, valence?, arousal? } sent by the client
+ * @returns {Object|null} - faceEmotion with emotion, confidence, valence and arousal re-derived from its expressions
+ */
+function labelFace(faceEmotion) {
+    if (!faceEmotion) {
+        return null;
+    }
+    
+    const derived = faceOfExpressions(faceEmotion.expressions);
+    return derived ? { ...faceEmotion, ...derived } : faceEmotion;
+}
+
+/**
+ * The face emotion of a composition window, derived on the server like a single frame (see labelFace()):
+ * from the window's mean expressions, else from its emotion distribution, with the share of the window
+ * as confidence. The client's dominant emotion and dimensions are only used when the window has neither.
+ * 
+ * @param {Object} faceWindow - { facePresence, dominant, distribution, expressions?, peaks, valence?, arousal? }
+ * @returns {Object|null} - { emotion, confidence, facePresence, expressions?, valence?, arousal? }, null when no face was seen
+ */
+function faceEmotionFromWindow(faceWindow) {
+    if (!faceWindow.dominant || faceWindow.facePresence === 0) {
+        return null;
+    }
+    
+    const faceEmotion = {
+        emotion: faceWindow.dominant.emotion,
+        confidence: Math.round(faceWindow.dominant.share * 100),
+        facePresence: faceWindow.facePresence
+    };
+    if (faceWindow.expressions) {
+        faceEmotion.expressions = faceWindow.expressions;
+    }
+    if (typeof faceWindow.valence === 'number' && typeof faceWindow.arousal === 'number') {
+        faceEmotion.valence = faceWindow.valence;
+        faceEmotion.arousal = faceWindow.arousal;
+    }
+    
+    const derived = faceOfExpressions(faceWindow.expressions) || faceOfDistribution(faceWindow.distribution);
+    return derived ? { ...faceEmotion, ...derived } : faceEmotion;
+}
+
+/**
+ * { emotion, confidence, valence, arousal } of face-api.js expression probabilities, null without any
+ */
+function faceOfExpressions(expressions) {
+    if (!expressions) return null;
+    
+    const strongest = strongestEmotion(TextEmotionAnalyzer.emotionsOfExpressions(expressions, expressionMapping));
+    return strongest && { ...strongest, ...TextEmotionAnalyzer.dimensionsOfExpressions(expressions) };
+}
+
+/**
+ * { emotion, confidence, valence, arousal } of a window's { <emotion>: share }, null without any
+ */
+function faceOfDistribution(distribution) {
+    const strongest = strongestEmotion(distribution || {});
+    if (!strongest) return null;
+    
+    const entries = Object.entries(distribution).filter(([emotion, share]) => taxonomy.EMOTIONS[emotion] && share > 0);
+    const total = entries.reduce((sum, [, share]) => sum + share, 0);
+    const mean = dimension => Math.round(entries.reduce((sum, [emotion, share]) =>
+        sum + taxonomy.EMOTIONS[emotion][dimension] * share, 0) / total * 100) / 100;
+    
+    return { ...strongest, valence: mean('valence'), arousal: mean('arousal') };
+}
+
+/**
+ * { emotion, confidence } of the most probable emotion, null when none is above 0
+ */
+function strongestEmotion(probabilities) {
+    const [emotion, probability] = Object.entries(probabilities)
+        .reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0]);
+    return emotion ? { emotion, confidence: Math.round(Math.min(probability, 1) * 100) } : null;
+}
+
+/**
+ * Strongest negative face peak of a window worth judging against pleasant or neutral words
+ * (see PEAK_CONFIDENCE), null when the dominant face is already negative or nothing peaked
+ */
+function getHiddenPeak(faceWindow, faceEmotion, textEmotion) {
+    if (taxonomy.isNegative(faceEmotion.emotion) || taxonomy.isNegative(textEmotion.emotion)) {
+        return null;
+    }
+    
+    return (faceWindow.peaks || []).find(peak =>
+        taxonomy.isNegative(peak.emotion) && peak.confidence >= PEAK_CONFIDENCE) || null;
+}
+
 /**
  * Compare face emotion with text emotion
  * Detects when someone is hiding their true feelings
+ * With valence/arousal on both sides the labels only decide when the points are close or far apart:
+ * an angry face over anxious words is near agreement, a sad face over happy words is not.
+ * A face matching a secondary emotion of mixed words ("excited but terrified" with a fearful face) agrees too.
+ * With a composition window, a strong negative peak behind pleasant words is judged in place of the
+ * dominant face (by label only, the window's valence/arousal belong to the dominant emotion).
  * 
- * @param {Object} faceEmotion - { emotion, confidence }
- * @param {Object} textEmotion - { emotion, confidence, isDismissive }
- * @returns {Object} - Analysis result with mismatch detection
+ * @param {Object} faceEmotion - { emotion, confidence, valence?, arousal? } (see faceEmotionFromWindow() for windows)
+ * @param {Object} textEmotion - { emotion, confidence, isDismissive, emotions?, mixed?, valence?, arousal? }
+ * @param {Object} [faceWindow] - the composition window faceEmotion came from
+ * @returns {Object} - Analysis result with mismatch detection; distance is null without valence/arousal,
+ *                     faceWindow { facePresence, peaks, fromPeak } is added when judged over a window
  */
-function compareEmotions(faceEmotion, textEmotion) {
+function compareEmotions(faceEmotion, textEmotion, faceWindow) {
     // If no face emotion detected, rely on text
     if (!faceEmotion) {
         return {
@@ -23,40 +172,45 @@ function compareEmotions(faceEmotion, textEmotion) {
         };
     }
     
+    let window;
+    if (faceWindow) {
+        const peak = getHiddenPeak(faceWindow, faceEmotion, textEmotion);
+        if (peak) {
+            faceEmotion = { emotion: peak.emotion, confidence: peak.confidence };
+        }
+        window = { facePresence: faceWindow.facePresence, peaks: faceWindow.peaks || [], fromPeak: Boolean(peak) };
+    }
+    
     const face = faceEmotion.emotion;
     const text = textEmotion.emotion;
+    const distance = TextEmotionAnalyzer.dimensionalDistance(faceEmotion, textEmotion);
+    const secondaryEmotions = getSecondaryEmotions(textEmotion);
     
     // Perfect match - emotions align
-    if (face === text) {
+    if (face === text || secondaryEmotions.includes(face) || (distance !== null && distance < ALIGNED_DISTANCE)) {
         return {
             match: true,
             mismatch: false,
             primaryEmotion: face,
             confidence: Math.min(faceEmotion.confidence, textEmotion.confidence),
-            note: 'Emotions are aligned'
+            secondaryEmotions,
+            distance,
+            faceWindow: window,
+            note: face === text
+                ? 'Emotions are aligned'
+                : secondaryEmotions.includes(face)
+                    ? 'Face matches a secondary emotion in the words'
+                    : 'Emotions are close in valence and arousal'
         };
     }
     
-    // Detect concerning mismatches
-    const concerningMismatches = {
-        // User says they're fine/neutral but looks sad
-        'sad-neutral': true,
-        'sad-happy': true,
-        
-        // User says they're fine but looks angry
-        'angry-neutral': true,
-        'angry-happy': true,
-        
-        // Other emotional conflicts
-        'sad-angry': true,
-        'angry-sad': true
-    };
-    
-    const mismatchKey = `${face}-${text}`;
-    const isConcerning = concerningMismatches[mismatchKey] || false;
+    // Detect concerning mismatches (the pairs are listed in shared/taxonomy.js)
+    const isConcerning = distance !== null
+        ? distance >= CONCERNING_DISTANCE && faceEmotion.valence < textEmotion.valence
+        : taxonomy.mismatch(face, text).concerning;
     
-    // Check if user is being dismissive (saying "I'm fine" type phrases)
-    const isHidingFeelings = textEmotion.isDismissive && (face === 'sad' || face === 'angry');
+    // Check if user is being dismissive (saying "I'm fine" type phrases) over a negative face
+    const isHidingFeelings = textEmotion.isDismissive && taxonomy.isNegative(face);
     
     return {
         match: false,
@@ -69,31 +223,35 @@ function compareEmotions(faceEmotion, textEmotion) {
         textConfidence: textEmotion.confidence,
         primaryEmotion: face, // Trust face more than words
         isDismissive: textEmotion.isDismissive,
-        severity: calculateMismatchSeverity(face, text, faceEmotion.confidence)
+        mixed: Boolean(textEmotion.mixed),
+        secondaryEmotions,
+        distance,
+        faceWindow: window,
+        severity: calculateMismatchSeverity(face, text, faceEmotion.confidence, distance !== null
+            ? { distance, faceValence: faceEmotion.valence, textValence: textEmotion.valence }
+            : undefined)
     };
 }
 
+/**
+ * The text's other strong emotions, strongest first (see SECONDARY_INTENSITY)
+ */
+function getSecondaryEmotions(textEmotion) {
+    return (textEmotion.emotions || [])
+        .filter(entry => entry.emotion !== textEmotion.emotion && entry.intensity >= SECONDARY_INTENSITY)
+        .map(entry => entry.emotion);
+}
+
 /**
  * Calculate how severe the emotion mismatch is
  * Higher severity = more concerning
+ * With dimensions ({ distance, faceValence, textValence }) it grows with the distance between face and text,
+ * more so when the face is less pleasant than the words; otherwise it comes from the label pair (shared/taxonomy.js).
  */
-function calculateMismatchSeverity(faceEmotion, textEmotion, faceConfidence) {
-    // Base severity scores
-    const severityMatrix = {
-        'sad-happy': 9,      // Very concerning - pretending to be happy
-        'sad-neutral': 7,    // Concerning - hiding sadness
-        'angry-happy': 9,    // Very concerning - pretending to be happy
-        'angry-neutral': 7,  // Concerning - suppressing anger
-        'sad-angry': 5,      // Mixed emotions
-        'angry-sad': 5,      // Mixed emotions
-        'neutral-sad': 3,    // Mild concern
-        'neutral-angry': 3,  // Mild concern
-        'happy-sad': 6,      // Unusual - needs attention
-        'happy-angry': 6     // Unusual - needs attention
-    };
-    
-    const key = `${faceEmotion}-${textEmotion}`;
-    let severity = severityMatrix[key] || 2;
+function calculateMismatchSeverity(faceEmotion, textEmotion, faceConfidence, dimensions) {
+    let severity = dimensions
+        ? Math.max(1, Math.round(dimensions.distance * 4) + (dimensions.faceValence < dimensions.textValence ? 2 : 0))
+        : taxonomy.mismatch(faceEmotion, textEmotion).severity;
     
     // Increase severity if face detection is very confident
     if (faceConfidence > 80) {
@@ -105,41 +263,25 @@ function calculateMismatchSeverity(faceEmotion, textEmotion, faceConfidence) {
 
 /**
  * Get empathetic insight about the emotion state
+ * Concern and suggestion come from the template pack's insights, keyed "<face>-<text>"
  */
-function getEmotionInsight(emotionAnalysis) {
+function getEmotionInsight(emotionAnalysis, locale) {
     if (!emotionAnalysis.mismatch) {
         return null;
     }
     
-    const { faceEmotion, textEmotion, hidingFeelings, severity } = emotionAnalysis;
-    
-    const insights = {
-        'sad-neutral': {
-            concern: "I sense you might be feeling sadder than you're letting on.",
-            suggestion: "It's okay to acknowledge difficult feelings."
-        },
-        'sad-happy': {
-            concern: "Your words sound positive, but I notice some sadness in your expression.",
-            suggestion: "Sometimes it helps to be honest about how we really feel."
-        },
-        'angry-neutral': {
-            concern: "I can see some frustration even though you're staying calm with your words.",
-            suggestion: "It's healthy to express what's bothering you."
-        },
-        'angry-happy': {
-            concern: "You're being positive with your words, but I sense some underlying frustration.",
-            suggestion: "You don't have to hide your anger. I'm here to listen."
-        },
-        'sad-angry': {
-            concern: "You seem to be experiencing mixed emotions - both sadness and frustration.",
-            suggestion: "These complex feelings are valid and understandable."
-        }
-    };
+    const { faceEmotion, textEmotion } = emotionAnalysis;
     
-    const key = `${faceEmotion}-${textEmotion}`;
-    return insights[key] || {
-        concern: `I notice your expression shows ${faceEmotion} while your words seem ${textEmotion}.`,
-        suggestion: "How are you really feeling?"
+    const insights = templates.lookup(locale, ['insights']) || {};
+    const insight = insights[`${faceEmotion}-${textEmotion}`] || insights.default;
+    if (!insight) {
+        return null;
+    }
+    
+    const vars = { faceEmotion, textEmotion };
+    return {
+        concern: templates.render(locale, insight.concern, vars),
+        suggestion: templates.render(locale, insight.suggestion, vars)
     };
 }
 
@@ -182,9 +324,52 @@ function getResponseStrategy(emotionAnalysis) {
     };
 }
 
+/**
+ * Pattern, trend, volatility and suggested interventions for a run of stored emotions
+ * 
+ * @param {Array} emotionHistory - emotion rows, oldest first
+ * @returns {Object} - { pattern, dominancePercentage, trend, concern, emotionBreakdown, volatility, interventions, narrative, timeline }
+ *                     timeline: [{ createdAt, face: { valence, arousal } | null, text: { valence, arousal } | null }] for plotting
+ */
+function buildInsights(emotionHistory) {
+    const pattern = detectEmotionalPattern(emotionHistory);
+    const volatility = calculateEmotionalVolatility(emotionHistory);
+    
+    return {
+        pattern: pattern.pattern,
+        dominancePercentage: pattern.dominancePercentage || 0,
+        trend: pattern.trend,
+        concern: pattern.concern,
+        emotionBreakdown: pattern.emotionBreakdown || null,
+        volatility,
+        interventions: pattern.pattern === 'insufficient_data' ? [] : suggestIntervention(pattern, volatility),
+        narrative: pattern.pattern === 'insufficient_data'
+            ? "Not enough data to generate insights yet."
+            : generateEmotionalInsight(emotionHistory),
+        timeline: emotionHistory.map(row => ({
+            createdAt: row.created_at,
+            face: dimensionsOf(row, 'face'),
+            text: dimensionsOf(row, 'text')
+        }))
+    };
+}
+
+/**
+ * A stored row's face or text valence and arousal, null when not measured
+ */
+function dimensionsOf(row, source) {
+    const valence = row[`${source}_valence`];
+    const arousal = row[`${source}_arousal`];
+    return typeof valence === 'number' && typeof arousal === 'number' ? { valence, arousal } : null;
+}
+
 module.exports = {
+    analyzeText,
+    buildInsights,
     compareEmotions,
+    faceEmotionFromWindow,
     getEmotionInsight,
     getResponseStrategy,
-    calculateMismatchSeverity
+    calculateMismatchSeverity,
+    labelFace
 };
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * EXPORT CONTROLLER - Archive formats for a user's history
+ * Each format is a serializer the route feeds one record at a time, so archives can be streamed:
+ *   start(meta) -> conversation(turn) for every turn -> summaries(dailySummaries) -> end()
+ */
+
+const { names: EMOTIONS } = require('../shared/taxonomy');
+const { DEFAULT_EXPRESSION_MAPPING } = require('../shared/emotion');
+
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+// face-api.js's seven expressions, one CSV column each
+const FACE_EXPRESSIONS = Object.keys(DEFAULT_EXPRESSION_MAPPING);
+
+// One CSV header for both record types; cells that don't apply stay empty
+const CSV_COLUMNS = [
+    'record_type',
+    'conversation_id',
+    'session_id',
+    'source',
+    'created_at',
+    'user_text',
+    'ai_response',
+    'face_emotion',
+    'confidence_face',
+    'text_emotion',
+    'confidence_text',
+    'face_valence',
+    'face_arousal',
+    'text_valence',
+    'text_arousal',
+    ...FACE_EXPRESSIONS.map(expression => `expression_${expression}`),
+    'mismatch',
+    'date',
+    ...EMOTIONS.map(emotion => `text_${emotion}`),
+    ...EMOTIONS.map(emotion => `face_${emotion}`),
+    'mismatches',
+    'total'
+];
+
+/**
+ * Flatten a history row into the exported turn shape
+ */
+function formatTurn(row) {
+    return {
+        conversationId: row.id,
+        sessionId: row.session_id || null,
+        source: row.source || 'chat',
+        createdAt: row.created_at,
+        userText: row.user_text,
+        aiResponse: row.ai_response,
+        faceEmotion: row.face_emotion,
+        confidenceFace: row.confidence_face,
+        textEmotion: row.text_emotion,
+        confidenceText: row.confidence_text,
+        faceValence: row.face_valence,
+        faceArousal: row.face_arousal,
+        textValence: row.text_valence,
+        textArousal: row.text_arousal,
+        faceExpressions: row.face_expressions || null,
+        mismatch: row.mismatch
+    };
+}
+
+/**
+ * Flatten an analytics day bucket into the exported summary shape
+ */
+function formatSummary(bucket) {
+    return {
+        date: bucket.period,
+        text: bucket.text,
+        face: bucket.face,
+        dimensions: bucket.dimensions,
+        mismatches: bucket.mismatches,
+        total: bucket.total
+    };
+}
+
+const SERIALIZERS = {
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        create() {
+            let first = true;
+            return {
+                start: meta => `{"export":${JSON.stringify(meta)},"conversations":[`,
+                conversation(turn) {
+                    const prefix = first ? '' : ',';
+                    first = false;
+                    return prefix + JSON.stringify(formatTurn(turn));
+                },
+                summaries: buckets => `],"dailySummaries":${JSON.stringify(buckets.map(formatSummary))}`,
+                end: () => '}\n'
+            };
+        }
+    },
+
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        create() {
+            const line = (type, data) => JSON.stringify({ type, ...data }) + '\n';
+            return {
+                start: meta => line('export', meta),
+                conversation: turn => line('conversation', formatTurn(turn)),
+                summaries: buckets => buckets.map(bucket => line('daily_summary', formatSummary(bucket))).join(''),
+                end: () => ''
+            };
+        }
+    },
+
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        create() {
+            return {
+                start: () => csvRow(CSV_COLUMNS),
+                conversation(row) {
+                    const turn = formatTurn(row);
+                    return csvRecord({
+                        record_type: 'conversation',
+                        conversation_id: turn.conversationId,
+                        session_id: turn.sessionId,
+                        source: turn.source,
+                        created_at: turn.createdAt,
+                        user_text: turn.userText,
+                        ai_response: turn.aiResponse,
+                        face_emotion: turn.faceEmotion,
+                        confidence_face: turn.confidenceFace,
+                        text_emotion: turn.textEmotion,
+                        confidence_text: turn.confidenceText,
+                        face_valence: turn.faceValence,
+                        face_arousal: turn.faceArousal,
+                        text_valence: turn.textValence,
+                        text_arousal: turn.textArousal,
+                        ...expressionCells(turn.faceExpressions),
+                        mismatch: turn.mismatch
+                    });
+                },
+                summaries: buckets => buckets.map(bucket => {
+                    const record = { record_type: 'daily_summary', date: bucket.period };
+                    EMOTIONS.forEach(emotion => {
+                        record[`text_${emotion}`] = bucket.text[emotion];
+                        record[`face_${emotion}`] = bucket.face[emotion];
+                    });
+                    // The day's mean valence and arousal
+                    ['face', 'text'].forEach(source => {
+                        const dimensions = bucket.dimensions[source];
+                        record[`${source}_valence`] = dimensions ? dimensions.valence : null;
+                        record[`${source}_arousal`] = dimensions ? dimensions.arousal : null;
+                    });
+                    record.mismatches = bucket.mismatches;
+                    record.total = bucket.total;
+                    return csvRecord(record);
+                }).join(''),
+                end: () => ''
+            };
+        }
+    }
+};
+
+/**
+ * @param {string} format - one of EXPORT_FORMATS
+ * @returns {Object} - { contentType, extension, serializer }
+ */
+function createSerializer(format) {
+    const definition = SERIALIZERS[format];
+    return {
+        contentType: definition.contentType,
+        extension: definition.extension,
+        serializer: definition.create()
+    };
+}
+
+// ========== CSV HELPERS ==========
+
+/**
+ * expression_<name> cells of a turn's face expressions, empty without them
+ */
+function expressionCells(expressions) {
+    return Object.fromEntries(FACE_EXPRESSIONS.map(expression => (
+        [`expression_${expression}`, expressions ? expressions[expression] : null]
+    )));
+}
+
+function csvRecord(record) {
+    return csvRow(CSV_COLUMNS.map(column => record[column]));
+}
+
+function csvRow(values) {
+    return values.map(csvCell).join(',') + '\r\n';
+}
+
+/**
+ * Quote per RFC 4180 and defuse spreadsheet formulas (=, +, -, @ at the start of user text)
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    createSerializer
+};
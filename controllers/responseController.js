@@ -1,9 +1,19 @@
 /**
  * RESPONSE CONTROLLER - AI Response Generation
- * Generates empathetic, human-like responses based on emotion analysis
+ * Generates empathetic, human-like responses based on emotion analysis.
+ * The phrases themselves live in the template packs (templates/<locale>.json).
  */
 
 const emotionController = require('./emotionController');
+const { templates } = require('../config/templates');
+const taxonomy = require('../shared/taxonomy');
+
+// Stand-in when a reply is generated without any session history
+const NO_CONVERSATION = { recentReplies: [] };
+
+// Severity added for each earlier turn the same hidden emotion showed through, and the most it can reach
+const ESCALATION_STEP = 1;
+const MAX_ESCALATED_SEVERITY = 10;
 
 /**
  * Generate empathetic AI response
@@ -12,208 +22,226 @@ const emotionController = require('./emotionController');
  * @param {Object} textEmotion - Detected text emotion
  * @param {Object} faceEmotion - Detected face emotion
  * @param {Object} emotionAnalysis - Result from compareEmotions
+ * @param {string} locale - Template pack locale (default the configured one)
+ * @param {Array} recentTurns - Earlier turns of the session, oldest first: [{ aiResponse, emotion, faceEmotion, mismatch }]
  * @returns {string} - AI response
  */
-function generateResponse(userText, textEmotion, faceEmotion, emotionAnalysis) {
-    // Get response strategy
+function generateResponse(userText, textEmotion, faceEmotion, emotionAnalysis, locale, recentTurns = []) {
+    const conversation = summarizeConversation(recentTurns, emotionAnalysis);
+    const emotion = emotionAnalysis.primaryEmotion;
+    
+    // Get response strategy; the longer a hidden emotion persists, the more direct the wording
     const strategy = emotionController.getResponseStrategy(emotionAnalysis);
+    if (conversation.hiddenStreak > 0 && strategy.severity !== undefined) {
+        strategy.severity = Math.min(strategy.severity + conversation.hiddenStreak * ESCALATION_STEP, MAX_ESCALATED_SEVERITY);
+    }
     
     // Handle different scenarios
+    let response;
     if (emotionAnalysis.hidingFeelings) {
-        return generateDismissiveResponse(userText, faceEmotion, textEmotion, strategy);
+        response = generateDismissiveResponse(userText, faceEmotion, textEmotion, strategy, locale, conversation);
+    } else if (emotionAnalysis.concerningMismatch) {
+        response = generateMismatchResponse(userText, emotionAnalysis, strategy, locale, conversation);
+    } else if (conversation.emotionStreak % 2 === 1) {
+        // Every other turn on the same feeling, dig deeper instead of starting over
+        response = `${pickLine(locale, 'continuations', emotion, conversation)} ${generateFollowUpQuestion(emotion, locale, conversation)}`;
+    } else {
+        // Normal aligned response
+        response = generateAlignedResponse(userText, emotion, strategy, locale, conversation);
+        if (taxonomy.isNegative(emotion)) {
+            response = addSupportiveClosure(response, emotion, locale, conversation);
+        }
     }
     
-    if (emotionAnalysis.concerningMismatch) {
-        return generateMismatchResponse(userText, emotionAnalysis, strategy);
-    }
+    // Open with what changed since the last turn: a hidden feeling that persists, or a shift in mood
+    const opener = conversation.hiddenStreak > 0
+        ? pickLine(locale, 'escalations', emotionAnalysis.faceEmotion, conversation)
+        : describeShift(conversation.previousEmotion, emotion, locale, conversation);
+    
+    return opener ? `${opener} ${response}` : response;
+}
+
+/**
+ * What the recent turns say about this one
+ * @returns {Object} - { recentReplies, previousEmotion, emotionStreak, hiddenStreak }
+ *   emotionStreak: earlier turns in a row with the same primary emotion as now
+ *   hiddenStreak: earlier turns in a row where the face showed the emotion the words are hiding now
+ */
+function summarizeConversation(recentTurns, emotionAnalysis) {
+    const turns = recentTurns.slice().reverse();
+    const hidden = emotionAnalysis.hidingFeelings || emotionAnalysis.concerningMismatch
+        ? emotionAnalysis.faceEmotion
+        : null;
+    
+    const streak = matches => {
+        const index = turns.findIndex(turn => !matches(turn));
+        return index === -1 ? turns.length : index;
+    };
     
-    // Normal aligned response
-    return generateAlignedResponse(userText, emotionAnalysis.primaryEmotion, strategy);
+    return {
+        recentReplies: recentTurns.map(turn => turn.aiResponse).filter(Boolean),
+        previousEmotion: turns.length > 0 ? primaryEmotionOf(turns[0]) : null,
+        emotionStreak: streak(turn => primaryEmotionOf(turn) === emotionAnalysis.primaryEmotion),
+        hiddenStreak: hidden ? streak(turn => Boolean(turn.mismatch) && turn.faceEmotion === hidden) : 0
+    };
+}
+
+/**
+ * Primary emotion of a stored turn, trusting the face over the words as compareEmotions does
+ */
+function primaryEmotionOf(turn) {
+    return turn.mismatch && turn.faceEmotion ? turn.faceEmotion : turn.emotion;
 }
 
 /**
- * Response when user is being dismissive ("I'm fine" but looks sad/angry)
+ * "You seemed sad earlier, and now a bit lighter." - only for shifts the template pack has a line for
  */
-function generateDismissiveResponse(userText, faceEmotion, textEmotion, strategy) {
+function describeShift(previousEmotion, emotion, locale, conversation) {
+    if (!previousEmotion || previousEmotion === emotion) return null;
+    
+    const shifts = templates.lookup(locale, ['shifts']) || {};
+    const lines = shifts[`${previousEmotion}-${emotion}`] || shifts.default;
+    const line = templates.choose(lines, conversation.recentReplies);
+    
+    return line ? templates.render(locale, line, { previousEmotion, primaryEmotion: emotion }) : null;
+}
+
+/**
+ * One line from a pack section keyed by emotion (falling back to "default")
+ */
+function pickLine(locale, section, emotion, conversation) {
+    const lines = templates.lookup(locale, [section]) || {};
+    const line = templates.choose(lines[emotion] || lines.default, conversation.recentReplies);
+    return line ? templates.render(locale, line, { primaryEmotion: emotion }, conversation.recentReplies) : '';
+}
+
+/**
+ * Response when user is being dismissive ("I'm fine" but the face shows a negative emotion)
+ */
+function generateDismissiveResponse(userText, faceEmotion, textEmotion, strategy, locale, conversation = NO_CONVERSATION) {
     if (!faceEmotion) {
-        return generateAlignedResponse(userText, textEmotion.emotion, strategy);
+        return generateAlignedResponse(userText, textEmotion.emotion, strategy, locale, conversation);
     }
     
-    const dismissiveResponses = {
-        sad: [
-            "I hear you saying you're okay, but I can't help but notice you seem a bit down. It's completely fine to not be fine, you know. Would you like to talk about what's really going on?",
-            "You mentioned you're fine, but something in your expression tells me you might be carrying some sadness. I'm here if you want to share what's weighing on you. 💙",
-            "I sense there might be more to how you're feeling than just 'fine.' Sometimes it's hard to open up, but I promise it's safe here. What's really on your mind?",
-            "It's okay to admit when things aren't going well. I notice you might be feeling sadder than you're letting on. Want to talk about it?"
-        ],
-        angry: [
-            "I can see you're keeping things calm with your words, but I sense some frustration underneath. It's healthy to express what's bothering you - I'm here to listen without judgment.",
-            "You say you're fine, but I notice some tension. If something's making you angry or frustrated, it's totally valid to feel that way. What's going on?",
-            "I hear 'fine,' but your expression suggests you might be more upset than that. Sometimes we try to keep it together, but it's okay to let it out. I'm listening.",
-            "It seems like something might be frustrating you even though you're staying composed. Would you like to talk about what's really bothering you?"
-        ],
-        anxious: [
-            "You're saying things are okay, but I sense some worry or nervousness. Anxiety can be tough to admit. What's making you feel uneasy?",
-            "I notice you might be more worried than you're expressing. It's okay to feel anxious - want to share what's on your mind?",
-            "Sometimes 'fine' really means 'I'm stressed but trying to keep it together.' I'm here if you need to talk about what's worrying you."
-        ]
-    };
+    const responses = templates.templatesFor(locale, ['responses', strategy.type], {
+        severity: strategy.severity,
+        keys: [faceEmotion.emotion, 'default', ...taxonomy.negative]
+    });
     
-    const responses = dismissiveResponses[faceEmotion.emotion] || dismissiveResponses.sad;
-    return selectRandomResponse(responses);
+    return templates.render(locale, selectRandomResponse(responses, conversation.recentReplies), {
+        faceEmotion: faceEmotion.emotion,
+        textEmotion: textEmotion.emotion,
+        faceConfidence: faceEmotion.confidence,
+        textConfidence: textEmotion.confidence,
+        severity: strategy.severity
+    }, conversation.recentReplies);
 }
 
 /**
  * Response when there's a concerning emotion mismatch
  */
-function generateMismatchResponse(userText, emotionAnalysis, strategy) {
-    const insight = emotionController.getEmotionInsight(emotionAnalysis);
+function generateMismatchResponse(userText, emotionAnalysis, strategy, locale, conversation = NO_CONVERSATION) {
+    const insight = emotionController.getEmotionInsight(emotionAnalysis, locale);
     
     if (!insight) {
-        return generateAlignedResponse(userText, emotionAnalysis.primaryEmotion, strategy);
+        return generateAlignedResponse(userText, emotionAnalysis.primaryEmotion, strategy, locale, conversation);
     }
     
-    // Combine concern with suggestion
-    const empathyPhrases = [
-        "I want you to know",
-        "I'm noticing that",
-        "It seems to me that",
-        "I can see that"
-    ];
-    
-    const transitionPhrases = [
-        "How are you really feeling right now?",
-        "What's going on for you?",
-        "Would you like to share what you're experiencing?",
-        "Can you tell me more about what's happening?",
-        "I'm here to listen - what's really on your mind?"
-    ];
-    
-    const empathy = selectRandomResponse(empathyPhrases);
-    const transition = selectRandomResponse(transitionPhrases);
-    
-    // High severity - more direct
-    if (strategy.severity >= 7) {
-        return `${empathy} ${insight.concern.toLowerCase()} ${insight.suggestion} ${transition}`;
-    }
+    // Severity band picks the register: direct for high severity, gentle otherwise
+    const responses = templates.templatesFor(locale, ['responses', strategy.type], {
+        severity: strategy.severity,
+        keys: [emotionAnalysis.faceEmotion, 'default']
+    });
     
-    // Medium severity - gentle
-    return `${insight.concern} ${insight.suggestion} ${transition}`;
+    return templates.render(locale, selectRandomResponse(responses, conversation.recentReplies), {
+        concern: insight.concern,
+        suggestion: insight.suggestion,
+        faceEmotion: emotionAnalysis.faceEmotion,
+        textEmotion: emotionAnalysis.textEmotion,
+        faceConfidence: emotionAnalysis.faceConfidence,
+        textConfidence: emotionAnalysis.textConfidence,
+        severity: strategy.severity
+    }, conversation.recentReplies);
 }
 
 /**
  * Response when emotions are aligned (face matches text)
+ * Strategies without templates of their own (e.g. mild_mismatch) use the aligned ones
  */
-function generateAlignedResponse(userText, emotion, strategy) {
-    const responses = {
-        happy: [
-            "That's wonderful to hear! 😊 I'm so glad you're feeling happy. What's bringing you joy today?",
-            "Your happiness is contagious! 🌟 I love hearing about the good things in your life. Tell me more!",
-            "I'm really happy for you! It's great to see you in such good spirits. What's been going well?",
-            "That's fantastic! Your positive energy really shows. What's making you smile today?",
-            "Yay! It's so nice to see you happy. Keep that positive momentum going! What's contributing to this good mood?"
-        ],
-        sad: [
-            "I'm really sorry you're feeling this way. 💙 Your feelings are completely valid. Would you like to talk about what's making you sad?",
-            "Thank you for sharing that with me. It takes courage to be vulnerable. I'm here for you. What's been weighing on your heart?",
-            "I can hear the sadness in your words, and I want you to know that it's okay to feel this way. What's going on that's making you feel down?",
-            "Your feelings matter, and I'm here to listen without judgment. Sometimes just talking helps. What's troubling you?",
-            "I'm sorry you're going through a difficult time. You don't have to face this alone. Want to share what's hurting?"
-        ],
-        angry: [
-            "I can understand why you'd feel frustrated. Your anger is valid - something clearly isn't right. What happened that upset you?",
-            "It sounds like something really got under your skin. It's healthy to acknowledge anger. What's making you feel this way?",
-            "You have every right to feel angry when things aren't fair or right. I'm listening - what's frustrating you?",
-            "I hear your frustration, and it's completely understandable. Sometimes we need to vent. What's triggering these feelings?",
-            "Thank you for being honest about your anger. Let's talk through what's bothering you. What happened?"
-        ],
-        anxious: [
-            "Anxiety can be really overwhelming. I'm sorry you're feeling this way. What's causing you to feel worried or stressed?",
-            "It's okay to feel anxious - these feelings are valid and real. Would you like to talk about what's making you nervous?",
-            "I understand that anxious feeling. Sometimes it helps to voice our worries. What's on your mind?",
-            "Stress and worry can be so draining. You're not alone in this. What's been making you feel anxious?",
-            "Thank you for sharing your anxiety with me. Let's work through this together. What are you most concerned about?"
-        ],
-        neutral: [
-            "I'm here with you. How are things really going?",
-            "Thanks for sharing. What's on your mind today?",
-            "I'm listening. Is there anything specific you'd like to talk about?",
-            "How can I support you today? What would be helpful to discuss?",
-            "I hear you. Want to tell me more about what's happening?"
-        ]
-    };
+function generateAlignedResponse(userText, emotion, strategy, locale, conversation = NO_CONVERSATION) {
+    const keys = [emotion, 'default', taxonomy.FALLBACK];
+    let responses = templates.templatesFor(locale, ['responses', strategy.type], { severity: strategy.severity, keys });
+    if (responses.length === 0) {
+        responses = templates.templatesFor(locale, ['responses', 'aligned'], { keys });
+    }
     
-    const emotionResponses = responses[emotion] || responses.neutral;
-    return selectRandomResponse(emotionResponses);
+    return templates.render(locale, selectRandomResponse(responses, conversation.recentReplies), { primaryEmotion: emotion }, conversation.recentReplies);
 }
 
 /**
  * Generate follow-up questions based on emotion
  */
-function generateFollowUpQuestion(emotion) {
-    const followUps = {
-        happy: [
-            "What's the best part of your day so far?",
-            "How long have you been feeling this way?",
-            "Is there anything you want to celebrate?"
-        ],
-        sad: [
-            "How long have you been feeling this way?",
-            "Is there someone you can talk to about this?",
-            "What would help you feel a little better right now?"
-        ],
-        angry: [
-            "What triggered this feeling?",
-            "Have you been able to express this to the person or situation involved?",
-            "What would make you feel heard or validated?"
-        ],
-        anxious: [
-            "What's the main thing worrying you?",
-            "Have you tried anything to help with the anxiety?",
-            "Is this a new feeling or has it been building up?"
-        ],
-        neutral: [
-            "What's been on your mind lately?",
-            "Is there anything you'd like to talk through?",
-            "How has your week been?"
-        ]
-    };
-    
-    const questions = followUps[emotion] || followUps.neutral;
-    return selectRandomResponse(questions);
+function generateFollowUpQuestion(emotion, locale, conversation = NO_CONVERSATION) {
+    const followUps = templates.lookup(locale, ['followUps']) || {};
+    const questions = followUps[emotion] || followUps[taxonomy.FALLBACK] || [];
+    return templates.render(locale, selectRandomResponse(questions, conversation.recentReplies), { primaryEmotion: emotion });
 }
 
 /**
- * Helper: Select random response from array
+ * Helper: Select a random response, skipping ones used in the recent replies when possible
  */
-function selectRandomResponse(responses) {
-    return responses[Math.floor(Math.random() * responses.length)];
+function selectRandomResponse(responses, recentReplies = []) {
+    return templates.choose(responses, recentReplies) || '';
 }
 
 /**
  * Add validation and supportive closing
+ * Emotions with an empty closure list in the pack (happy, neutral) get none
  */
-function addSupportiveClosure(response, emotion) {
-    const closures = [
-        "I'm here for you. 💙",
-        "You're not alone in this.",
-        "Take your time - I'm listening.",
-        "Your feelings are important.",
-        "Thank you for trusting me with this."
-    ];
-    
-    // For sad/angry/anxious, add supportive closure
-    if (['sad', 'angry', 'anxious'].includes(emotion)) {
-        return response + " " + selectRandomResponse(closures);
+function addSupportiveClosure(response, emotion, locale, conversation = NO_CONVERSATION) {
+    const closures = templates.lookup(locale, ['closures']) || {};
+    const lines = closures[emotion] || closures.default || [];
+    
+    if (lines.length > 0) {
+        return response + " " + templates.render(locale, selectRandomResponse(lines, conversation.recentReplies), { primaryEmotion: emotion });
     }
     
     return response;
 }
 
+/**
+ * Safety protocol reply for a high or imminent risk, listing the crisis resources.
+ * The wording is fixed in the pack's "safety" section; no provider ever writes it.
+ *
+ * @param {Object} risk - Result from riskController.assessRisk
+ * @param {string} locale - Template pack locale
+ * @param {Array} resources - [{ name, contact }] from config/crisisResources.js
+ * @returns {string} - Safety response
+ */
+function generateSafetyResponse(risk, locale, resources) {
+    const lines = templates.lookup(locale, ['safety', risk.level]) || templates.lookup(locale, ['safety', 'high']);
+    const resourceTemplate = templates.lookup(locale, ['safety', 'resource']) || '{name}: {contact}';
+    const list = resources
+        .map(resource => templates.render(locale, resourceTemplate, resource))
+        .join(templates.lookup(locale, ['safety', 'separator']) || '; ');
+    
+    return templates.render(locale, selectRandomResponse(lines), { resources: list });
+}
+
+/**
+ * Short check-in on the user's safety, added to the normal reply when the risk is elevated
+ */
+function generateSafetyCheckIn(locale, recentReplies = []) {
+    return selectRandomResponse(templates.lookup(locale, ['safety', 'checkIn']), recentReplies);
+}
+
 module.exports = {
     generateResponse,
+    generateSafetyResponse,
+    generateSafetyCheckIn,
     generateFollowUpQuestion,
+    addSupportiveClosure,
     generateAlignedResponse,
     generateMismatchResponse,
     generateDismissiveResponse
-};
\ No newline at end of file
+};
@@ -0,0 +1,442 @@
+/**
+ * RISK CONTROLLER - Crisis and self-harm risk detection
+ * Looks for suicidal ideation, self-harm and hopelessness language in the user's text, in every language
+ * with a lexicon (shared/lexicons), then weighs it against the session (earlier risky turns) and the longer emotional pattern.
+ *
+ * Levels, lowest to highest:
+ *   none      - nothing found
+ *   elevated  - hopelessness, or ideation that was negated ("I would never kill myself"); normal reply plus a check-in
+ *   high      - suicidal ideation or self-harm; the reply is replaced by the safety response
+ *   imminent  - a plan, means, timing or a goodbye; safety response urging immediate help
+ * Anything from elevated up is stored as a risk flag for review (see scripts/riskAudit.js).
+ * Regression cases: npm run check:risk (scripts/fixtures/risk.json).
+ */
+
+const TextTokenizer = require('../shared/tokenizer');
+const { LEXICONS } = require('../shared/lexicons');
+const taxonomy = require('../shared/taxonomy');
+const { detectEmotionalPattern } = require('../utils/emotionComparator');
+
+const RISK_LEVELS = ['none', 'elevated', 'high', 'imminent'];
+
+// Levels whose reply is replaced by the safety protocol
+const SAFETY_LEVELS = ['high', 'imminent'];
+
+/**
+ * Pattern for a phrase bounded by non-letters, for scripts and accented letters \b doesn't know
+ */
+function phrase(source) {
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${source})(?![\\p{L}\\p{M}\\p{N}])`, 'u');
+}
+
+/**
+ * Pattern for two phrases within 40 characters of each other, in either order ("tonight ... kill myself")
+ */
+function nearby(first, second) {
+    return phrase(`(?:${first}).{0,40}(?:${second})|(?:${second}).{0,40}(?:${first})`);
+}
+
+// Phrases in each lexicon's language (see shared/lexicons). Every message is checked against all of them,
+// since people switch language mid-sentence. Only English can use \b: it doesn't see letters outside ASCII,
+// so the other languages are bounded by phrase(). Patterns see contractions written out ("dont", "don't" ->
+// "do not", see textFor()). The bare word for suicide is only elevated ("suicide prevention week"); it takes
+// a first-person or intent context to be high.
+const RISK_PATTERNS = {
+    en: [
+        {
+            category: 'plan',
+            level: 'imminent',
+            patterns: [
+                /\b(going|gonna|about|planning|plan|decided) to (kill myself|end (it all|my life)|take my (own )?life)\b/,
+                /\b(tonight|today|right now|this weekend)\b.{0,40}\b(kill myself|end (it all|my life)|commit suicide)\b/,
+                /\b(kill myself|end (it all|my life)|commit suicide)\b.{0,40}\b(tonight|today|right now|this weekend)\b/,
+                /\b(suicide|goodbye) (note|letter)\b/,
+                /\b(saved up|stockpiled|bought|got|have) (enough |the )?(pills|a gun|a rope)\b.{0,40}\b(end|die|kill)\b/,
+                /\b(this is|saying) (my )?(final|last) goodbye\b|\bgoodbye (forever|everyone|world)\b/
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'high',
+            patterns: [
+                /\b(kill|killing) myself\b/,
+                /\b(i am|feel|feeling|felt|been|getting) (so |really |very |kind of |a bit )?suicidal\b/,
+                /\bsuicidal (thoughts|feelings|urges)\b/,
+                /\b(commit|committing|attempt|attempting|think about|thinking about|thinking of|considering) suicide\b/,
+                /\b(want|wish|ready) to die\b|\bwanna die\b/,
+                /\bwish i (was|were) (dead|never born)\b/,
+                /\bend(ing)? (my life|it all)\b/,
+                /\btake my (own )?life\b/,
+                /\bdo not want to (be alive|live|exist|be here) anymore\b/,
+                /\b(everyone|they|world)( would be| is)? better off (dead|without me)\b|\bbetter off dead\b/,
+                /\bno reason to (live|go on|be alive)\b/,
+                /\b(life is )?not worth living\b/
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'elevated',
+            patterns: [
+                /\bsuicid(e|al)\b/
+            ]
+        },
+        {
+            category: 'self_harm',
+            level: 'high',
+            patterns: [
+                /\b(cut|cutting|burn|burning|hurt|hurting|harm|harming|starve|starving) myself\b/,
+                /\bself[- ]?harm(ing)?\b/
+            ]
+        },
+        {
+            category: 'hopelessness',
+            level: 'elevated',
+            patterns: [
+                /\bhopeless\b/,
+                /\bworthless\b/,
+                /\bcan not (go on|take (it|this) anymore|do this anymore)\b/,
+                /\bno point (in )?(anything|living|trying|going on)\b/,
+                /\bi am (just )?a burden\b|\bburden (to|on) (everyone|my family|others)\b/,
+                /\b(feel|feeling) (so |completely |totally )?(empty|numb|trapped)\b/,
+                /\bgive up on (everything|life)\b/,
+                /\bnothing (matters|will ever get better)\b/,
+                /\b(want|wish i could) (to )?disappear\b/
+            ]
+        }
+    ],
+    es: [
+        {
+            category: 'plan',
+            level: 'imminent',
+            patterns: [
+                phrase('(voy|vamos) a (matarme|suicidarme|quitarme la vida)|me voy a (matar|suicidar|quitar la vida)'),
+                nearby('esta noche|hoy|ahora mismo|este fin de semana', 'matarme|suicidarme|me mato|quitarme la vida'),
+                phrase('(carta|nota) de (despedida|suicidio)'),
+                phrase('(este es mi|mi) (último|ultimo) adiós|adiós para siempre|adios para siempre')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'high',
+            patterns: [
+                phrase('matarme|suicidarme'),
+                phrase('(me siento|estoy) (muy )?suicida|pensamientos suicidas|(pienso|pensando|pensado) en (el )?suicidio'),
+                phrase('(quiero|quisiera|deseo) morir(me)?|me quiero morir'),
+                phrase('(ojalá|ojala) (estuviera|estar) muert[oa]|(ojalá|ojala) no hubiera nacido'),
+                phrase('quitarme la vida|acabar con (mi vida|todo)'),
+                phrase('no quiero (vivir|seguir viviendo|estar viv[oa]|existir)( más| mas)?'),
+                phrase('(estarían|estarian) mejor sin (mí|mi)'),
+                phrase('no (tengo|hay) (ninguna )?(razón|razon) para vivir|no vale la pena vivir')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'elevated',
+            patterns: [
+                phrase('suicidio|suicida')
+            ]
+        },
+        {
+            category: 'self_harm',
+            level: 'high',
+            patterns: [
+                phrase('cortarme|me corto|hacerme daño|me hago daño|lastimarme|me lastimo'),
+                phrase('autolesi(ón|on|ones|onarme)')
+            ]
+        },
+        {
+            category: 'hopelessness',
+            level: 'elevated',
+            patterns: [
+                phrase('sin esperanza|no tengo esperanza'),
+                phrase('no (puedo|aguanto) más|no (puedo|aguanto) mas'),
+                phrase('soy una carga'),
+                phrase('nada (importa|va a mejorar)'),
+                phrase('(quiero|quisiera) desaparecer'),
+                phrase('me siento (tan |completamente )?(vací[oa]|vaci[oa]|atrapad[oa])')
+            ]
+        }
+    ],
+    hi: [
+        {
+            category: 'plan',
+            level: 'imminent',
+            patterns: [
+                nearby('आज रात|आज ही|अभी', 'आत्महत्या|खुदकुशी|ख़ुदकुशी|मर (जाऊंगा|जाऊँगा|जाऊंगी|जाऊँगी)'),
+                phrase('(आत्महत्या|खुदकुशी|ख़ुदकुशी) कर (लूंगा|लूँगा|लूंगी|लूँगी)'),
+                phrase('सुसाइड नोट|आखिरी अलविदा|आख़िरी अलविदा')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'high',
+            patterns: [
+                phrase('(आत्महत्या|खुदकुशी|ख़ुदकुशी) (करना|करने|कर लेना)'),
+                phrase('(मरना|मर जाना) (चाहता|चाहती)'),
+                phrase('जीना नहीं (चाहता|चाहती)|जीने (का|की) (कोई )?(मन|वजह) नहीं'),
+                phrase('खुद को (मार|ख़त्म|खत्म)'),
+                phrase('ज़िंदगी ख़त्म|जिंदगी खत्म')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'elevated',
+            patterns: [
+                phrase('आत्महत्या|खुदकुशी|ख़ुदकुशी')
+            ]
+        },
+        {
+            category: 'self_harm',
+            level: 'high',
+            patterns: [
+                phrase('खुद को (चोट|नुकसान|नुक़सान) (पहुंचा|पहुँचा)|खुद को काट')
+            ]
+        },
+        {
+            category: 'hopelessness',
+            level: 'elevated',
+            patterns: [
+                phrase('कोई (उम्मीद|आशा) नहीं'),
+                phrase('(मैं )?(बोझ|बेकार) (हूँ|हूं)'),
+                phrase('अब और नहीं (सह|सहा)'),
+                phrase('गायब हो जाना (चाहता|चाहती)')
+            ]
+        }
+    ],
+    'hi-Latn': [
+        {
+            category: 'plan',
+            level: 'imminent',
+            patterns: [
+                nearby('aaj raat|aaj hi|abhi', 'khudkushi|suicide|mar (jaunga|jaungi|jaaunga|jaaungi)'),
+                phrase('(khudkushi|suicide) kar (lunga|lungi|loonga|loongi)')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'high',
+            patterns: [
+                phrase('(khudkushi|aatmahatya|atmahatya|suicide) (karna|karne|kar lena)'),
+                phrase('(marna|mar jana|mar jaana) (chahta|chahti|chahata)'),
+                phrase('(jeena|jina) (nahi|nahin|nhi) (chahta|chahti)|jeene ka (koi )?(mann?|man) (nahi|nahin|nhi)'),
+                phrase('khud ko (maar|khatam)')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'elevated',
+            patterns: [
+                phrase('khudkushi|aatmahatya|atmahatya')
+            ]
+        },
+        {
+            category: 'self_harm',
+            level: 'high',
+            patterns: [
+                phrase('khud ko (hurt|chot|nuksan|nuksaan)|khud ko kaat')
+            ]
+        },
+        {
+            category: 'hopelessness',
+            level: 'elevated',
+            patterns: [
+                phrase('koi (umeed|ummeed|ummid) (nahi|nahin|nhi)'),
+                phrase('(bojh|bekaar|bekar) (hoon|hu|hun)'),
+                phrase('aur (nahi|nahin|nhi) seh')
+            ]
+        }
+    ],
+    bn: [
+        {
+            category: 'plan',
+            level: 'imminent',
+            patterns: [
+                nearby('আজ রাতে|আজই|এখনই', 'আত্মহত্যা|মরে যাব'),
+                phrase('আত্মহত্যা করব|সুইসাইড নোট')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'high',
+            patterns: [
+                phrase('আত্মহত্যা করতে'),
+                phrase('মরে যেতে চাই|মরতে চাই'),
+                phrase('(বাঁচতে|বেঁচে থাকতে) চাই না'),
+                phrase('নিজেকে (মেরে|শেষ করে)')
+            ]
+        },
+        {
+            category: 'ideation',
+            level: 'elevated',
+            patterns: [
+                phrase('আত্মহত্যা')
+            ]
+        },
+        {
+            category: 'self_harm',
+            level: 'high',
+            patterns: [
+                phrase('নিজেকে (কাটি|কেটে|আঘাত)')
+            ]
+        },
+        {
+            category: 'hopelessness',
+            level: 'elevated',
+            patterns: [
+                phrase('(কোনো |কোন )?আশা নেই'),
+                phrase('আমি (একটা )?বোঝা'),
+                phrase('আর পারছি না')
+            ]
+        }
+    ]
+};
+
+// A negation next to ideation in the same clause ("I'd never kill myself", "khudkushi nahi karunga") lowers it
+// to elevated rather than ignoring it. Only words that negate the verb count: "no, I want to die" is not negated.
+const RISK_NEGATIONS = {
+    en: ['not', 'never', 'no longer'],
+    es: ['no', 'nunca', 'jamás', 'jamas'],
+    hi: ['नहीं', 'नही', 'न', 'ना', 'मत'],
+    'hi-Latn': ['nahi', 'nahin', 'nhi', 'nai', 'mat', 'na'],
+    bn: ['না', 'নয়', 'নেই', 'নাই', 'নি', 'নই']
+};
+
+// Words starting a new clause besides the lexicon's contrast words; a negation before them doesn't reach the phrase
+const CLAUSE_WORDS = {
+    en: ['and', 'so', 'because', 'cause', 'if', 'when', 'then', 'or'],
+    es: ['y', 'porque', 'si', 'cuando', 'entonces', 'o'],
+    hi: ['और', 'क्योंकि', 'अगर', 'तो', 'जब'],
+    'hi-Latn': ['aur', 'kyunki', 'kyonki', 'agar', 'to', 'toh', 'jab'],
+    bn: ['আর', 'এবং', 'কারণ', 'যদি', 'তাহলে', 'যখন']
+};
+
+// How many words of the clause next to the phrase are looked at ("I would never ever want to die")
+const NEGATION_WINDOW = 4;
+
+const LEXICON_BY_LANGUAGE = new Map(LEXICONS.map(lexicon => [lexicon.language, lexicon]));
+const CLAUSE_BREAKS = new Map(LEXICONS.map(lexicon => [
+    lexicon.language,
+    new Set([...(lexicon.contrastWords || []), ...(CLAUSE_WORDS[lexicon.language] || [])])
+]));
+
+/**
+ * @param {string} userText
+ * @param {Object} options - { recentTexts: earlier messages of the session, emotionHistory: stored emotion rows, oldest first }
+ * @returns {Object} - { level, signals: [{ category, level }], pattern: { pattern, concern, dominancePercentage } }
+ */
+function assessRisk(userText, { recentTexts = [], emotionHistory = [] } = {}) {
+    const signals = findSignals(userText);
+    let level = highestLevel(signals);
+
+    const pattern = detectEmotionalPattern(emotionHistory);
+    const earlierRiskyTurns = recentTexts.filter(text => findSignals(text).length > 0).length;
+
+    // Hopelessness on top of a sustained low mood, or repeated across the session, is treated as high risk
+    if (level === 'elevated') {
+        if (pattern.concern && taxonomy.isLowMood(pattern.pattern)) {
+            signals.push({ category: 'sustained_pattern', level: 'high' });
+            level = 'high';
+        } else if (earlierRiskyTurns >= 2) {
+            signals.push({ category: 'repeated_in_session', level: 'high' });
+            level = 'high';
+        }
+    }
+
+    return {
+        level,
+        signals,
+        pattern: {
+            pattern: pattern.pattern,
+            concern: pattern.concern,
+            dominancePercentage: Math.round(pattern.dominancePercentage || 0)
+        }
+    };
+}
+
+/**
+ * Whether a level replaces the normal reply with the safety response
+ */
+function requiresSafetyResponse(level) {
+    return SAFETY_LEVELS.includes(level);
+}
+
+function findSignals(userText) {
+    const signals = [];
+
+    Object.entries(RISK_PATTERNS).forEach(([language, groups]) => {
+        const text = textFor(userText, LEXICON_BY_LANGUAGE.get(language));
+        groups.forEach(({ category, level, patterns }) => {
+            patterns.forEach(pattern => {
+                const match = pattern.exec(text);
+                if (!match) return;
+
+                const negated = level !== 'elevated' && isNegated(text, match, language);
+                signals.push({ category, level: negated ? 'elevated' : level });
+            });
+        });
+    });
+
+    // One signal per category, at its highest level
+    const byCategory = new Map();
+    signals.forEach(signal => {
+        const current = byCategory.get(signal.category);
+        if (!current || rank(signal.level) > rank(current.level)) byCategory.set(signal.category, signal);
+    });
+    return Array.from(byCategory.values());
+}
+
+/**
+ * Whether a negation sits just before the matched phrase (just after it in languages that negate
+ * afterwards, see the lexicon's negation), within the phrase's own clause
+ */
+function isNegated(text, match, language) {
+    const lexicon = LEXICON_BY_LANGUAGE.get(language);
+    const after = lexicon.negation === 'after';
+    const side = after ? text.slice(match.index + match[0].length) : text.slice(0, match.index);
+
+    const window = ` ${clauseWords(side, lexicon, after).join(' ')} `;
+    return RISK_NEGATIONS[language].some(negation => window.includes(` ${negation} `));
+}
+
+/**
+ * Up to NEGATION_WINDOW words of side nearest the phrase, stopping at punctuation or a clause word
+ */
+function clauseWords(side, lexicon, after) {
+    const tokens = TextTokenizer.expandContractions(TextTokenizer.tokenize(side), lexicon);
+    if (!after) tokens.reverse();
+
+    const breaks = CLAUSE_BREAKS.get(lexicon.language);
+    const words = [];
+    for (const token of tokens) {
+        if (token.type === 'break' || breaks.has(token.text) || words.length === NEGATION_WINDOW) break;
+        if (token.type === 'word') words.push(token.text);
+    }
+    return after ? words : words.reverse();
+}
+
+function highestLevel(signals) {
+    return signals.reduce((level, signal) => (rank(signal.level) > rank(level) ? signal.level : level), 'none');
+}
+
+function rank(level) {
+    return RISK_LEVELS.indexOf(level);
+}
+
+/**
+ * The message as a language's patterns see it: normalized, and in languages whose lexicon has contractions,
+ * re-joined from its tokens with them written out ("I dont", "I don't" -> "i do not")
+ */
+function textFor(userText, lexicon) {
+    if (!lexicon.contractions && !lexicon.contractionSuffixes) {
+        return TextTokenizer.normalizeText(userText).replace(/\s+/g, ' ');
+    }
+
+    const tokens = TextTokenizer.expandContractions(TextTokenizer.tokenize(userText), lexicon);
+    return tokens.map(token => token.text).join(' ');
+}
+
+module.exports = {
+    RISK_LEVELS,
+    assessRisk,
+    requiresSafetyResponse
+};
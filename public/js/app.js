@@ -17,15 +17,25 @@ class EmotionCompanionApp {
         this.clearChatBtn = document.getElementById('clearChatBtn');
         this.typingIndicator = document.getElementById('typingIndicator');
         this.summaryGrid = document.getElementById('summaryGrid');
+        this.insightsWindow = document.getElementById('insightsWindow');
+        this.insightsBody = document.getElementById('insightsBody');
+        this.authOverlay = document.getElementById('authOverlay');
+        this.authForm = document.getElementById('authForm');
+        this.authError = document.getElementById('authError');
+        this.userBar = document.getElementById('userBar');
+        this.languageSelect = document.getElementById('languageSelect');
+        this.sessionSelect = document.getElementById('sessionSelect');
+        this.newSessionBtn = document.getElementById('newSessionBtn');
+        this.closeSessionBtn = document.getElementById('closeSessionBtn');
         
         // State
+        this.authToken = localStorage.getItem('authToken');
+        this.user = null;
+        this.sessions = [];
+        this.currentSession = null;
         this.conversationHistory = [];
-        this.dailySummary = {
-            happy: 0,
-            sad: 0,
-            neutral: 0,
-            angry: 0
-        };
+        // Today's count of every emotion of the taxonomy (shared/taxonomy.js)
+        this.dailySummary = EmotionTaxonomy.each(0);
         
         // Initialize
         this.init();
@@ -41,19 +51,61 @@ class EmotionCompanionApp {
         this.camera = new CameraManager();
         this.emotionAnalyzer = new TextEmotionAnalyzer();
         this.speech = new SpeechManager();
+        this.loadTemplates();
+        this.loadExpressionMapping();
+        this.populateLanguages();
+        this.renderDailySummary();
         
         // Setup event listeners
         this.setupEventListeners();
         
-        // Load conversation history from backend
-        await this.loadHistory();
+        // Log in (or reuse the saved token) before touching any user data
+        await this.ensureAuthenticated();
+        await this.syncTimezone();
         
-        // Load daily summary
+        // Load chat sessions and resume the latest thread
+        await this.loadSessions();
+        
+        // Load daily summary and insights
         await this.loadDailySummary();
+        await this.loadInsights();
         
         console.log('✅ App initialized successfully!');
     }
     
+    /**
+     * Load the template pack for the browser's language (falls back to English)
+     */
+    async loadTemplates() {
+        const language = (navigator.language || 'en').split('-')[0];
+        
+        for (const locale of [language, 'en']) {
+            try {
+                const response = await fetch(`/templates/${locale}.json`);
+                if (response.ok) {
+                    this.emotionAnalyzer.setTemplates(await response.json());
+                    return;
+                }
+            } catch (error) {
+                console.warn(`Template pack ${locale} unavailable:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Label the live face with the server's expression -> emotion mapping (the built-in one until it loads)
+     */
+    async loadExpressionMapping() {
+        try {
+            const response = await fetch('/face-expressions.json');
+            if (response.ok) {
+                this.camera.setExpressionMapping(await response.json());
+            }
+        } catch (error) {
+            console.warn('Face expression mapping unavailable:', error);
+        }
+    }
+    
     /**
      * Wait for dependencies to load
      */
@@ -82,11 +134,228 @@ class EmotionCompanionApp {
         });
         
         this.messageInput.addEventListener('input', () => {
+            // The face window runs from the first keystroke to send
+            if (this.messageInput.value) this.camera.startComposition();
+            
             this.messageInput.style.height = 'auto';
             this.messageInput.style.height = this.messageInput.scrollHeight + 'px';
         });
         
         this.clearChatBtn.addEventListener('click', () => this.clearChat());
+        
+        this.sessionSelect.addEventListener('change', () => this.openSession(parseInt(this.sessionSelect.value)));
+        this.newSessionBtn.addEventListener('click', () => this.startNewSession());
+        this.closeSessionBtn.addEventListener('click', () => this.closeCurrentSession());
+        this.insightsWindow.addEventListener('change', () => this.loadInsights());
+        
+        this.authForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.authenticate('login');
+        });
+        document.getElementById('registerBtn').addEventListener('click', () => this.authenticate('register'));
+        document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportHistory());
+        this.languageSelect.addEventListener('change', () => this.saveLanguage(this.languageSelect.value || null));
+    }
+    
+    /**
+     * Resolve once a user is logged in
+     */
+    async ensureAuthenticated() {
+        if (this.authToken) {
+            try {
+                const response = await this.apiFetch('/api/auth/me');
+                const data = await response.json();
+                this.setUser(data.user);
+                return;
+            } catch (error) {
+                // Token expired or revoked - fall through to the login form
+            }
+        }
+        
+        return new Promise((resolve) => {
+            this.onAuthenticated = resolve;
+            this.showAuthOverlay();
+        });
+    }
+    
+    /**
+     * Log in or register with the credentials in the auth form
+     */
+    async authenticate(mode) {
+        const username = document.getElementById('authUsername').value.trim();
+        const password = document.getElementById('authPassword').value;
+        this.authError.textContent = '';
+        
+        try {
+            const response = await fetch(`/api/auth/${mode}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(mode === 'register'
+                    ? { username, password, timezone: this.getBrowserTimezone() }
+                    : { username, password })
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.authError.textContent = data.error.message;
+                return;
+            }
+            
+            this.authToken = data.token;
+            localStorage.setItem('authToken', data.token);
+            this.setUser(data.user);
+            this.authOverlay.classList.add('hidden');
+            
+            if (this.onAuthenticated) {
+                this.onAuthenticated();
+                this.onAuthenticated = null;
+            }
+        } catch (error) {
+            console.error('Authentication error:', error);
+            this.authError.textContent = 'Unable to reach the server. Please try again.';
+        }
+    }
+    
+    async logout() {
+        try {
+            await this.apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        localStorage.removeItem('authToken');
+        window.location.reload();
+    }
+    
+    setUser(user) {
+        this.user = user;
+        document.getElementById('currentUser').textContent = `Signed in as ${user.username}`;
+        this.userBar.style.display = 'flex';
+        this.applyLanguage(user.language);
+    }
+    
+    /**
+     * Download the full archive in the format picked next to the export button
+     */
+    async exportHistory() {
+        const format = document.getElementById('exportFormat').value;
+        
+        try {
+            const response = await this.apiFetch(`/api/export?format=${format}`);
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error.message);
+            }
+            
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `emotion-companion.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting history:', error);
+            alert('Sorry, the export failed. Please try again.');
+        }
+    }
+    
+    getBrowserTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+    
+    /**
+     * Keep the server-side timezone (used for daily summaries and analytics) in step with the browser
+     */
+    async syncTimezone() {
+        const timezone = this.getBrowserTimezone();
+        if (!this.user || this.user.timezone === timezone) return;
+        
+        try {
+            const response = await this.apiFetch('/api/auth/me', {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timezone })
+            });
+            const data = await response.json();
+            if (data.success) this.user = data.user;
+        } catch (error) {
+            console.error('Error saving timezone:', error);
+        }
+    }
+    
+    /**
+     * Fill the language picker from the loaded lexicons
+     */
+    populateLanguages() {
+        this.emotionAnalyzer.languages.forEach(language => {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = this.emotionAnalyzer.lexicons.get(language).name;
+            this.languageSelect.appendChild(option);
+        });
+    }
+    
+    /**
+     * Use the preferred language for voice input (null keeps the browser's language)
+     */
+    applyLanguage(language) {
+        const lexicon = language ? this.emotionAnalyzer.lexicons.get(language) : null;
+        this.languageSelect.value = language || '';
+        this.speech.setLanguage(lexicon ? lexicon.speechLang : navigator.language);
+    }
+    
+    /**
+     * Save the language preference, which drives emotion analysis here and on the server
+     */
+    async saveLanguage(language) {
+        try {
+            const response = await this.apiFetch('/api/auth/me', {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ language })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error.message);
+            
+            this.user = data.user;
+            this.applyLanguage(data.user.language);
+        } catch (error) {
+            console.error('Error saving language:', error);
+            this.applyLanguage(this.user.language);
+        }
+    }
+    
+    showAuthOverlay() {
+        this.authToken = null;
+        localStorage.removeItem('authToken');
+        this.userBar.style.display = 'none';
+        this.authOverlay.classList.remove('hidden');
+        document.getElementById('authUsername').focus();
+    }
+    
+    /**
+     * fetch() with the auth token; a 401 sends the user back to the login form
+     */
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                Authorization: `Bearer ${this.authToken}`
+            }
+        });
+        
+        if (response.status === 401) {
+            this.showAuthOverlay();
+            throw new Error('Authentication required');
+        }
+        
+        return response;
     }
     
     /**
@@ -102,41 +371,82 @@ class EmotionCompanionApp {
         
         this.addMessage('user', userText);
         
-        // Analyze text emotion
-        const textEmotion = this.emotionAnalyzer.analyze(userText);
+        // Analyze text emotion locally (the server re-verifies it)
+        const textEmotion = this.emotionAnalyzer.analyze(userText, { language: this.user && this.user.language });
         
-        // Get current face emotion from camera (Now fixed!)
+        // Current face emotion, and the face over the whole time the message was written
         const faceEmotion = this.camera.getCurrentEmotion();
+        const faceWindow = this.camera.endComposition();
         
         this.showTypingIndicator();
         
         try {
-            const response = await fetch('/api/analyze', {
+            const response = await this.apiFetch('/api/analyze/stream', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     userText: userText,
                     textEmotion: textEmotion,
                     faceEmotion: faceEmotion,
+                    faceWindow: faceWindow,
+                    sessionId: this.currentSession ? this.currentSession.id : undefined,
                     timestamp: new Date().toISOString()
                 })
             });
             
-            const data = await response.json();
+            // Errors before the stream starts come back as regular JSON
+            if (!response.ok) {
+                const data = await response.json();
+                console.error('Analyze failed:', data.error);
+                this.hideTypingIndicator();
+                this.addMessage('ai', "I'm sorry, I'm having trouble processing that right now.");
+                return;
+            }
+            
+            let analysis = null;
+            let bubble = null;
+            let replyText = '';
+            
+            await this.readEventStream(response, (event, data) => {
+                if (event === 'analysis') {
+                    analysis = data;
+                } else if (event === 'chunk') {
+                    // The reply bubble replaces the typing indicator with the first chunk
+                    if (!bubble) {
+                        this.hideTypingIndicator();
+                        bubble = this.addReplyMessage('', analysis).querySelector('.message-text');
+                    }
+                    replyText += data.text;
+                    bubble.textContent = replyText;
+                    this.scrollToBottom();
+                } else if (event === 'done') {
+                    replyText = data.aiResponse;
+                    if (bubble) bubble.textContent = replyText;
+                } else if (event === 'error') {
+                    throw new Error(data.message);
+                }
+            });
             
-            setTimeout(() => {
+            if (!analysis || !replyText) {
+                throw new Error('Incomplete reply stream');
+            }
+            
+            if (!bubble) {
                 this.hideTypingIndicator();
-                this.addMessage('ai', data.aiResponse);
-                this.updateDailySummary(data.detectedEmotion || textEmotion.emotion);
-                
-                this.conversationHistory.push({
-                    userText,
-                    aiResponse: data.aiResponse,
-                    textEmotion,
-                    faceEmotion,
-                    timestamp: new Date()
-                });
-            }, 1000 + Math.random() * 500);
+                this.addReplyMessage(replyText, analysis);
+            }
+            
+            this.updateDailySummary(analysis.detectedEmotion || textEmotion.emotion);
+            this.refreshSessionCount(analysis.sessionId);
+            this.loadInsights();
+            
+            this.conversationHistory.push({
+                userText,
+                aiResponse: replyText,
+                textEmotion: analysis.textEmotion || textEmotion,
+                faceEmotion,
+                timestamp: new Date()
+            });
             
         } catch (error) {
             console.error('Error sending message:', error);
@@ -145,7 +455,48 @@ class EmotionCompanionApp {
         }
     }
     
-    addMessage(sender, text) {
+    /**
+     * Add the companion's reply, marked as a safety response when the server detected crisis language
+     */
+    addReplyMessage(text, analysis) {
+        const messageDiv = this.addMessage('ai', text);
+        if (analysis && analysis.risk && analysis.risk.safetyResponse) {
+            messageDiv.classList.add('safety-message');
+        }
+        return messageDiv;
+    }
+    
+    /**
+     * Read a text/event-stream response, calling onEvent(event, data) for every event as it arrives
+     */
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+            
+            // Events are separated by a blank line
+            const events = buffer.split('\n\n');
+            buffer = done ? '' : events.pop();
+            
+            events.forEach(block => {
+                let event = 'message';
+                const data = [];
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+                });
+                if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+            });
+            
+            if (done) return;
+        }
+    }
+    
+    addMessage(sender, text, timestamp = new Date()) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}-message`;
         
@@ -164,7 +515,7 @@ class EmotionCompanionApp {
             </svg>
         `;
         
-        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const time = new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
         messageDiv.innerHTML = `
             <div class="message-avatar">${avatarSVG}</div>
@@ -176,6 +527,7 @@ class EmotionCompanionApp {
         
         this.chatMessages.appendChild(messageDiv);
         this.scrollToBottom();
+        return messageDiv;
     }
     
     showTypingIndicator() {
@@ -201,14 +553,32 @@ class EmotionCompanionApp {
     
     clearChat() {
         if (confirm('Are you sure you want to clear the chat history?')) {
-            const messages = this.chatMessages.querySelectorAll('.message');
-            for (let i = 1; i < messages.length; i++) {
-                messages[i].remove();
-            }
+            this.removeMessages();
             this.conversationHistory = [];
         }
     }
     
+    /**
+     * Remove every message except the welcome message
+     */
+    removeMessages() {
+        const messages = this.chatMessages.querySelectorAll('.message');
+        for (let i = 1; i < messages.length; i++) {
+            messages[i].remove();
+        }
+    }
+    
+    /**
+     * Bump the message count of a session in the picker after a new turn
+     */
+    refreshSessionCount(sessionId) {
+        const session = this.sessions.find(item => item.id === sessionId);
+        if (session) {
+            session.turnCount++;
+            this.renderSessionOptions();
+        }
+    }
+    
     updateDailySummary(emotion) {
         if (this.dailySummary.hasOwnProperty(emotion)) {
             this.dailySummary[emotion]++;
@@ -217,41 +587,155 @@ class EmotionCompanionApp {
     }
     
     renderDailySummary() {
-        const emotionIcons = { happy: '😊', sad: '😢', neutral: '😐', angry: '😠' };
-        const emotionNames = { happy: 'Happy', sad: 'Sad', neutral: 'Neutral', angry: 'Angry' };
-        
         this.summaryGrid.innerHTML = '';
         for (const [emotion, count] of Object.entries(this.dailySummary)) {
+            const { icon, label, color } = EmotionTaxonomy.get(emotion);
             const item = document.createElement('div');
             item.className = 'summary-item';
+            item.style.setProperty('--emotion-color', color);
             item.innerHTML = `
-                <div class="summary-emotion">${emotionIcons[emotion]} ${emotionNames[emotion]}</div>
+                <div class="summary-emotion">${icon} ${label}</div>
                 <div class="summary-count">${count} ${count === 1 ? 'time' : 'times'}</div>
             `;
             this.summaryGrid.appendChild(item);
         }
     }
     
-    async loadHistory() {
+    /**
+     * Load the session list and open the latest open session (or start one)
+     */
+    async loadSessions(selectId = null) {
         try {
-            const response = await fetch('/api/history?limit=10');
+            const response = await this.apiFetch('/api/sessions');
             const data = await response.json();
+            this.sessions = data.sessions || [];
+            
+            let target = selectId || (this.currentSession && this.currentSession.id);
+            if (!target) {
+                const open = this.sessions.find(session => session.status === 'open');
+                target = open ? open.id : null;
+            }
+            
+            if (!target) {
+                await this.startNewSession();
+                return;
+            }
+            
+            this.renderSessionOptions();
+            await this.openSession(target);
         } catch (error) {
-            console.error('Error loading history:', error);
+            console.error('Error loading sessions:', error);
         }
     }
     
+    renderSessionOptions() {
+        this.sessionSelect.innerHTML = '';
+        this.sessions.forEach(session => {
+            const option = document.createElement('option');
+            const started = new Date(session.createdAt).toLocaleString([], {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+            option.value = session.id;
+            option.textContent = `${session.title || started} · ${session.turnCount} msg${session.turnCount === 1 ? '' : 's'}` +
+                (session.status === 'closed' ? ' (closed)' : '');
+            this.sessionSelect.appendChild(option);
+        });
+        if (this.currentSession) {
+            this.sessionSelect.value = this.currentSession.id;
+        }
+    }
+    
+    /**
+     * Reload a past thread into the chat
+     */
+    async openSession(sessionId) {
+        try {
+            const response = await this.apiFetch(`/api/sessions/${sessionId}`);
+            const data = await response.json();
+            if (!data.success) return;
+            
+            this.currentSession = data.session;
+            this.sessionSelect.value = sessionId;
+            this.removeMessages();
+            this.conversationHistory = [];
+            
+            data.turns.forEach(turn => {
+                this.addMessage('user', turn.user_text, turn.created_at);
+                this.addMessage('ai', turn.ai_response, turn.created_at);
+                this.conversationHistory.push({
+                    userText: turn.user_text,
+                    aiResponse: turn.ai_response,
+                    textEmotion: { emotion: turn.text_emotion, confidence: turn.confidence_text, valence: turn.text_valence, arousal: turn.text_arousal },
+                    faceEmotion: turn.face_emotion
+                        ? { emotion: turn.face_emotion, confidence: turn.confidence_face, valence: turn.face_valence, arousal: turn.face_arousal }
+                        : null,
+                    timestamp: new Date(turn.created_at)
+                });
+            });
+            
+            const closed = this.currentSession.status === 'closed';
+            if (closed) {
+                this.addMessage('ai', this.describeBreakdown(this.currentSession.emotionBreakdown), this.currentSession.closedAt);
+            }
+            this.messageInput.disabled = closed;
+            this.sendBtn.disabled = closed;
+            this.closeSessionBtn.disabled = closed;
+        } catch (error) {
+            console.error('Error opening session:', error);
+        }
+    }
+    
+    async startNewSession() {
+        try {
+            const response = await this.apiFetch('/api/sessions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+            this.currentSession = null;
+            await this.loadSessions(data.session.id);
+        } catch (error) {
+            console.error('Error starting session:', error);
+        }
+    }
+    
+    async closeCurrentSession() {
+        if (!this.currentSession || this.currentSession.status === 'closed') return;
+        
+        try {
+            await this.apiFetch(`/api/sessions/${this.currentSession.id}/close`, { method: 'POST' });
+            await this.loadSessions(this.currentSession.id);
+        } catch (error) {
+            console.error('Error closing session:', error);
+        }
+    }
+    
+    /**
+     * Human-readable summary of a closed session's emotion breakdown
+     */
+    describeBreakdown(breakdown) {
+        if (!breakdown || breakdown.pattern === 'insufficient_data') {
+            return 'This session is closed. There were not enough messages for an emotion breakdown.';
+        }
+        
+        const counts = Object.entries(breakdown.emotionBreakdown)
+            .filter(([, count]) => count > 0)
+            .map(([emotion, count]) => `${EmotionTaxonomy.get(emotion).icon} ${emotion} ${count}`)
+            .join(', ');
+        
+        return `This session is closed. You were mostly ${breakdown.pattern} (${breakdown.dominancePercentage}%), ` +
+            `and things were ${breakdown.trend}. Breakdown: ${counts}.`;
+    }
+    
     async loadDailySummary() {
         try {
-            const response = await fetch('/api/summary');
+            const response = await this.apiFetch('/api/summary');
             const data = await response.json();
             if (data.summary) {
-                this.dailySummary = {
-                    happy: data.summary.happy || 0,
-                    sad: data.summary.sad || 0,
-                    neutral: data.summary.neutral || 0,
-                    angry: data.summary.angry || 0
-                };
+                this.dailySummary = Object.fromEntries(
+                    EmotionTaxonomy.names.map(emotion => [emotion, data.summary[emotion] || 0])
+                );
                 this.renderDailySummary();
             }
         } catch (error) {
@@ -259,6 +743,111 @@ class EmotionCompanionApp {
             this.renderDailySummary();
         }
     }
+    
+    /**
+     * Fetch insights for the window picked in the insights panel
+     */
+    async loadInsights() {
+        const [kind, amount] = this.insightsWindow.value.split('=');
+        const params = new URLSearchParams();
+        
+        if (kind === 'days') {
+            // The server reads the date in the user's timezone, kept in step with the browser's
+            const from = new Date();
+            from.setDate(from.getDate() - (parseInt(amount) - 1));
+            params.set('from', [
+                from.getFullYear(),
+                String(from.getMonth() + 1).padStart(2, '0'),
+                String(from.getDate()).padStart(2, '0')
+            ].join('-'));
+        } else {
+            params.set('limit', amount);
+        }
+        
+        try {
+            const response = await this.apiFetch(`/api/insights?${params}`);
+            const data = await response.json();
+            if (data.success) {
+                this.renderInsights(data.insights);
+            }
+        } catch (error) {
+            console.error('Error loading insights:', error);
+        }
+    }
+    
+    renderInsights(insights) {
+        if (insights.pattern === 'insufficient_data') {
+            this.insightsBody.innerHTML = `<p class="insights-narrative">${insights.narrative}</p>`;
+            return;
+        }
+        
+        const trendIcons = { improving: '📈', declining: '📉', stable: '➡️' };
+        const interventions = insights.interventions
+            .map(item => `<li class="priority-${item.priority}">${item.message}</li>`)
+            .join('');
+        
+        this.insightsBody.innerHTML = `
+            <div class="insights-stats">
+                <div class="insights-stat">
+                    <div class="insights-stat-label">Mostly</div>
+                    <div class="insights-stat-value">${EmotionTaxonomy.get(insights.pattern).icon} ${insights.pattern} (${insights.dominancePercentage}%)</div>
+                </div>
+                <div class="insights-stat">
+                    <div class="insights-stat-label">Trend</div>
+                    <div class="insights-stat-value">${trendIcons[insights.trend] || ''} ${insights.trend}</div>
+                </div>
+                <div class="insights-stat">
+                    <div class="insights-stat-label">Volatility</div>
+                    <div class="insights-stat-value">${insights.volatility.volatility}%</div>
+                </div>
+            </div>
+            ${this.renderDimensionsChart(insights.timeline || [])}
+            <p class="insights-narrative">${insights.narrative}</p>
+            ${interventions ? `<ul class="insights-interventions">${interventions}</ul>` : ''}
+        `;
+    }
+    
+    /**
+     * Valence and arousal over the insight window as an SVG line chart (-1 bottom, 1 top),
+     * solid lines for text and dashed ones for the face
+     */
+    renderDimensionsChart(timeline) {
+        const width = 300;
+        const height = 100;
+        const x = index => timeline.length > 1 ? (index / (timeline.length - 1)) * width : width / 2;
+        const y = value => (height / 2) - value * (height / 2 - 4);
+        
+        const series = [
+            { source: 'text', dimension: 'valence', label: 'Text valence' },
+            { source: 'text', dimension: 'arousal', label: 'Text arousal' },
+            { source: 'face', dimension: 'valence', label: 'Face valence' },
+            { source: 'face', dimension: 'arousal', label: 'Face arousal' }
+        ].map(line => ({
+            ...line,
+            points: timeline
+                .map((point, index) => point[line.source] ? `${x(index).toFixed(1)},${y(point[line.source][line.dimension]).toFixed(1)}` : null)
+                .filter(Boolean)
+        })).filter(line => line.points.length > 0);
+        
+        if (series.length === 0) return '';
+        
+        const lines = series.map(line => `
+            <polyline class="dimension-line ${line.dimension} ${line.source}" points="${line.points.join(' ')}" />
+        `).join('');
+        const legend = series.map(line => `
+            <span class="dimension-legend ${line.dimension} ${line.source}">${line.label}</span>
+        `).join('');
+        
+        return `
+            <div class="dimensions-chart">
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Valence and arousal over time">
+                    <line class="dimension-axis" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}" />
+                    ${lines}
+                </svg>
+                <div class="dimensions-legend">${legend}</div>
+            </div>
+        `;
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -1,10 +1,23 @@
 /**
  * CAMERA.JS - Webcam & Face Emotion Detection
  * Uses face-api.js for real-time facial emotion recognition
+ * face-api.js's seven expressions are mapped onto the app's emotions by a configurable mapping (see
+ * DEFAULT_EXPRESSION_MAPPING in shared/emotion.js); the raw probabilities are sent along with the label.
+ * Frames are smoothed (see expressionSmoother.js) so the shown emotion doesn't flicker frame to frame.
+ * While the user composes a message every frame is also recorded, and summarised as a face window on send.
  */
 
+// A face emotion reaching this smoothed probability during composition counts as a peak
+const PEAK_PROBABILITY = 0.5;
+
+// Frames kept per composition (10 minutes at one frame every 500ms), oldest dropped first
+const MAX_COMPOSITION_FRAMES = 1200;
+
 class CameraManager {
-    constructor() {
+    /**
+     * @param {Object} options - { smoothing: ExpressionSmoother options, expressionMapping: see setExpressionMapping() }
+     */
+    constructor(options = {}) {
         // DOM Elements
         this.videoElement = document.getElementById('videoElement');
         this.overlay = document.getElementById('overlay');
@@ -23,6 +36,14 @@ class CameraManager {
         this.isDetecting = false;
         this.currentEmotion = null;
         this.emotionHistory = []; 
+        this.expressionMapping = options.expressionMapping || TextEmotionAnalyzer.DEFAULT_EXPRESSION_MAPPING;
+        this.smoother = new ExpressionSmoother({
+            ...options.smoothing,
+            labelsOf: expressions => this.emotionsOf(expressions)
+        });
+        
+        // Frames recorded since the first keystroke of the message being written
+        this.composition = null;
         
         // Bind methods
         this.startCamera = this.startCamera.bind(this);
@@ -124,6 +145,8 @@ class CameraManager {
     
     stopCamera() {
         this.stopDetection();
+        this.smoother.reset();
+        this.currentEmotion = null;
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
@@ -161,67 +184,172 @@ class CameraManager {
             const ctx = this.overlay.getContext('2d');
             ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
             
-            if (detections && detections.length > 0) {
+            let state;
+            const faceFound = detections && detections.length > 0;
+            if (faceFound) {
                 const detection = detections[0];
                 this.drawFaceBox(ctx, detection.detection.box);
-                
-                const dominantEmotion = this.getDominantEmotion(detection.expressions);
-                this.currentEmotion = {
-                    emotion: dominantEmotion.emotion,
-                    confidence: dominantEmotion.confidence,
-                    timestamp: new Date()
-                };
-                
-                this.updateEmotionDisplay(this.currentEmotion);
-                this.addToHistory(this.currentEmotion);
-                this.updateChart();
+                state = this.smoother.update(detection.expressions);
             } else {
+                // A few frames without a face keep the smoothed emotion, then it is dropped
+                state = this.smoother.miss();
+            }
+            
+            this.recordFrame(faceFound ? state : null);
+            
+            if (!state) {
                 this.currentEmotion = null;
                 this.emotionDisplay.textContent = 'No face detected';
                 this.emotionConfidence.textContent = '0%';
+                return;
             }
+            
+            // Valence and arousal use every smoothed expression's probability, not just the strongest
+            const dimensions = TextEmotionAnalyzer.dimensionsOfExpressions(state.expressions);
+            this.currentEmotion = {
+                emotion: state.label,
+                confidence: Math.round(state.probability * 100),
+                stability: Math.round(state.stability * 100) / 100,
+                expressions: roundProbabilities(state.expressions),
+                valence: dimensions.valence,
+                arousal: dimensions.arousal,
+                timestamp: new Date()
+            };
+            
+            this.updateEmotionDisplay(this.currentEmotion);
+            this.addToHistory(this.currentEmotion);
+            this.updateChart();
         } catch (error) {
             console.error('Detection error:', error);
         }
     }
 
     /**
-     * Returns the current detected emotion for use in app.js
+     * Returns the current smoothed emotion for use in app.js
+     * { emotion, confidence, stability (0-1), expressions (the seven face-api.js probabilities), valence, arousal, timestamp },
+     * null without a face
      */
     getCurrentEmotion() {
         return this.currentEmotion;
     }
     
+    /**
+     * Start recording frames for a new message (no-op while one is already being recorded)
+     */
+    startComposition() {
+        if (!this.composition) {
+            this.composition = { startedAt: new Date(), frames: [] };
+        }
+    }
+    
+    /**
+     * Stop recording and summarise the frames since startComposition()
+     * @returns {Object|null} - see summarizeComposition(), null when no frame was recorded (camera off)
+     */
+    endComposition() {
+        const composition = this.composition;
+        this.composition = null;
+        if (!composition || composition.frames.length === 0) return null;
+        
+        return this.summarizeComposition(composition, new Date());
+    }
+    
+    recordFrame(state) {
+        if (!this.composition) return;
+        
+        this.composition.frames.push({ at: new Date(), expressions: state ? state.expressions : null });
+        if (this.composition.frames.length > MAX_COMPOSITION_FRAMES) this.composition.frames.shift();
+    }
+    
+    /**
+     * Face window for /api/analyze
+     * @returns {Object} - {
+     *   startedAt, endedAt, frames,
+     *   facePresence  share of frames with a face (0-1),
+     *   dominant      { emotion, share } with the largest share of the distribution, null without a face,
+     *   distribution  { <emotion>: share } mean smoothed probability over the frames with a face,
+     *   expressions   { <expression>: share } the same for face-api.js's seven expressions (omitted without a face),
+     *   peaks         [{ emotion, confidence, at }] emotions that reached PEAK_PROBABILITY, strongest first,
+     *   valence, arousal  means over the frames with a face (omitted without one)
+     * }
+     */
+    summarizeComposition(composition, endedAt) {
+        const faceFrames = composition.frames.filter(frame => frame.expressions);
+        const distribution = this.emotionsOf({});
+        const expressions = {};
+        const peaks = {};
+        let valence = 0;
+        let arousal = 0;
+        
+        faceFrames.forEach(frame => {
+            Object.entries(frame.expressions).forEach(([expression, probability]) => {
+                expressions[expression] = (expressions[expression] || 0) + probability / faceFrames.length;
+            });
+            
+            Object.entries(this.emotionsOf(frame.expressions)).forEach(([emotion, probability]) => {
+                distribution[emotion] += probability / faceFrames.length;
+                if (probability >= PEAK_PROBABILITY && (!peaks[emotion] || probability > peaks[emotion].probability)) {
+                    peaks[emotion] = { probability, at: frame.at };
+                }
+            });
+            
+            const dimensions = TextEmotionAnalyzer.dimensionsOfExpressions(frame.expressions);
+            valence += dimensions.valence / faceFrames.length;
+            arousal += dimensions.arousal / faceFrames.length;
+        });
+        
+        const round = value => Math.round(value * 100) / 100;
+        Object.keys(distribution).forEach(emotion => { distribution[emotion] = round(distribution[emotion]); });
+        const [dominant, share] = Object.entries(distribution).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+        
+        const summary = {
+            startedAt: composition.startedAt.toISOString(),
+            endedAt: endedAt.toISOString(),
+            frames: composition.frames.length,
+            facePresence: round(faceFrames.length / composition.frames.length),
+            dominant: faceFrames.length > 0 ? { emotion: dominant, share } : null,
+            distribution,
+            peaks: Object.entries(peaks)
+                .sort((a, b) => b[1].probability - a[1].probability)
+                .map(([emotion, peak]) => ({ emotion, confidence: Math.round(peak.probability * 100), at: peak.at.toISOString() }))
+        };
+        
+        if (faceFrames.length > 0) {
+            summary.expressions = roundProbabilities(expressions);
+            summary.valence = round(valence);
+            summary.arousal = round(arousal);
+        }
+        
+        return summary;
+    }
+    
     drawFaceBox(ctx, box) {
         ctx.strokeStyle = '#667eea';
         ctx.lineWidth = 3;
         ctx.strokeRect(box.x, box.y, box.width, box.height);
     }
     
-    getDominantEmotion(expressions) {
-        const emotionMap = {
-            'happy': 'happy', 'sad': 'sad', 'angry': 'angry',
-            'neutral': 'neutral', 'surprised': 'neutral',
-            'fearful': 'sad', 'disgusted': 'angry'
-        };
-        let maxEmotion = 'neutral';
-        let maxValue = 0;
-        for (const [emotion, value] of Object.entries(expressions)) {
-            if (value > maxValue) {
-                maxValue = value;
-                maxEmotion = emotion;
-            }
-        }
-        return {
-            emotion: emotionMap[maxEmotion] || 'neutral',
-            confidence: Math.round(maxValue * 100)
-        };
+    /**
+     * The app's emotions from face-api.js expression probabilities, through the expression mapping
+     */
+    emotionsOf(expressions) {
+        return TextEmotionAnalyzer.emotionsOfExpressions(expressions, this.expressionMapping);
+    }
+    
+    /**
+     * Use the server's expression mapping (/face-expressions.json) so the live label matches what is stored
+     * @param {Object} mapping - expression -> { emotion: weight }
+     */
+    setExpressionMapping(mapping) {
+        this.expressionMapping = mapping;
+        this.smoother.reset();
     }
     
     updateEmotionDisplay(emotion) {
-        const icons = { 'happy': '😊', 'sad': '😢', 'angry': '😠', 'neutral': '😐' };
-        this.emotionDisplay.textContent = `${icons[emotion.emotion]} ${emotion.emotion.toUpperCase()}`;
+        const { icon, label } = EmotionTaxonomy.get(emotion.emotion);
+        this.emotionDisplay.textContent = `${icon} ${label.toUpperCase()}`;
         this.emotionConfidence.textContent = `${emotion.confidence}%`;
+        this.emotionConfidence.title = `Stability ${Math.round(emotion.stability * 100)}%`;
     }
     
     addToHistory(emotion) {
@@ -235,9 +363,10 @@ class CameraManager {
         recent.forEach((data) => {
             const bar = document.createElement('div');
             bar.className = 'chart-bar';
-            const icons = { 'happy': '😊', 'sad': '😢', 'angry': '😠', 'neutral': '😐' };
+            const { icon, color } = EmotionTaxonomy.get(data.emotion);
+            bar.style.setProperty('--emotion-color', color);
             bar.innerHTML = `
-                <div class="chart-bar-label">${icons[data.emotion]} ${data.timestamp.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</div>
+                <div class="chart-bar-label">${icon} ${data.timestamp.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</div>
                 <div class="chart-bar-fill">
                     <div class="chart-bar-progress" style="width: ${data.confidence}%"></div>
                 </div>
@@ -247,4 +376,11 @@ class CameraManager {
     }
 }
 
-window.CameraManager = CameraManager;
\ No newline at end of file
+/**
+ * Probabilities rounded to 2 decimals for the API payload
+ */
+function roundProbabilities(probabilities) {
+    return Object.fromEntries(Object.entries(probabilities).map(([key, value]) => [key, Math.round(value * 100) / 100]));
+}
+
+window.CameraManager = CameraManager;
@@ -0,0 +1,133 @@
+/**
+ * EXPRESSIONSMOOTHER.JS - Temporal smoothing for live face expressions
+ * Averages face-api.js expression vectors over frames (exponential moving average) and only changes
+ * the displayed label once another one has clearly led for a few frames (hysteresis).
+ * Labels are the expressions themselves unless a labelsOf function groups them (e.g. into the app's emotions).
+ */
+
+class ExpressionSmoother {
+    /**
+     * @param {Object} options
+     *   alpha           Weight of the newest frame in the moving average (0-1, higher reacts faster)
+     *   holdFrames      Frames in a row another expression must lead before the label switches
+     *   switchMargin    How far (probability) it must lead the current label by
+     *   stabilityWindow Recent frames the stability score looks back over
+     *   maxMissedFrames Frames without a face before the smoothed state is dropped
+     *   labelsOf        Expression probabilities -> label probabilities (default: the expressions)
+     */
+    constructor(options = {}) {
+        this.options = { ...ExpressionSmoother.DEFAULTS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.smoothed = null;
+        this.label = null;
+        this.challenger = null;
+        this.challengerFrames = 0;
+        this.recentLeaders = [];
+        this.missedFrames = 0;
+    }
+
+    /**
+     * Add one frame's expression probabilities
+     * @param {Object} expressions - { neutral, happy, sad, angry, fearful, disgusted, surprised }
+     * @returns {Object} - see getState()
+     */
+    update(expressions) {
+        const { alpha, holdFrames, switchMargin, stabilityWindow, labelsOf } = this.options;
+        this.missedFrames = 0;
+
+        if (!this.smoothed) {
+            this.smoothed = { ...expressions };
+        } else {
+            Object.keys({ ...this.smoothed, ...expressions }).forEach(expression => {
+                const previous = this.smoothed[expression] || 0;
+                this.smoothed[expression] = alpha * (expressions[expression] || 0) + (1 - alpha) * previous;
+            });
+        }
+
+        // The frame's own leader feeds the stability score
+        this.recentLeaders.push(ExpressionSmoother.leaderOf(labelsOf(expressions)));
+        if (this.recentLeaders.length > stabilityWindow) this.recentLeaders.shift();
+
+        const labels = labelsOf(this.smoothed);
+        const leader = ExpressionSmoother.leaderOf(labels);
+        if (!this.label) {
+            this.label = leader;
+        } else if (leader !== this.label && labels[leader] - (labels[this.label] || 0) >= switchMargin) {
+            this.challengerFrames = leader === this.challenger ? this.challengerFrames + 1 : 1;
+            this.challenger = leader;
+            if (this.challengerFrames >= holdFrames) {
+                this.label = leader;
+                this.challenger = null;
+                this.challengerFrames = 0;
+            }
+        } else {
+            this.challenger = null;
+            this.challengerFrames = 0;
+        }
+
+        return this.getState();
+    }
+
+    /**
+     * Record a frame without a face; the state is dropped after maxMissedFrames of them
+     * @returns {Object|null} - see getState()
+     */
+    miss() {
+        this.missedFrames++;
+        if (this.missedFrames > this.options.maxMissedFrames) {
+            this.reset();
+        }
+        return this.getState();
+    }
+
+    /**
+     * @returns {Object|null} - { label, probability, stability, expressions, labels }, null before any face
+     *   label        The displayed (hysteresis-filtered) label
+     *   probability  Its smoothed probability (0-1)
+     *   stability    Share of recent frames whose own leader was that label (0-1)
+     *   expressions  The smoothed expression vector
+     *   labels       The smoothed label probabilities
+     */
+    getState() {
+        if (!this.smoothed) return null;
+
+        const labels = this.options.labelsOf(this.smoothed);
+        const agreeing = this.recentLeaders.filter(label => label === this.label).length;
+        return {
+            label: this.label,
+            probability: labels[this.label] || 0,
+            stability: this.recentLeaders.length > 0 ? agreeing / this.recentLeaders.length : 0,
+            expressions: { ...this.smoothed },
+            labels
+        };
+    }
+
+    /**
+     * Key with the highest probability, null when there are none
+     */
+    static leaderOf(values) {
+        let leader = null;
+        let max = -1;
+        for (const [key, value] of Object.entries(values)) {
+            if (value > max) {
+                max = value;
+                leader = key;
+            }
+        }
+        return leader;
+    }
+}
+
+ExpressionSmoother.DEFAULTS = {
+    alpha: 0.35,
+    holdFrames: 3,
+    switchMargin: 0.1,
+    stabilityWindow: 10,
+    maxMissedFrames: 4,
+    labelsOf: expressions => ({ ...expressions })
+};
+
+window.ExpressionSmoother = ExpressionSmoother;
@@ -52,7 +52,7 @@ class SpeechManager {
         // Configure speech recognition
         this.recognition.continuous = false; // Stop after one sentence
         this.recognition.interimResults = true; // Show interim results
-        this.recognition.lang = 'en-US'; // Language
+        this.recognition.lang = navigator.language || 'en-US'; // Until the user's language is known (see setLanguage)
         this.recognition.maxAlternatives = 1;
         
         // Event listeners
@@ -115,8 +115,9 @@ class SpeechManager {
                 }
             }
             
-            // Show interim results in input
+            // Show interim results in input (as an input event, so speaking counts as composing)
             this.messageInput.value = this.finalTranscript + this.interimTranscript;
+            this.messageInput.dispatchEvent(new Event('input'));
         };
         
         // On error
@@ -140,6 +141,15 @@ class SpeechManager {
         };
     }
     
+    /**
+     * Recognise speech in this language from now on (a BCP 47 tag such as 'hi-IN')
+     */
+    setLanguage(lang) {
+        if (this.recognition && lang) {
+            this.recognition.lang = lang;
+        }
+    }
+    
     /**
      * Start listening for speech
      */
@@ -0,0 +1,160 @@
+/**
+ * CHECK LLM PROVIDER - The openai provider against a local stub server
+ *
+ * Usage:
+ *   npm run check:llm-provider
+ *
+ * Starts an OpenAI-compatible stub on a free local port and replies through server/providers with
+ * LLM_TIMEOUT_MS set low. A prompt reply must come from the LLM; an error status, a server that never
+ * answers and one that keeps trickling bytes without finishing must all be answered by the templates
+ * within the timeout. Exits with code 1 when any case fails.
+ */
+
+const http = require('http');
+
+const { createResponder } = require('../server/providers');
+const { getResponseConfig } = require('../config/responses');
+const emotionController = require('../controllers/emotionController');
+
+const TIMEOUT_MS = 500;
+
+// Longest a reply may take past the timeout before the deadline counts as ignored
+const GRACE_MS = 300;
+
+// A reply still missing after this long is reported as hung instead of waited for
+const HUNG_MS = TIMEOUT_MS * 4;
+
+const REPLY = 'That sounds like a heavy day. What has been weighing on you most?';
+
+// Stub behaviour per case, chosen by the model name of the request
+const BEHAVIOURS = {
+    prompt(request, response) {
+        if (request.body.stream) {
+            response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            response.write(`data: ${JSON.stringify({ choices: [{ delta: { content: REPLY } }] })}\n\n`);
+            response.end('data: [DONE]\n\n');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: REPLY } }] }));
+    },
+
+    error(request, response) {
+        response.writeHead(500, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ error: { message: 'Model crashed' } }));
+    },
+
+    silent() {
+        // Never answers
+    },
+
+    // Headers at once, then a byte well inside any idle timeout, forever
+    trickle(request, response) {
+        response.writeHead(200, { 'Content-Type': request.body.stream ? 'text/event-stream' : 'application/json' });
+        const timer = setInterval(() => response.write(request.body.stream ? ': keep-alive\n\n' : ' '), TIMEOUT_MS / 5);
+        response.on('close', () => clearInterval(timer));
+    }
+};
+
+const CASES = [
+    { behaviour: 'prompt', provider: 'openai' },
+    { behaviour: 'error', provider: 'template' },
+    { behaviour: 'silent', provider: 'template' },
+    { behaviour: 'trickle', provider: 'template' }
+];
+
+function startStub() {
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            request.body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            BEHAVIOURS[request.body.model](request, response);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function giveUp() {
+    return new Promise(resolve => setTimeout(resolve, HUNG_MS, null).unref());
+}
+
+function contextFor(userText) {
+    const { textEmotion } = emotionController.analyzeText(userText);
+    const emotionAnalysis = emotionController.compareEmotions(null, textEmotion);
+
+    return {
+        userText,
+        textEmotion,
+        faceEmotion: null,
+        emotionAnalysis,
+        strategy: emotionController.getResponseStrategy(emotionAnalysis),
+        locale: 'en',
+        recentTurns: []
+    };
+}
+
+async function runCase(baseUrl, { behaviour, provider }, streaming) {
+    const responder = createResponder(getResponseConfig({
+        RESPONSE_PROVIDER: 'openai',
+        LLM_BASE_URL: baseUrl,
+        LLM_MODEL: behaviour,
+        LLM_TIMEOUT_MS: String(TIMEOUT_MS)
+    }));
+    const context = contextFor('I feel a bit down today');
+
+    const startedAt = Date.now();
+    const reply = streaming ? responder.streamReply(context, () => {}) : responder.reply(context);
+    const result = await Promise.race([reply, giveUp()]);
+    const elapsed = Date.now() - startedAt;
+
+    const label = `${behaviour}${streaming ? ' (stream)' : ''}`;
+    if (!result) {
+        console.log(`❌ ${label}: no reply after ${HUNG_MS}ms`);
+        return false;
+    }
+
+    const problems = [];
+    if (result.provider !== provider) problems.push(`answered by ${result.provider}, expected ${provider}`);
+    if (!result.text) problems.push('empty reply');
+    if (elapsed > TIMEOUT_MS + GRACE_MS) problems.push(`took ${elapsed}ms with a ${TIMEOUT_MS}ms timeout`);
+
+    if (problems.length > 0) {
+        console.log(`❌ ${label}: ${problems.join(', ')}`);
+        return false;
+    }
+    console.log(`✅ ${label}: ${result.provider} in ${elapsed}ms`);
+    return true;
+}
+
+async function main() {
+    const server = await startStub();
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    let failures = 0;
+    try {
+        for (const testCase of CASES) {
+            for (const streaming of [false, true]) {
+                if (!(await runCase(baseUrl, testCase, streaming))) failures++;
+            }
+        }
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+
+    if (failures > 0) {
+        console.log(`❌ ${failures} of ${CASES.length * 2} provider cases failed`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✅ All ${CASES.length * 2} provider cases behave`);
+}
+
+main().catch(error => {
+    console.error('❌ Provider check failed:', error.message);
+    process.exitCode = 1;
+});
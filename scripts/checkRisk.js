@@ -0,0 +1,72 @@
+/**
+ * CHECK RISK - Regression check for the crisis language classifier
+ *
+ * Usage:
+ *   npm run check:risk [-- options]
+ *
+ * Runs every message in scripts/fixtures/risk.json through controllers/riskController.js (without session
+ * history) and compares the level and signals with the recorded ones. Exits with code 1 when any result changed.
+ *
+ * Options:
+ *   --update   Record the current results as the expected ones (review the diff before committing)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { assessRisk } = require('../controllers/riskController');
+
+const FIXTURES_FILE = path.join(__dirname, 'fixtures', 'risk.json');
+
+function parseArgs(argv) {
+    const args = { update: false };
+    argv.forEach(arg => {
+        if (arg === '--update') {
+            args.update = true;
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    });
+    return args;
+}
+
+function resultOf(fixture) {
+    const { level, signals } = assessRisk(fixture.text);
+    return { level, signals };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'));
+
+    if (args.update) {
+        fixtures.forEach(fixture => { fixture.expected = resultOf(fixture); });
+        fs.writeFileSync(FIXTURES_FILE, `${JSON.stringify(fixtures, null, 2)}\n`);
+        console.log(`✅ Recorded ${fixtures.length} risk results`);
+        return;
+    }
+
+    const failures = fixtures.filter(fixture => {
+        const actual = resultOf(fixture);
+        if (JSON.stringify(actual) === JSON.stringify(fixture.expected)) return false;
+
+        console.log(`❌ ${JSON.stringify(fixture.text)}${fixture.note ? ` (${fixture.note})` : ''}`);
+        console.log(`   expected ${JSON.stringify(fixture.expected)}`);
+        console.log(`   actual   ${JSON.stringify(actual)}`);
+        return true;
+    });
+
+    if (failures.length > 0) {
+        console.log(`❌ ${failures.length} of ${fixtures.length} risk fixtures changed`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✅ All ${fixtures.length} risk fixtures match`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Risk check failed:', error.message);
+    process.exitCode = 1;
+}
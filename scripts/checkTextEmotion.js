@@ -0,0 +1,84 @@
+/**
+ * CHECK TEXT EMOTION - Regression check for the text emotion analyzer
+ *
+ * Usage:
+ *   npm run check:text-emotion [-- options]
+ *
+ * Runs every message in scripts/fixtures/textEmotion.json through shared/emotion.js and compares
+ * the emotion, confidence, dismissive flag, language, scores, ranked emotions, mixed flag, valence and arousal with the recorded ones.
+ * Exits with code 1 when any result changed.
+ *
+ * Options:
+ *   --update   Record the current results as the expected ones (review the diff before committing)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TextEmotionAnalyzer = require('../shared/emotion');
+
+const FIXTURES_FILE = path.join(__dirname, 'fixtures', 'textEmotion.json');
+
+function parseArgs(argv) {
+    const args = { update: false };
+    argv.forEach(arg => {
+        if (arg === '--update') {
+            args.update = true;
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    });
+    return args;
+}
+
+function resultOf(analyzer, fixture) {
+    const analysis = analyzer.analyze(fixture.text, { language: fixture.language });
+    return {
+        emotion: analysis.emotion,
+        confidence: analysis.confidence,
+        isDismissive: analysis.isDismissive,
+        language: analysis.language,
+        allScores: analysis.allScores,
+        emotions: analysis.emotions,
+        mixed: analysis.mixed,
+        valence: analysis.valence,
+        arousal: analysis.arousal
+    };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'));
+    const analyzer = new TextEmotionAnalyzer();
+
+    if (args.update) {
+        fixtures.forEach(fixture => { fixture.expected = resultOf(analyzer, fixture); });
+        fs.writeFileSync(FIXTURES_FILE, `${JSON.stringify(fixtures, null, 2)}\n`);
+        console.log(`✅ Recorded ${fixtures.length} text emotion results`);
+        return;
+    }
+
+    const failures = fixtures.filter(fixture => {
+        const actual = resultOf(analyzer, fixture);
+        if (JSON.stringify(actual) === JSON.stringify(fixture.expected)) return false;
+
+        console.log(`❌ ${JSON.stringify(fixture.text)}${fixture.note ? ` (${fixture.note})` : ''}`);
+        console.log(`   expected ${JSON.stringify(fixture.expected)}`);
+        console.log(`   actual   ${JSON.stringify(actual)}`);
+        return true;
+    });
+
+    if (failures.length > 0) {
+        console.log(`❌ ${failures.length} of ${fixtures.length} text emotion fixtures changed`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✅ All ${fixtures.length} text emotion fixtures match`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Text emotion check failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,81 @@
+/**
+ * IMPORT MOODS - Mood history import CLI
+ *
+ * Usage:
+ *   npm run import -- --user <username> --format <daylio|json> --file <path> [options]
+ *
+ * Options:
+ *   --timezone <zone>        Zone for timestamps without an offset (default the user's, else UTC)
+ *   --map <label=emotion,…>  Extra label mappings, e.g. awful=anxious,meh=sad
+ *   --dry-run                Parse and map only, don't write anything
+ */
+
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { store } = require('../config/database');
+const { IMPORT_FORMATS, prepareImport, parseMapping } = require('../server/importers');
+const { isValidTimeZone } = require('../utils/timezone');
+
+function parseArgs(argv) {
+    const args = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (['--user', '--format', '--file', '--timezone', '--map'].includes(arg)) {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.user || !args.file || !IMPORT_FORMATS.includes(args.format)) {
+        throw new Error(`Usage: --user <username> --format <${IMPORT_FORMATS.join('|')}> --file <path>`);
+    }
+    if (args.timezone && !isValidTimeZone(args.timezone)) {
+        throw new Error(`Unknown time zone "${args.timezone}"`);
+    }
+
+    await store.init();
+
+    const user = await store.findUserByUsername(args.user.toLowerCase());
+    if (!user) {
+        throw new Error(`No user named "${args.user}"`);
+    }
+
+    const timeZone = args.timezone || user.timezone || 'UTC';
+    const prepared = prepareImport(args.format, fs.readFileSync(args.file, 'utf8'), {
+        timeZone,
+        mapping: parseMapping(args.map)
+    });
+
+    console.log(`📥 ${args.file}: ${prepared.entries.length} entries mapped (${args.format}, ${timeZone})`);
+
+    prepared.errors.forEach(error => console.warn(`  ⚠️  Entry ${error.entry}: ${error.message}`));
+    Object.entries(prepared.unmapped).forEach(([label, count]) => {
+        console.warn(`  ⚠️  Unknown mood "${label}" (${count}x) - add it with --map "${label}=<emotion>"`);
+    });
+
+    if (args.dryRun) {
+        console.log('✅ Dry run, nothing written');
+        return;
+    }
+
+    const { imported, skipped } = await store.importEntries(user.id, prepared);
+    console.log(`✅ Imported ${imported} entries for ${user.username}, skipped ${skipped} already imported`);
+}
+
+main()
+    .catch(error => {
+        console.error('❌ Import failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => store.close());
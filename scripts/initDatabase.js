@@ -0,0 +1,59 @@
+/**
+ * INIT DATABASE - Schema migration CLI
+ *
+ * Usage:
+ *   npm run init-db                      Apply all pending migrations
+ *   npm run init-db -- migrate [version] Apply pending migrations up to version
+ *   npm run init-db -- rollback [steps]  Roll back the last N migrations (default 1)
+ *   npm run init-db -- status            Show applied and pending migrations
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { store } = require('../config/database');
+const { Migrator } = require('../server/storage/migrator');
+
+async function main() {
+    const [command = 'migrate', argument] = process.argv.slice(2);
+    const migrator = new Migrator(store.driver);
+
+    console.log(`🗄️  Database: ${store.dialect}`);
+
+    switch (command) {
+        case 'migrate': {
+            const applied = await migrator.migrate({ to: argument });
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Schema already up to date');
+            break;
+        }
+        case 'rollback': {
+            const steps = argument ? parseInt(argument, 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Invalid number of steps: ${argument}`);
+            }
+            const rolledBack = await migrator.rollback({ steps });
+            console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+            break;
+        }
+        case 'status': {
+            const migrations = await migrator.status();
+            migrations.forEach(migration => {
+                const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+                console.log(`  ${migration.applied ? '✔' : '·'} ${migration.version}_${migration.name} (${state})`);
+            });
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}" (expected migrate, rollback or status)`);
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => store.close());
@@ -0,0 +1,72 @@
+/**
+ * REENCRYPT - Encryption maintenance CLI
+ *
+ * Usage:
+ *   npm run reencrypt [-- options]
+ *
+ * Brings every stored message and reply under ENCRYPTION_ACTIVE_KEY: plaintext rows are encrypted,
+ * rows under an older key get their data keys rewrapped. Run it after rotating keys (see config/encryption.js).
+ *
+ * Options:
+ *   --dry-run        Count the rows that would change, don't write anything
+ *   --decrypt        Store everything as plaintext again (needs the keys it was encrypted with)
+ *   --batch-size <n> Rows per batch (default 500)
+ *   --generate-key   Print a new random key for ENCRYPTION_KEYS and exit
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { generateKey } = require('../utils/encryption');
+
+function parseArgs(argv) {
+    const args = { dryRun: false, decrypt: false, generateKey: false, batchSize: 500 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--decrypt') {
+            args.decrypt = true;
+        } else if (arg === '--generate-key') {
+            args.generateKey = true;
+        } else if (arg === '--batch-size') {
+            args.batchSize = parseInt(argv[++i], 10);
+            if (!(args.batchSize > 0)) throw new Error('--batch-size must be a positive number');
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.generateKey) {
+        console.log(generateKey());
+        return;
+    }
+
+    const { store } = require('../config/database');
+    try {
+        if (!args.decrypt && !store.cipher.enabled) {
+            throw new Error('Set ENCRYPTION_KEYS (and optionally ENCRYPTION_ACTIVE_KEY) first');
+        }
+
+        await store.init();
+
+        const target = args.decrypt ? 'plaintext' : `key "${store.cipher.activeKeyId}"`;
+        console.log(`🔐 Moving conversations to ${target}${args.dryRun ? ' (dry run)' : ''}...`);
+
+        const { scanned, updated } = await store.reencryptConversations(args);
+        console.log(`✅ ${scanned} conversations checked, ${updated} ${args.dryRun ? 'would change' : 'updated'}`);
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Re-encryption failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,106 @@
+/**
+ * RISK AUDIT - Review turns the risk classifier flagged
+ *
+ * Usage:
+ *   npm run risk-audit [-- options]
+ *
+ * Lists risk flags newest first (see controllers/riskController.js). Flags hold the level, the kinds of signals
+ * and the user's emotional pattern, never the message itself.
+ *
+ * Options:
+ *   --level <levels>   Only these levels, comma separated (elevated, high, imminent)
+ *   --since <date>     Only flags from this date on (YYYY-MM-DD)
+ *   --unreviewed       Only flags nobody has reviewed yet
+ *   --limit <n>        At most n flags (default 100)
+ *   --json             Print the flags as JSON
+ *   --review <id>      Mark a flag reviewed instead of listing
+ *   --note <text>      Review note to store with --review
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { RISK_LEVELS } = require('../controllers/riskController');
+
+function parseArgs(argv) {
+    const args = { levels: null, since: null, unreviewed: false, limit: 100, json: false, review: null, note: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--level') {
+            args.levels = String(argv[++i] || '').split(',').map(level => level.trim()).filter(Boolean);
+            const unknown = args.levels.filter(level => !RISK_LEVELS.includes(level) || level === 'none');
+            if (args.levels.length === 0 || unknown.length > 0) {
+                throw new Error('--level must be one or more of elevated, high, imminent');
+            }
+        } else if (arg === '--since') {
+            const since = argv[++i];
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(since || '')) throw new Error('--since must be a date (YYYY-MM-DD)');
+            args.since = new Date(`${since}T00:00:00.000Z`);
+        } else if (arg === '--unreviewed') {
+            args.unreviewed = true;
+        } else if (arg === '--limit') {
+            args.limit = parseInt(argv[++i], 10);
+            if (!(args.limit > 0)) throw new Error('--limit must be a positive number');
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--review') {
+            args.review = parseInt(argv[++i], 10);
+            if (!(args.review > 0)) throw new Error('--review needs a flag id');
+        } else if (arg === '--note') {
+            args.note = argv[++i];
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    }
+    return args;
+}
+
+function describeFlag(flag) {
+    const reviewed = flag.reviewedAt
+        ? `reviewed ${new Date(flag.reviewedAt).toISOString()}${flag.reviewNote ? ` (${flag.reviewNote})` : ''}`
+        : 'not reviewed';
+    return [
+        `#${flag.id}`,
+        new Date(flag.createdAt).toISOString(),
+        flag.level.toUpperCase(),
+        `user ${flag.userId}`,
+        `conversation ${flag.conversationId || '-'}`,
+        `signals: ${flag.signals.map(signal => signal.category).join(', ') || '-'}`,
+        flag.safetyResponse ? 'safety response sent' : 'normal reply',
+        reviewed
+    ].join('  ');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const { store } = require('../config/database');
+    try {
+        await store.init();
+
+        if (args.review) {
+            if (!await store.reviewRiskFlag(args.review, args.note)) {
+                throw new Error(`Risk flag ${args.review} not found`);
+            }
+            console.log(`✅ Risk flag ${args.review} marked reviewed`);
+            return;
+        }
+
+        const flags = await store.listRiskFlags(args);
+        if (args.json) {
+            console.log(JSON.stringify(flags, null, 2));
+            return;
+        }
+
+        console.log(`🚨 ${flags.length} risk flag${flags.length === 1 ? '' : 's'}`);
+        flags.forEach(flag => console.log(describeFlag(flag)));
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Risk audit failed:', error.message);
+    process.exitCode = 1;
+});
@@ -3,9 +3,9 @@
  * Emotion-Aware AI Companion Backend
  */
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -15,14 +15,38 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+
+// Imports carry a whole export file, so they parse their own (larger, non-JSON) body
+app.use('/api/import', require('./server/routes/import'));
+
+app.use(express.json());
 app.use(express.static('public'));
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+
+// Response template packs, also read by the browser for its mismatch notes
+const { templates } = require('./config/templates');
+app.use('/templates', express.static(templates.dir));
+
+// Face expression -> emotion mapping, also read by the browser for the live face label
+const { expressionMapping } = require('./config/faceExpressions');
+app.get('/face-expressions.json', (req, res) => res.json(expressionMapping));
 
-// Database connection
-const db = require('./config/database');
+// Storage (postgres, mysql or embedded file driver)
+const { store } = require('./config/database');
+const { getRetentionConfig } = require('./config/retention');
+const { startRetentionJob } = require('./server/jobs/retentionJob');
 
 // API Routes
+const authRoutes = require('./server/routes/auth');
+const sessionRoutes = require('./server/routes/sessions');
+const exportRoutes = require('./server/routes/export');
+const trashRoutes = require('./server/routes/trash');
 const apiRoutes = require('./server/routes/api');
+const { notFoundHandler, errorHandler } = require('./server/middleware/errorHandler');
+app.use('/api/auth', authRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/trash', trashRoutes);
 app.use('/api', apiRoutes);
 
 // Serve index.html for root
@@ -30,55 +54,23 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).send({ error: 'Something went wrong!' });
-});
+// Unmatched API paths and every thrown error share one JSON error shape
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
-// Initialize database tables
+// Initialize database schema
 async function initializeDatabase() {
     try {
-        console.log('🗄️  Initializing database...');
-        
-        // Create tables if they don't exist
-        await db.query(`
-            CREATE TABLE IF NOT EXISTS conversations (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                user_text TEXT NOT NULL,
-                ai_response TEXT NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+        console.log(`🗄️  Initializing database (${store.dialect})...`);
         
-        await db.query(`
-            CREATE TABLE IF NOT EXISTS emotions (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                conversation_id INT,
-                face_emotion VARCHAR(50),
-                text_emotion VARCHAR(50),
-                confidence_face INT,
-                confidence_text INT,
-                mismatch BOOLEAN DEFAULT FALSE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
-            )
-        `);
+        // Apply pending schema migrations (see `npm run init-db -- status`)
+        await store.init();
         
-        await db.query(`
-            CREATE TABLE IF NOT EXISTS emotion_summary (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                date DATE NOT NULL UNIQUE,
-                happy_count INT DEFAULT 0,
-                sad_count INT DEFAULT 0,
-                angry_count INT DEFAULT 0,
-                neutral_count INT DEFAULT 0,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-            )
-        `);
+        console.log('✅ Database schema up to date');
         
-        console.log('✅ Database tables initialized');
+        if (!store.cipher.enabled) {
+            console.warn('⚠️  ENCRYPTION_KEYS not set, messages and replies are stored unencrypted');
+        }
     } catch (error) {
         console.error('❌ Database initialization error:', error);
     }
@@ -90,6 +82,9 @@ async function startServer() {
         // Initialize database
         await initializeDatabase();
         
+        // Purge expired and trashed data in the background
+        startRetentionJob(store, getRetentionConfig());
+        
         // Start listening
         app.listen(PORT, () => {
             console.log('🚀 ================================');
@@ -107,14 +102,12 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, closing server...');
-    db.end();
-    process.exit(0);
+    store.close().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
     console.log('\nSIGINT received, closing server...');
-    db.end();
-    process.exit(0);
+    store.close().finally(() => process.exit(0));
 });
 
 // Start the server
@@ -0,0 +1,141 @@
+/**
+ * DAYLIO IMPORTER - Parses Daylio's CSV export
+ *
+ * Expected header (older exports have no note_title):
+ *   full_date,date,weekday,time,mood,activities,note_title,note
+ * Dates and times are the phone's wall clock, so they are read in the importing user's time zone.
+ */
+
+const { zonedStartOf } = require('../../utils/timezone');
+
+const REQUIRED_COLUMNS = ['full_date', 'time', 'mood'];
+
+/**
+ * @param {string} content - CSV text
+ * @param {Object} options - { timeZone }
+ * @returns {{ records: Array<{ entry, occurredAt, label, text }>, errors: Array<{ entry, message }> }}
+ */
+function parseDaylio(content, { timeZone }) {
+    const rows = parseCsv(content.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+        throw new Error('The Daylio export is empty');
+    }
+
+    const header = rows[0].map(column => column.trim().toLowerCase());
+    const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Not a Daylio CSV export: missing column(s) ${missing.join(', ')}`);
+    }
+
+    const records = [];
+    const errors = [];
+
+    rows.slice(1).forEach((cells, index) => {
+        const entry = index + 1;
+        if (cells.length === 1 && cells[0].trim() === '') return;
+
+        const row = Object.fromEntries(header.map((column, i) => [column, (cells[i] || '').trim()]));
+        const time = parseTime(row.time);
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(row.full_date) || !time) {
+            errors.push({ entry, message: `Unreadable date/time "${row.full_date} ${row.time}"` });
+            return;
+        }
+        if (!row.mood) {
+            errors.push({ entry, message: 'Missing mood' });
+            return;
+        }
+
+        records.push({
+            entry,
+            occurredAt: zonedStartOf(row.full_date, timeZone, time.hour, time.minute),
+            label: row.mood,
+            text: describeEntry(row)
+        });
+    });
+
+    return { records, errors };
+}
+
+/**
+ * Note title and body, plus the activities that were ticked
+ */
+function describeEntry(row) {
+    const note = [row.note_title, row.note]
+        .filter(Boolean)
+        .join(' - ')
+        .replace(/<br\s*\/?>/gi, '\n');
+    const activities = row.activities
+        ? row.activities.split('|').map(activity => activity.trim()).filter(Boolean)
+        : [];
+
+    const parts = [note || `Logged mood: ${row.mood}`];
+    if (activities.length > 0) parts.push(`(activities: ${activities.join(', ')})`);
+    return parts.join(' ');
+}
+
+/**
+ * '21:30', '9:30 PM' or '9:30 pm'
+ */
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})(?:\s*([ap])\.?m\.?)?$/i.exec(text || '');
+    if (!match) return null;
+
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+
+    return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+module.exports = {
+    parseDaylio
+};
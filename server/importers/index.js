@@ -0,0 +1,64 @@
+/**
+ * IMPORTERS - Mood history from other apps
+ * Parses an export, maps its mood labels onto our emotions and fingerprints every record
+ * so the store can skip ones that were imported before.
+ */
+
+const crypto = require('crypto');
+const { parseDaylio } = require('./daylio');
+const { parseJsonLog } = require('./jsonLog');
+const { mapMood, parseMapping } = require('./moodMap');
+
+const PARSERS = {
+    daylio: parseDaylio,
+    json: parseJsonLog
+};
+
+const IMPORT_FORMATS = Object.keys(PARSERS);
+
+/**
+ * @param {string} format - one of IMPORT_FORMATS (also stored as the conversation source)
+ * @param {string|Object} content - file contents
+ * @param {Object} options - { timeZone, mapping: { label: emotion } }
+ * @returns {Object} - { source, entries: [{ occurredAt, emotion, label, text, externalId }], unmapped: { label: count }, errors }
+ * @throws {Error} when the content isn't in the given format at all
+ */
+function prepareImport(format, content, { timeZone, mapping = {} }) {
+    const { records, errors } = PARSERS[format](content, { timeZone });
+
+    const entries = [];
+    const unmapped = {};
+
+    for (const record of records) {
+        const emotion = mapMood(record.label, mapping);
+        if (!emotion) {
+            unmapped[record.label] = (unmapped[record.label] || 0) + 1;
+            continue;
+        }
+
+        entries.push({
+            occurredAt: record.occurredAt,
+            emotion,
+            label: record.label,
+            text: record.text,
+            externalId: fingerprint(format, record)
+        });
+    }
+
+    return { source: format, entries, unmapped, errors };
+}
+
+/**
+ * Stable id for a record: same file imported twice -> same ids
+ */
+function fingerprint(source, record) {
+    return crypto.createHash('sha256')
+        .update([source, record.occurredAt.toISOString(), record.label, record.text].join('\u0000'))
+        .digest('hex');
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    prepareImport,
+    parseMapping
+};
@@ -0,0 +1,99 @@
+/**
+ * JSON MOOD LOG IMPORTER - Generic mood logs
+ *
+ * Accepts an array of entries, or an object with an `entries`, `moods` or `logs` array.
+ * Each entry needs a time and a mood, under any of these keys:
+ *   time: timestamp | datetime | date | created_at | createdAt | time
+ *   mood: mood | emotion | label | feeling
+ *   text: note | notes | text | entry | description (optional)
+ * Timestamps without an offset (e.g. '2024-03-01T21:30' or '2024-03-01') are read in the user's time zone,
+ * numbers are Unix time in seconds or milliseconds.
+ */
+
+const { zonedStartOf } = require('../../utils/timezone');
+
+const TIME_KEYS = ['timestamp', 'datetime', 'date', 'created_at', 'createdAt', 'time'];
+const MOOD_KEYS = ['mood', 'emotion', 'label', 'feeling'];
+const TEXT_KEYS = ['note', 'notes', 'text', 'entry', 'description'];
+
+/**
+ * @param {string|Object|Array} content - JSON text or an already parsed body
+ * @param {Object} options - { timeZone }
+ * @returns {{ records: Array<{ entry, occurredAt, label, text }>, errors: Array<{ entry, message }> }}
+ */
+function parseJsonLog(content, { timeZone }) {
+    let data = content;
+    if (typeof content === 'string') {
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+    }
+
+    const entries = Array.isArray(data)
+        ? data
+        : data && (data.entries || data.moods || data.logs);
+    if (!Array.isArray(entries)) {
+        throw new Error('Expected an array of mood entries (or an object with an "entries" array)');
+    }
+
+    const records = [];
+    const errors = [];
+
+    entries.forEach((item, index) => {
+        const entry = index + 1;
+        if (!item || typeof item !== 'object') {
+            errors.push({ entry, message: 'Entry is not an object' });
+            return;
+        }
+
+        const time = pick(item, TIME_KEYS);
+        const label = pick(item, MOOD_KEYS);
+        const occurredAt = parseTimestamp(time, timeZone);
+
+        if (!occurredAt) {
+            errors.push({ entry, message: time === undefined ? 'Missing timestamp' : `Unreadable timestamp ${JSON.stringify(time)}` });
+            return;
+        }
+        if (typeof label !== 'string' || !label.trim()) {
+            errors.push({ entry, message: 'Missing mood' });
+            return;
+        }
+
+        const text = pick(item, TEXT_KEYS);
+        records.push({
+            entry,
+            occurredAt,
+            label: label.trim(),
+            text: typeof text === 'string' && text.trim() ? text.trim() : `Logged mood: ${label.trim()}`
+        });
+    });
+
+    return { records, errors };
+}
+
+function pick(item, keys) {
+    const key = keys.find(candidate => item[candidate] !== undefined && item[candidate] !== null);
+    return key ? item[key] : undefined;
+}
+
+function parseTimestamp(value, timeZone) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return new Date(value < 1e12 ? value * 1000 : value);
+    }
+    if (typeof value !== 'string') return null;
+
+    const local = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/.exec(value.trim());
+    if (local) {
+        if (isNaN(Date.parse(local[1]))) return null;
+        return zonedStartOf(local[1], timeZone, parseInt(local[2] || '0', 10), parseInt(local[3] || '0', 10));
+    }
+
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : new Date(parsed);
+}
+
+module.exports = {
+    parseJsonLog
+};
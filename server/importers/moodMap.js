@@ -0,0 +1,83 @@
+/**
+ * MOOD MAP - External mood labels -> the app's emotions (shared/taxonomy.js)
+ * Covers Daylio's default scale (rad, good, meh, bad, awful) and common words from other trackers.
+ * Labels we don't know are run through the text analyzer before giving up.
+ */
+
+const TextEmotionAnalyzer = require('../../shared/emotion');
+const { names: EMOTIONS } = require('../../shared/taxonomy');
+
+const MOOD_LABELS = {
+    happy: [
+        'rad', 'good', 'great', 'awesome', 'amazing', 'happy', 'joy', 'joyful', 'excited',
+        'content', 'grateful', 'cheerful', 'loved', 'proud', 'positive', 'very good', 'fantastic'
+    ],
+    sad: [
+        'bad', 'awful', 'sad', 'down', 'low', 'depressed', 'lonely', 'miserable', 'unhappy',
+        'upset', 'hurt', 'terrible', 'very bad', 'hopeless', 'crying', 'heartbroken'
+    ],
+    angry: [
+        'angry', 'mad', 'annoyed', 'irritated', 'frustrated', 'furious', 'rage', 'pissed',
+        'resentful', 'bitter'
+    ],
+    anxious: [
+        'anxious', 'worried', 'nervous', 'stressed', 'scared', 'afraid', 'fearful', 'panic',
+        'panicked', 'overwhelmed', 'tense', 'uneasy', 'restless'
+    ],
+    neutral: [
+        'meh', 'ok', 'okay', 'fine', 'neutral', 'normal', 'so-so', 'so so', 'average', 'calm',
+        'tired', 'bored', 'alright'
+    ]
+};
+
+const LABEL_TO_EMOTION = new Map(
+    Object.entries(MOOD_LABELS).flatMap(([emotion, labels]) => labels.map(label => [label, emotion]))
+);
+
+const analyzer = new TextEmotionAnalyzer();
+
+function normalizeLabel(label) {
+    return String(label).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {string} label - mood as written by the other app
+ * @param {Object} [overrides] - { label: emotion } supplied by the user, checked first
+ * @returns {string|null} - one of EMOTIONS, or null when the label can't be mapped
+ */
+function mapMood(label, overrides = {}) {
+    const key = normalizeLabel(label);
+    if (!key) return null;
+
+    if (overrides[key]) return overrides[key];
+    if (EMOTIONS.includes(key)) return key;
+    if (LABEL_TO_EMOTION.has(key)) return LABEL_TO_EMOTION.get(key);
+
+    const analysis = analyzer.analyze(key);
+    return analysis.confidence > 0 ? analysis.emotion : null;
+}
+
+/**
+ * Parse 'awful=anxious,meh=sad' into { awful: 'anxious', meh: 'sad' }
+ * @throws {Error} on a malformed pair or an unknown emotion
+ */
+function parseMapping(text) {
+    const overrides = {};
+    if (!text) return overrides;
+
+    for (const pair of text.split(',')) {
+        const [label, emotion] = pair.split('=').map(part => (part || '').trim());
+        if (!label || !EMOTIONS.includes((emotion || '').toLowerCase())) {
+            throw new Error(`contains an invalid pair "${pair.trim()}" (expected label=${EMOTIONS.join('|')})`);
+        }
+        overrides[normalizeLabel(label)] = emotion.toLowerCase();
+    }
+
+    return overrides;
+}
+
+module.exports = {
+    EMOTIONS,
+    mapMood,
+    parseMapping
+};
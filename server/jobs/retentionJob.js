@@ -0,0 +1,47 @@
+/**
+ * RETENTION JOB - Background purge
+ * Periodically applies the retention policy (config/retention.js) to the store.
+ */
+
+const { redactError } = require('../../utils/logger');
+
+/**
+ * Run once now, then every policy.purgeIntervalMinutes
+ * @returns {Object|null} - { run, stop }, or null when the job is disabled
+ */
+function startRetentionJob(store, policy) {
+    if (!policy.purgeIntervalMinutes) return null;
+
+    let running = false;
+
+    async function run() {
+        // A slow purge must not overlap the next tick
+        if (running) return;
+        running = true;
+
+        try {
+            const result = await store.applyRetention(policy);
+            const removed = Object.values(result).reduce((sum, count) => sum + count, 0);
+            if (removed > 0) {
+                console.log('🧹 Retention purge:', result);
+            }
+        } catch (error) {
+            console.error('❌ Retention purge failed:', redactError(error));
+        } finally {
+            running = false;
+        }
+    }
+
+    const timer = setInterval(run, policy.purgeIntervalMinutes * 60 * 1000);
+    timer.unref();
+    run();
+
+    return {
+        run,
+        stop: () => clearInterval(timer)
+    };
+}
+
+module.exports = {
+    startRetentionJob
+};
@@ -0,0 +1,41 @@
+/**
+ * AUTH MIDDLEWARE
+ * Resolves the `Authorization: Bearer <token>` header to a user
+ */
+
+const { store } = require('../../config/database');
+const { hashToken } = require('../../utils/credentials');
+const { ApiError } = require('../../utils/errors');
+
+/**
+ * Read the bearer token from a request, or null
+ */
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Reject requests without a valid token; sets req.user = { id, username, timezone, language }
+ */
+async function requireAuth(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+        const user = token ? await store.findUserByTokenHash(hashToken(token)) : null;
+
+        if (!user) {
+            throw ApiError.unauthorized();
+        }
+
+        req.user = { id: user.id, username: user.username, timezone: user.timezone || 'UTC', language: user.language || null };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    requireAuth,
+    getBearerToken
+};
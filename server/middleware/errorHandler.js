@@ -0,0 +1,48 @@
+/**
+ * ERROR HANDLER MIDDLEWARE
+ * Turns every error into the API error contract:
+ *   { success: false, error: { code, message, details? } }
+ */
+
+const { ApiError } = require('../../utils/errors');
+const { redactError } = require('../../utils/logger');
+
+/**
+ * 404 for API paths no route matched
+ */
+function notFoundHandler(req, res, next) {
+    next(ApiError.notFound(`No route for ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND'));
+}
+
+function errorHandler(err, req, res, next) {
+    let error = err;
+
+    // body-parser failures (malformed JSON, oversized body)
+    if (!(error instanceof ApiError) && error.type === 'entity.parse.failed') {
+        error = ApiError.badRequest('Request body is not valid JSON', 'INVALID_JSON');
+    } else if (!(error instanceof ApiError) && error.type === 'entity.too.large') {
+        error = new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+
+    if (!(error instanceof ApiError)) {
+        console.error(`Error in ${req.method} ${req.originalUrl}:`, redactError(err));
+        error = new ApiError(500, 'INTERNAL_ERROR', 'Something went wrong!');
+    }
+
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const body = { code: error.code, message: error.message };
+    if (error.details) body.details = error.details;
+
+    res.status(error.status).json({
+        success: false,
+        error: body
+    });
+}
+
+module.exports = {
+    notFoundHandler,
+    errorHandler
+};
@@ -0,0 +1,44 @@
+/**
+ * VALIDATE MIDDLEWARE
+ * Checks req.body / req.query / req.params against a route schema (see server/validation/schemas.js)
+ * and replaces them with the cleaned values. Any failure becomes a single 400 ValidationError.
+ */
+
+const { validate: validateValue } = require('../validation/validator');
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * @param {Object} schemas - { body?, query?, params? }
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const part of ['params', 'query', 'body']) {
+            if (!schemas[part]) continue;
+
+            // Query strings and route params arrive as strings
+            const coerce = part !== 'body';
+            const input = part === 'body' && req.body === undefined ? {} : req[part];
+            const result = validateValue(schemas[part], input, { path: part, coerce });
+
+            errors.push(...result.errors);
+            if (result.errors.length === 0) {
+                setRequestPart(req, part, result.value || {});
+            }
+        }
+
+        next(errors.length > 0 ? new ValidationError(errors) : undefined);
+    };
+}
+
+/**
+ * req.query is a getter in newer Express versions, so define it instead of assigning
+ */
+function setRequestPart(req, part, value) {
+    Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,122 @@
+/**
+ * RESPONSE PROVIDERS - Where the companion's replies come from
+ *
+ * A provider is { name, generate(context) -> Promise<string>, stream?(context) -> AsyncIterable<string> }, where context is
+ *   { userText, textEmotion, faceEmotion, emotionAnalysis, strategy, locale, recentTurns: [{ userText, aiResponse, emotion, faceEmotion, mismatch }],
+ *     risk: riskController.assessRisk result, crisisResources: [{ name, contact }] }
+ * Providers without stream() have their whole reply sent as word-sized chunks.
+ *
+ *   template - the built-in response templates (controllers/responseController.js)
+ *   openai   - an LLM behind any OpenAI-compatible chat completions endpoint
+ *
+ * When any other provider fails, times out or returns nothing, the templates answer instead
+ * (npm run check:llm-provider runs the openai provider against a local stub server).
+ * Turns with high or imminent risk are always answered by the safety provider, and elevated risk
+ * adds its check-in after whichever provider replied.
+ */
+
+const { createTemplateProvider } = require('./templateProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createSafetyProvider } = require('./safetyProvider');
+
+const PROVIDERS = {
+    template: createTemplateProvider,
+    openai: createOpenAIProvider
+};
+
+const RESPONSE_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * @param {Object} config - see config/responses.js
+ * @returns {Object} - { name, reply(context), streamReply(context, onChunk) }, both resolving to { text, provider }
+ */
+function createResponder(config) {
+    const templates = createTemplateProvider();
+    const safety = createSafetyProvider();
+    const primary = config.provider === 'template' ? templates : PROVIDERS[config.provider](config);
+
+    async function reply(context) {
+        if (safety.handles(context)) {
+            return { text: await safety.generate(context), provider: safety.name };
+        }
+
+        if (primary !== templates) {
+            try {
+                const text = await primary.generate(context);
+                if (text) return { text, provider: primary.name };
+                throw new Error('Empty reply');
+            } catch (error) {
+                console.warn(`⚠️  Response provider "${primary.name}" failed, answering from templates: ${error.message}`);
+            }
+        }
+
+        return { text: await templates.generate(context), provider: templates.name };
+    }
+
+    async function streamReply(context, onChunk) {
+        if (safety.handles(context)) {
+            const text = await safety.generate(context);
+            splitChunks(text).forEach(chunk => onChunk(chunk));
+            return { text, provider: safety.name };
+        }
+
+        if (primary !== templates) {
+            let text = '';
+            try {
+                const chunks = primary.stream ? primary.stream(context) : splitChunks(await primary.generate(context));
+                for await (const chunk of chunks) {
+                    if (!chunk) continue;
+                    text += chunk;
+                    onChunk(chunk);
+                }
+                if (text.trim()) return { text: text.trim(), provider: primary.name };
+                throw new Error('Empty reply');
+            } catch (error) {
+                if (text.trim()) {
+                    console.warn(`⚠️  Response provider "${primary.name}" stopped mid-reply: ${error.message}`);
+                    return { text: text.trim(), provider: primary.name };
+                }
+                console.warn(`⚠️  Response provider "${primary.name}" failed, answering from templates: ${error.message}`);
+            }
+        }
+
+        const text = await templates.generate(context);
+        splitChunks(text).forEach(chunk => onChunk(chunk));
+        return { text, provider: templates.name };
+    }
+
+    return {
+        name: primary.name,
+
+        async reply(context) {
+            const result = await reply(context);
+            const checkIn = safety.checkIn(context);
+            return checkIn ? { ...result, text: `${result.text} ${checkIn}` } : result;
+        },
+
+        /**
+         * Like reply(), calling onChunk(text) for each piece of the reply as it arrives.
+         * A provider that fails mid-reply keeps what it sent, one that fails before its first chunk falls back.
+         */
+        async streamReply(context, onChunk) {
+            const result = await streamReply(context, onChunk);
+            const checkIn = safety.checkIn(context);
+            if (!checkIn) return result;
+
+            splitChunks(checkIn).forEach((chunk, index) => onChunk(index === 0 ? ` ${chunk}` : chunk));
+            return { ...result, text: `${result.text} ${checkIn}` };
+        }
+    };
+}
+
+/**
+ * "I hear you. How" -> ['I ', 'hear ', 'you. ', 'How']
+ */
+function splitChunks(text) {
+    return String(text || '').match(/\S+\s*/g) || [];
+}
+
+module.exports = {
+    RESPONSE_PROVIDERS,
+    createResponder
+};
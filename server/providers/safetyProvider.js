@@ -0,0 +1,37 @@
+/**
+ * SAFETY PROVIDER - Replies for turns the risk classifier flagged
+ * Takes over from every other provider on high and imminent risk, so the safety protocol
+ * and crisis resources are always worded the same way.
+ */
+
+const responseController = require('../../controllers/responseController');
+const { requiresSafetyResponse } = require('../../controllers/riskController');
+
+function createSafetyProvider() {
+    return {
+        name: 'safety',
+
+        /**
+         * Whether this turn's reply must come from here
+         */
+        handles({ risk }) {
+            return Boolean(risk) && requiresSafetyResponse(risk.level);
+        },
+
+        async generate({ risk, locale, crisisResources }) {
+            return responseController.generateSafetyResponse(risk, locale, crisisResources);
+        },
+
+        /**
+         * Line to add after a normal reply, '' unless the risk is elevated
+         */
+        checkIn({ risk, locale, recentTurns = [] }) {
+            if (!risk || risk.level !== 'elevated') return '';
+            return responseController.generateSafetyCheckIn(locale, recentTurns.map(turn => turn.aiResponse));
+        }
+    };
+}
+
+module.exports = {
+    createSafetyProvider
+};
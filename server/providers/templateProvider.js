@@ -0,0 +1,20 @@
+/**
+ * TEMPLATE PROVIDER - Replies from the built-in response templates
+ * Always available, and the fallback for every other provider.
+ */
+
+const responseController = require('../../controllers/responseController');
+
+function createTemplateProvider() {
+    return {
+        name: 'template',
+
+        async generate({ userText, textEmotion, faceEmotion, emotionAnalysis, locale, recentTurns }) {
+            return responseController.generateResponse(userText, textEmotion, faceEmotion, emotionAnalysis, locale, recentTurns);
+        }
+    };
+}
+
+module.exports = {
+    createTemplateProvider
+};
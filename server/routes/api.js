@@ -1,239 +1,440 @@
 /**
  * API.JS - API Routes
- * Handles all API endpoints for the emotion companion
+ * Handles all API endpoints for the emotion companion.
+ * Every route requires a logged-in user and only sees that user's data.
  */
 
 const express = require('express');
 const router = express.Router();
 const emotionController = require('../../controllers/emotionController');
-const responseController = require('../../controllers/responseController');
-const db = require('../../config/database');
+const analyticsController = require('../../controllers/analyticsController');
+const riskController = require('../../controllers/riskController');
+const { createResponder } = require('../providers');
+const { getResponseConfig } = require('../../config/responses');
+const { store } = require('../../config/database');
+const { templates } = require('../../config/templates');
+const { getCrisisResources } = require('../../config/crisisResources');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { ApiError, ValidationError } = require('../../utils/errors');
+const { toLocalDate, zonedStartOf, addDays } = require('../../utils/timezone');
+const { redact, redactError } = require('../../utils/logger');
+
+const DEFAULT_INSIGHT_WINDOW = 20;
+
+// Earlier turns of the session the risk classifier looks back over
+const RISK_SESSION_TURNS = 6;
+
+const responseConfig = getResponseConfig();
+const responder = createResponder(responseConfig);
+
+router.use(requireAuth);
 
 /**
  * POST /api/analyze
- * Analyze user message and generate AI response
+ * Analyze user message and generate AI response.
+ * The text emotion is always computed here; a posted textEmotion is only re-verified.
+ * The response's risk { level, safetyResponse, crisisResources } reports crisis language (see controllers/riskController.js).
  * 
  * Request body:
  * {
  *   userText: string,
- *   textEmotion: { emotion, confidence, isDismissive },
- *   faceEmotion: { emotion, confidence } | null,
+ *   textEmotion: { emotion, confidence, isDismissive } (optional),
+ *   faceEmotion: { emotion, confidence, expressions (face-api.js probabilities, stored with the turn; the frame is labelled from them on the server) } | null,
+ *   faceWindow: { facePresence, dominant, distribution, expressions, peaks, valence, arousal } | null
+ *     (optional - the face from first keystroke to send; when it saw a face it is judged instead of faceEmotion),
+ *   sessionId: number (optional - defaults to the latest open session, or a new one),
  *   timestamp: string
  * }
  */
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', validate(schemas.analyze), async (req, res, next) => {
     try {
-        const { userText, textEmotion, faceEmotion, timestamp } = req.body;
-        
-        console.log('📨 Received message:', { userText, textEmotion, faceEmotion });
-        
-        // Compare face and text emotions
-        const emotionAnalysis = emotionController.compareEmotions(faceEmotion, textEmotion);
-        
-        // Generate empathetic AI response
-        const aiResponse = responseController.generateResponse(
-            userText,
-            textEmotion,
-            faceEmotion,
-            emotionAnalysis
-        );
-        
-        // Store in database
-        const conversationId = await saveConversation({
-            userText,
-            aiResponse,
-            textEmotion,
-            faceEmotion,
-            emotionAnalysis
-        });
+        const turn = await prepareTurn(req);
         
-        // Update daily summary
-        await updateDailySummary(textEmotion.emotion);
+        // Generate empathetic AI response (templates answer if the configured provider fails,
+        // the safety protocol takes over on high or imminent risk)
+        const reply = await responder.reply(turn.context);
+        const conversationId = await saveTurn(req.user.id, turn, reply);
         
         res.json({
             success: true,
-            aiResponse,
-            emotionAnalysis,
-            detectedEmotion: textEmotion.emotion,
+            aiResponse: reply.text,
+            responseProvider: reply.provider,
+            ...describeAnalysis(turn),
             conversationId
         });
         
     } catch (error) {
-        console.error('Error in /api/analyze:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to analyze message',
-            aiResponse: "I'm sorry, I'm having trouble processing that right now."
-        });
+        next(error);
     }
 });
 
+/**
+ * POST /api/analyze/stream
+ * Same request body as /api/analyze, answered as Server-Sent Events:
+ *   event: analysis  { emotionAnalysis, detectedEmotion, textEmotion, textEmotionVerified, risk, sessionId }
+ *   event: chunk     { text }  (repeated, the reply in order)
+ *   event: done      { aiResponse, responseProvider, conversationId }
+ *   event: error     { code, message }  (failures after the stream started; earlier ones are normal JSON errors)
+ */
+router.post('/analyze/stream', validate(schemas.analyze), async (req, res, next) => {
+    let turn;
+    try {
+        turn = await prepareTurn(req);
+    } catch (error) {
+        return next(error);
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    try {
+        send('analysis', describeAnalysis(turn));
+        
+        const reply = await responder.streamReply(turn.context, text => send('chunk', { text }));
+        const conversationId = await saveTurn(req.user.id, turn, reply);
+        
+        send('done', { aiResponse: reply.text, responseProvider: reply.provider, conversationId });
+    } catch (error) {
+        console.error(`Error in ${req.method} ${req.originalUrl}:`, redactError(error));
+        send('error', { code: 'INTERNAL_ERROR', message: 'Something went wrong!' });
+    }
+    res.end();
+});
+
 /**
  * GET /api/history
- * Get conversation history
- * Query params: limit (default 50)
+ * Get the current user's conversation history, newest first
+ * Query params: limit (1-200, default 50), offset (default 0)
  */
-router.get('/history', async (req, res) => {
+router.get('/history', validate(schemas.history), async (req, res, next) => {
     try {
-        const limit = parseInt(req.query.limit) || 50;
+        const { limit, offset } = req.query;
         
-        const history = await db.query(
-            `SELECT c.*, e.face_emotion, e.text_emotion, e.confidence_face, e.confidence_text, e.mismatch
-             FROM conversations c
-             LEFT JOIN emotions e ON c.id = e.conversation_id
-             ORDER BY c.created_at DESC
-             LIMIT ?`,
-            [limit]
-        );
+        // One extra row tells us whether another page exists
+        const rows = await store.getHistory({ userId: req.user.id, limit: limit + 1, offset });
+        const history = rows.slice(0, limit);
+        const hasMore = rows.length > limit;
         
         res.json({
             success: true,
             history,
-            count: history.length
+            count: history.length,
+            offset,
+            limit,
+            hasMore,
+            nextOffset: hasMore ? offset + limit : null
         });
         
     } catch (error) {
-        console.error('Error fetching history:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch history'
-        });
+        next(error);
     }
 });
 
 /**
  * GET /api/summary
- * Get daily emotion summary
- * Query params: date (default today, format: YYYY-MM-DD)
+ * Emotion counts for one local day, a single-day view over /api/analytics
+ * Query params: date (default today, format: YYYY-MM-DD), timezone (default the user's)
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', validate(schemas.summary), async (req, res, next) => {
     try {
-        const date = req.query.date || new Date().toISOString().split('T')[0];
-        
-        let summary = await db.queryOne(
-            'SELECT * FROM emotion_summary WHERE date = ?',
-            [date]
-        );
-        
-        // If no summary for today, create one
-        if (!summary) {
-            await db.query(
-                'INSERT INTO emotion_summary (date, happy_count, sad_count, angry_count, neutral_count) VALUES (?, 0, 0, 0, 0)',
-                [date]
-            );
-            summary = {
-                date,
-                happy_count: 0,
-                sad_count: 0,
-                angry_count: 0,
-                neutral_count: 0
-            };
-        }
+        const timeZone = req.query.timezone || req.user.timezone;
+        const date = req.query.date || toLocalDate(new Date(), timeZone);
+        
+        const { totals } = await rollup(req.user.id, { granularity: 'day', from: date, to: date, timeZone });
         
         res.json({
             success: true,
             summary: {
-                happy: summary.happy_count,
-                sad: summary.sad_count,
-                angry: summary.angry_count,
-                neutral: summary.neutral_count,
-                date: summary.date
+                ...totals.text,
+                date,
+                timezone: timeZone,
+                face: totals.face,
+                dimensions: totals.dimensions,
+                mismatches: totals.mismatches,
+                total: totals.total
             }
         });
         
     } catch (error) {
-        console.error('Error fetching summary:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch summary'
+        next(error);
+    }
+});
+
+/**
+ * GET /api/analytics
+ * Face, text and mismatch counts and mean valence / arousal bucketed by hour, day, week or month
+ * Query params: granularity (default day), from / to (YYYY-MM-DD, inclusive, local dates),
+ *               timezone (default the user's)
+ * Week ranges widen to whole ISO weeks and month ranges to whole months
+ */
+router.get('/analytics', validate(schemas.analytics), async (req, res, next) => {
+    try {
+        const { granularity, from, to } = req.query;
+        const timeZone = req.query.timezone || req.user.timezone;
+        
+        if (from && to && from > to) {
+            throw new ValidationError([
+                { path: 'query.from', code: 'invalid_range', message: 'query.from must not be after query.to' }
+            ]);
+        }
+        
+        const { range, buckets, totals } = await rollup(req.user.id, { granularity, from, to, timeZone });
+        
+        res.json({
+            success: true,
+            granularity,
+            timezone: timeZone,
+            from: range.from,
+            to: range.to,
+            buckets,
+            totals
         });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/insights
+ * Emotional pattern, trend, volatility and suggested interventions
+ * Query params: limit (last N messages), from / to (YYYY-MM-DD in the user's timezone, inclusive)
+ * Without a date range the last 20 messages are used
+ */
+router.get('/insights', validate(schemas.insights), async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+        
+        if (from && to && from > to) {
+            throw new ValidationError([
+                { path: 'query.from', code: 'invalid_range', message: 'query.from must not be after query.to' }
+            ]);
+        }
+        
+        const limit = req.query.limit || (from || to ? undefined : DEFAULT_INSIGHT_WINDOW);
+        const emotions = await store.getEmotionWindow(req.user.id, {
+            start: from ? zonedStartOf(from, req.user.timezone) : undefined,
+            end: to ? zonedStartOf(addDays(to, 1), req.user.timezone) : undefined,
+            limit
+        });
+        
+        res.json({
+            success: true,
+            window: {
+                from: from || null,
+                to: to || null,
+                limit: limit || null,
+                count: emotions.length
+            },
+            insights: emotionController.buildInsights(emotions)
+        });
+        
+    } catch (error) {
+        next(error);
     }
 });
 
 /**
  * DELETE /api/history
- * Clear conversation history (optional endpoint)
+ * Move the current user's whole history to the trash
+ * Query params: permanent (true to delete immediately instead)
  */
-router.delete('/history', async (req, res) => {
+router.delete('/history', validate(schemas.clearHistory), async (req, res, next) => {
     try {
-        await db.query('DELETE FROM conversations');
-        await db.query('DELETE FROM emotions');
+        if (req.query.permanent) {
+            await store.clearHistory(req.user.id);
+        } else {
+            await store.trashHistory(req.user.id);
+        }
         
         res.json({
             success: true,
-            message: 'History cleared'
+            message: req.query.permanent ? 'History deleted' : 'History moved to trash'
         });
         
     } catch (error) {
-        console.error('Error clearing history:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to clear history'
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Move one conversation turn to the trash
+ */
+router.delete('/conversations/:id', validate(schemas.deleteConversation), async (req, res, next) => {
+    try {
+        if (!(await store.trashConversation(req.user.id, req.params.id))) {
+            throw ApiError.notFound('Conversation not found', 'CONVERSATION_NOT_FOUND');
+        }
+        
+        res.json({
+            success: true,
+            message: 'Conversation moved to trash'
         });
+        
+    } catch (error) {
+        next(error);
     }
 });
 
 // ========== HELPER FUNCTIONS ==========
 
 /**
- * Save conversation to database
+ * Everything before the reply: session checks, server-side emotion analysis and the provider context
  */
-async function saveConversation(data) {
-    const { userText, aiResponse, textEmotion, faceEmotion, emotionAnalysis } = data;
+async function prepareTurn(req) {
+    const { userText, faceWindow } = req.body;
     
-    // Insert conversation
-    const result = await db.query(
-        'INSERT INTO conversations (user_text, ai_response) VALUES (?, ?)',
-        [userText, aiResponse]
-    );
+    // The face over the whole composition beats the single frame taken at send,
+    // which is still used when no face was seen during the composition
+    const windowFace = faceWindow ? emotionController.faceEmotionFromWindow(faceWindow) : null;
+    const faceEmotion = windowFace || emotionController.labelFace(req.body.faceEmotion);
+    
+    const session = await resolveSession(req.user.id, req.body.sessionId);
+    if (!session) {
+        throw ApiError.notFound('Session not found', 'SESSION_NOT_FOUND');
+    }
+    if (session.status === 'closed') {
+        throw ApiError.conflict('Session is closed', 'SESSION_CLOSED');
+    }
+    
+    // Analyze the text server-side so a tampered client can't inject fake emotions
+    const { textEmotion, clientMatched } = emotionController.analyzeText(userText, req.body.textEmotion, req.user.language);
+    if (clientMatched === false) {
+        console.warn(`⚠️  Client text emotion "${req.body.textEmotion.emotion}" replaced by "${textEmotion.emotion}"`);
+    }
     
-    const conversationId = result.insertId;
+    console.log('📨 Received message:', redact({ userText, textEmotion, faceEmotion }));
     
-    // Insert emotion data
-    await db.query(
-        `INSERT INTO emotions (conversation_id, face_emotion, text_emotion, confidence_face, confidence_text, mismatch)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
+    // Compare face and text emotions
+    const emotionAnalysis = emotionController.compareEmotions(faceEmotion, textEmotion, windowFace ? faceWindow : undefined);
+    
+    const sessionTurns = await store.getRecentTurns(req.user.id, session.id, Math.max(responseConfig.contextTurns, RISK_SESSION_TURNS));
+    const recentTurns = responseConfig.contextTurns > 0 ? sessionTurns.slice(-responseConfig.contextTurns) : [];
+    
+    // Crisis language in this message, weighed against the session and the user's longer emotional pattern
+    const risk = riskController.assessRisk(userText, {
+        recentTexts: sessionTurns.map(turn => turn.user_text),
+        emotionHistory: await store.getEmotionWindow(req.user.id, { limit: DEFAULT_INSIGHT_WINDOW })
+    });
+    
+    // Crisis lines follow the browser's first language including its region (en-GB and en-US differ)
+    const [region] = req.acceptsLanguages();
+    
+    return {
+        session,
+        textEmotion,
+        clientMatched,
+        emotionAnalysis,
+        risk,
+        context: {
+            userText,
+            textEmotion,
+            faceEmotion,
+            emotionAnalysis,
+            strategy: emotionController.getResponseStrategy(emotionAnalysis),
+            // Reply language from the browser's Accept-Language, among the loaded template packs
+            locale: templates.resolveLocale(req.acceptsLanguages(...templates.locales) || undefined),
+            risk,
+            crisisResources: getCrisisResources(region !== '*' ? region : undefined),
+            recentTurns: recentTurns.map(turn => ({
+                userText: turn.user_text,
+                aiResponse: turn.ai_response,
+                emotion: turn.text_emotion,
+                faceEmotion: turn.face_emotion,
+                mismatch: turn.mismatch
+            }))
+        }
+    };
+}
+
+/**
+ * Store the turn, and a risk flag for review when the classifier raised one
+ */
+async function saveTurn(userId, turn, reply) {
+    const conversationId = await store.saveConversation({
+        userId,
+        sessionId: turn.session.id,
+        userText: turn.context.userText,
+        aiResponse: reply.text,
+        textEmotion: turn.textEmotion,
+        faceEmotion: turn.context.faceEmotion,
+        emotionAnalysis: turn.emotionAnalysis
+    });
+    
+    if (turn.risk.level !== 'none') {
+        const flagId = await store.saveRiskFlag({
+            userId,
             conversationId,
-            faceEmotion ? faceEmotion.emotion : null,
-            textEmotion.emotion,
-            faceEmotion ? faceEmotion.confidence : null,
-            textEmotion.confidence,
-            emotionAnalysis.mismatch || false
-        ]
-    );
+            sessionId: turn.session.id,
+            risk: turn.risk,
+            safetyResponse: reply.provider === 'safety',
+            locale: turn.context.locale
+        });
+        console.warn(`🚨 Risk flag ${flagId}: ${turn.risk.level} (user ${userId}, conversation ${conversationId}, signals: ${turn.risk.signals.map(signal => signal.category).join(', ')})`);
+    }
     
     return conversationId;
 }
 
+function describeAnalysis(turn) {
+    const safety = riskController.requiresSafetyResponse(turn.risk.level);
+    return {
+        emotionAnalysis: turn.emotionAnalysis,
+        detectedEmotion: turn.textEmotion.emotion,
+        textEmotion: turn.textEmotion,
+        textEmotionVerified: turn.clientMatched,
+        risk: {
+            level: turn.risk.level,
+            safetyResponse: safety,
+            crisisResources: safety ? turn.context.crisisResources : []
+        },
+        sessionId: turn.session.id
+    };
+}
+
 /**
- * Update daily emotion summary
+ * The session a new turn belongs to: the requested one, else the latest open one, else a new one
  */
-async function updateDailySummary(emotion) {
-    const today = new Date().toISOString().split('T')[0];
+async function resolveSession(userId, sessionId) {
+    if (sessionId) {
+        return store.getSession(userId, sessionId);
+    }
     
-    // Map emotion to column name
-    const emotionColumn = `${emotion}_count`;
+    const [latest] = await store.listSessions(userId, { status: 'open', limit: 1 });
+    if (latest) return latest;
     
-    // Check if summary exists for today
-    const existing = await db.queryOne(
-        'SELECT id FROM emotion_summary WHERE date = ?',
-        [today]
-    );
+    return store.getSession(userId, await store.createSession({ userId }));
+}
+
+/**
+ * Load the user's emotions for a range and bucket them
+ */
+async function rollup(userId, { granularity, from, to, timeZone }) {
+    const range = analyticsController.resolveRange({ granularity, from, to, timeZone });
     
-    if (existing) {
-        // Update existing
-        await db.query(
-            `UPDATE emotion_summary SET ${emotionColumn} = ${emotionColumn} + 1 WHERE date = ?`,
-            [today]
-        );
-    } else {
-        // Create new
-        await db.query(
-            `INSERT INTO emotion_summary (date, ${emotionColumn}) VALUES (?, 1)`,
-            [today]
-        );
+    const maxDays = analyticsController.MAX_RANGE_DAYS[granularity];
+    if (analyticsController.countDays(range) > maxDays) {
+        throw ApiError.badRequest(`Range is too large for ${granularity} buckets (max ${maxDays} days)`, 'RANGE_TOO_LARGE');
     }
+    
+    const rows = await store.getEmotionsBetween(
+        userId,
+        zonedStartOf(range.from, timeZone),
+        zonedStartOf(addDays(range.to, 1), timeZone)
+    );
+    
+    return {
+        range,
+        ...analyticsController.buildAnalytics(rows, { granularity, range, timeZone })
+    };
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
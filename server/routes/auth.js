@@ -0,0 +1,163 @@
+/**
+ * AUTH.JS - Account Routes
+ * Registration, login and logout with bearer tokens
+ */
+
+const express = require('express');
+const router = express.Router();
+const { store } = require('../../config/database');
+const { requireAuth, getBearerToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { UniqueViolationError } = require('../storage');
+const { ApiError, ValidationError } = require('../../utils/errors');
+const { hashPassword, verifyPassword, generateToken, hashToken } = require('../../utils/credentials');
+
+const TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 24 * 7;
+
+/**
+ * POST /api/auth/register
+ * Create an account and log it in
+ *
+ * Request body: { username: string, password: string, timezone?: string (IANA, e.g. 'Asia/Kolkata'),
+ *                 language?: string ('en', 'hi', 'bn', 'es' or 'hi-Latn' for Hinglish, default detected per message) }
+ */
+router.post('/register', validate(schemas.register), async (req, res, next) => {
+    try {
+        const { username, password, timezone = null, language = null } = req.body;
+        
+        const normalized = username.toLowerCase();
+        if (await store.findUserByUsername(normalized)) {
+            throw ApiError.conflict('Username is already taken', 'USERNAME_TAKEN');
+        }
+        
+        const userId = await store.createUser({
+            username: normalized,
+            passwordHash: await hashPassword(password),
+            timezone,
+            language
+        });
+        
+        res.status(201).json({
+            success: true,
+            ...(await issueToken({ id: userId, username: normalized, timezone, language }))
+        });
+        
+    } catch (error) {
+        // A concurrent registration took the name between the lookup and the insert
+        if (error instanceof UniqueViolationError) {
+            return next(ApiError.conflict('Username is already taken', 'USERNAME_TAKEN'));
+        }
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange username and password for a bearer token
+ *
+ * Request body: { username: string, password: string }
+ */
+router.post('/login', validate(schemas.login), async (req, res, next) => {
+    try {
+        const { username, password } = req.body;
+        
+        const user = await store.findUserByUsername(username.toLowerCase());
+        
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            throw ApiError.unauthorized('Invalid username or password', 'INVALID_CREDENTIALS');
+        }
+        
+        res.json({
+            success: true,
+            ...(await issueToken(user))
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the token used for this request
+ */
+router.post('/logout', requireAuth, async (req, res, next) => {
+    try {
+        await store.deleteAuthToken(hashToken(getBearerToken(req)));
+        
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * The currently authenticated user
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: req.user
+    });
+});
+
+/**
+ * PATCH /api/auth/me
+ * Update profile preferences
+ *
+ * Request body: { timezone?: string, language?: string | null } (at least one; a null language means detect per message)
+ */
+router.patch('/me', requireAuth, validate(schemas.updateProfile), async (req, res, next) => {
+    try {
+        const { timezone, language } = req.body;
+        if (timezone === undefined && language === undefined) {
+            throw new ValidationError([
+                { path: 'body', code: 'required', message: 'body must include timezone or language' }
+            ]);
+        }
+        
+        await store.updateUserPreferences(req.user.id, { timezone, language });
+        
+        res.json({
+            success: true,
+            user: {
+                ...req.user,
+                ...(timezone !== undefined && { timezone }),
+                ...(language !== undefined && { language })
+            }
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== HELPER FUNCTIONS ==========
+
+/**
+ * Create and store a new token for the user
+ */
+async function issueToken(user) {
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000);
+    
+    await store.saveAuthToken({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt
+    });
+    
+    return {
+        token,
+        expiresAt: expiresAt.toISOString(),
+        user: { id: user.id, username: user.username, timezone: user.timezone || 'UTC', language: user.language || null }
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * EXPORT.JS - History Export Routes
+ * Streams a user's conversations, per-turn emotions and daily summaries as JSON, CSV or NDJSON
+ */
+
+const express = require('express');
+const router = express.Router();
+const { store } = require('../../config/database');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { ValidationError } = require('../../utils/errors');
+const { toLocalDate, zonedStartOf, addDays } = require('../../utils/timezone');
+const { createSerializer } = require('../../controllers/exportController');
+const analyticsController = require('../../controllers/analyticsController');
+
+router.use(requireAuth);
+
+/**
+ * GET /api/export
+ * Download the full archive
+ * Query params: format (json|csv|ndjson, default json), from / to (YYYY-MM-DD, inclusive, local dates),
+ *               timezone (default the user's)
+ */
+router.get('/', validate(schemas.exportArchive), async (req, res, next) => {
+    try {
+        const { format, from, to } = req.query;
+        const timeZone = req.query.timezone || req.user.timezone;
+
+        if (from && to && from > to) {
+            throw new ValidationError([
+                { path: 'query.from', code: 'invalid_range', message: 'query.from must not be after query.to' }
+            ]);
+        }
+
+        const { contentType, extension, serializer } = createSerializer(format);
+        const filename = `emotion-companion-${toLocalDate(new Date(), timeZone)}.${extension}`;
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await write(res, serializer.start({
+            username: req.user.username,
+            timezone: timeZone,
+            from: from || null,
+            to: to || null,
+            exportedAt: new Date().toISOString()
+        }));
+
+        // Turns are written and dropped, only their day's counts are kept for the daily summaries
+        const tally = analyticsController.createDailyTally(timeZone);
+        const turns = store.iterateConversations(req.user.id, {
+            start: from ? zonedStartOf(from, timeZone) : undefined,
+            end: to ? zonedStartOf(addDays(to, 1), timeZone) : undefined
+        });
+
+        for await (const turn of turns) {
+            if (res.destroyed) return;
+
+            tally.add(turn);
+            await write(res, serializer.conversation(turn));
+        }
+
+        await write(res, serializer.summaries(tally.buckets()));
+        res.end(serializer.end());
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== HELPER FUNCTIONS ==========
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ */
+function write(res, chunk) {
+    if (!chunk || res.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,75 @@
+/**
+ * IMPORT.JS - Mood History Import Routes
+ * Brings entries from Daylio CSV exports or generic JSON mood logs into the user's history
+ */
+
+const express = require('express');
+const router = express.Router();
+const { store } = require('../../config/database');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { ApiError, ValidationError } = require('../../utils/errors');
+const { prepareImport, parseMapping } = require('../importers');
+
+// Most parse errors reported back in one response
+const MAX_REPORTED_ERRORS = 50;
+
+router.use(requireAuth);
+
+// The whole export file is the request body, whatever its content type
+router.use(express.text({ type: () => true, limit: process.env.IMPORT_MAX_SIZE || '10mb' }));
+
+/**
+ * POST /api/import
+ * Import a mood export
+ * Query params: format (daylio|json), timezone (for timestamps without an offset, default the user's),
+ *               mapping (e.g. 'awful=anxious,meh=sad'), dryRun (true to only report what would be imported)
+ * Request body: the exported file as-is
+ */
+router.post('/', validate(schemas.importHistory), async (req, res, next) => {
+    try {
+        const { format, dryRun } = req.query;
+        const timeZone = req.query.timezone || req.user.timezone;
+
+        let mapping;
+        try {
+            mapping = parseMapping(req.query.mapping);
+        } catch (error) {
+            throw new ValidationError([{ path: 'query.mapping', code: 'invalid_format', message: `query.mapping ${error.message}` }]);
+        }
+
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            throw ApiError.badRequest('Request body must be the exported file', 'IMPORT_EMPTY');
+        }
+
+        let prepared;
+        try {
+            prepared = prepareImport(format, req.body, { timeZone, mapping });
+        } catch (error) {
+            throw ApiError.badRequest(error.message, 'INVALID_IMPORT');
+        }
+
+        const result = dryRun
+            ? { imported: 0, skipped: 0 }
+            : await store.importEntries(req.user.id, prepared);
+
+        res.json({
+            success: true,
+            source: prepared.source,
+            dryRun,
+            timezone: timeZone,
+            mapped: prepared.entries.length,
+            imported: result.imported,
+            skipped: result.skipped,
+            unmapped: prepared.unmapped,
+            errorCount: prepared.errors.length,
+            errors: prepared.errors.slice(0, MAX_REPORTED_ERRORS)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+/**
+ * SESSIONS.JS - Chat Session Routes
+ * Start, list, resume and close conversation threads
+ */
+
+const express = require('express');
+const router = express.Router();
+const { store } = require('../../config/database');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { ApiError } = require('../../utils/errors');
+const { detectEmotionalPattern } = require('../../utils/emotionComparator');
+
+router.use(requireAuth);
+
+/**
+ * POST /api/sessions
+ * Start a new session
+ *
+ * Request body: { title?: string }
+ */
+router.post('/', validate(schemas.createSession), async (req, res, next) => {
+    try {
+        const sessionId = await store.createSession({ userId: req.user.id, title: req.body.title || null });
+
+        res.status(201).json({
+            success: true,
+            session: await store.getSession(req.user.id, sessionId)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/sessions
+ * List sessions, most recently active first
+ * Query params: status (open|closed), limit (1-200, default 50)
+ */
+router.get('/', validate(schemas.listSessions), async (req, res, next) => {
+    try {
+        const { status, limit } = req.query;
+        const sessions = await store.listSessions(req.user.id, { status, limit });
+
+        res.json({
+            success: true,
+            sessions,
+            count: sessions.length
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/sessions/:id
+ * A session with all of its turns
+ */
+router.get('/:id', validate(schemas.getSession), async (req, res, next) => {
+    try {
+        const sessionId = req.params.id;
+        const session = await store.getSession(req.user.id, sessionId);
+
+        if (!session) {
+            throw ApiError.notFound('Session not found', 'SESSION_NOT_FOUND');
+        }
+
+        res.json({
+            success: true,
+            session,
+            turns: await store.getSessionTurns(req.user.id, sessionId)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/sessions/:id/close
+ * Close a session and store its emotion breakdown
+ */
+router.post('/:id/close', validate(schemas.closeSession), async (req, res, next) => {
+    try {
+        const sessionId = req.params.id;
+        const session = await store.getSession(req.user.id, sessionId);
+
+        if (!session) {
+            throw ApiError.notFound('Session not found', 'SESSION_NOT_FOUND');
+        }
+
+        if (session.status === 'closed') {
+            throw ApiError.conflict('Session is already closed', 'SESSION_CLOSED');
+        }
+
+        const turns = await store.getSessionTurns(req.user.id, sessionId);
+        const breakdown = detectEmotionalPattern(turns);
+
+        res.json({
+            success: true,
+            session: await store.closeSession(req.user.id, sessionId, breakdown)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Move a session and its turns to the trash
+ */
+router.delete('/:id', validate(schemas.deleteSession), async (req, res, next) => {
+    try {
+        if (!(await store.trashSession(req.user.id, req.params.id))) {
+            throw ApiError.notFound('Session not found', 'SESSION_NOT_FOUND');
+        }
+
+        res.json({
+            success: true,
+            message: 'Session moved to trash'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * TRASH.JS - Trash Routes
+ * Deleted sessions and conversations stay here until restored or purged by the retention job
+ */
+
+const express = require('express');
+const router = express.Router();
+const { store } = require('../../config/database');
+const { getRetentionConfig } = require('../../config/retention');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { ApiError } = require('../../utils/errors');
+
+const { trashDays } = getRetentionConfig();
+
+router.use(requireAuth);
+
+/**
+ * GET /api/trash
+ * Trashed sessions and conversations, with the time each will be purged
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const trash = await store.listTrash(req.user.id);
+
+        res.json({
+            success: true,
+            retentionDays: trashDays,
+            sessions: trash.sessions.map(session => ({ ...session, purgeAt: purgeAt(session.deletedAt) })),
+            conversations: trash.conversations.map(conversation => ({
+                ...conversation,
+                purge_at: purgeAt(conversation.deleted_at)
+            }))
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/trash/conversations/:id/restore
+ * Restore a conversation (and its session, if that was trashed too)
+ */
+router.post('/conversations/:id/restore', validate(schemas.restore), async (req, res, next) => {
+    try {
+        if (!(await store.restoreConversation(req.user.id, req.params.id))) {
+            throw ApiError.notFound('Conversation is not in the trash', 'NOT_IN_TRASH');
+        }
+
+        res.json({
+            success: true,
+            message: 'Conversation restored'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/trash/sessions/:id/restore
+ * Restore a session with all of its trashed turns
+ */
+router.post('/sessions/:id/restore', validate(schemas.restore), async (req, res, next) => {
+    try {
+        if (!(await store.restoreSession(req.user.id, req.params.id))) {
+            throw ApiError.notFound('Session is not in the trash', 'NOT_IN_TRASH');
+        }
+
+        res.json({
+            success: true,
+            session: await store.getSession(req.user.id, req.params.id)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/trash
+ * Permanently delete everything in the trash now
+ */
+router.delete('/', async (req, res, next) => {
+    try {
+        const purged = await store.purgeTrash({ userId: req.user.id });
+
+        res.json({
+            success: true,
+            purged
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== HELPER FUNCTIONS ==========
+
+/**
+ * When the retention job will purge an item trashed at deletedAt (null = never)
+ */
+function purgeAt(deletedAt) {
+    return trashDays
+        ? new Date(Date.parse(deletedAt) + trashDays * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+}
+
+module.exports = router;
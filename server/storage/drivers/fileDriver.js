@@ -0,0 +1,358 @@
+/**
+ * FILE DRIVER - Embedded file-backed storage
+ * Keeps every table in memory and persists them to a single JSON file.
+ * Needs no database server, so the companion can run (and be tested) offline.
+ * Use filename ':memory:' to skip persistence entirely.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isOperatorObject, UniqueViolationError } = require('./sqlDriver');
+
+class FileDriver {
+    /**
+     * @param {Object} config - { filename }
+     */
+    constructor(config) {
+        this.filename = config.filename;
+        this.data = null;
+        this.queue = Promise.resolve();
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    // ========== PUBLIC OPERATIONS ==========
+    // Every operation runs exclusively so transactions never interleave
+
+    insert(table, row) {
+        return this.mutate(() => this.insertSync(table, row));
+    }
+
+    find(table, options = {}) {
+        return this.exclusive(() => this.findSync(table, options));
+    }
+
+    async findOne(table, options = {}) {
+        const rows = await this.find(table, { ...options, limit: 1 });
+        return rows[0] || null;
+    }
+
+    update(table, where, patch) {
+        return this.mutate(() => this.updateSync(table, where, patch));
+    }
+
+    remove(table, where) {
+        return this.mutate(() => this.removeSync(table, where));
+    }
+
+    /**
+     * Run fn against a transactional view; all changes are rolled back if it throws
+     */
+    transaction(fn) {
+        return this.exclusive(async () => {
+            const snapshot = JSON.stringify(this.data);
+            try {
+                const result = await fn(new FileTransaction(this));
+                await this.persist();
+                return result;
+            } catch (error) {
+                this.data = JSON.parse(snapshot);
+                throw error;
+            }
+        });
+    }
+
+    hasTable(table) {
+        return this.exclusive(() => Boolean(this.data.tables[table]));
+    }
+
+    createTable(table, columns) {
+        return this.mutate(() => this.createTableSync(table, columns));
+    }
+
+    dropTable(table) {
+        return this.mutate(() => this.dropTableSync(table));
+    }
+
+    addColumn(table, column) {
+        return this.mutate(() => this.addColumnSync(table, column));
+    }
+
+    dropColumn(table, columnName) {
+        return this.mutate(() => this.dropColumnSync(table, columnName));
+    }
+
+    // Lookups are in-memory scans, so indexes are not needed
+    async createIndex() {}
+
+    async close() {
+        await this.queue;
+    }
+
+    // ========== SYNCHRONOUS CORE ==========
+
+    table(name) {
+        const table = this.data.tables[name];
+        if (!table) throw new Error(`Table "${name}" does not exist`);
+        return table;
+    }
+
+    insertSync(tableName, row) {
+        const table = this.table(tableName);
+        const record = {};
+
+        table.columns.forEach(column => {
+            if (column.type === 'id') return;
+            record[column.name] = column.default !== undefined ? column.default : null;
+        });
+
+        for (const [key, value] of Object.entries(row)) {
+            record[key] = toStoredValue(value);
+        }
+
+        // Same guarantee as a UNIQUE constraint in SQL
+        for (const column of table.columns) {
+            if (!column.unique || record[column.name] === null) continue;
+            if (table.rows.some(existing => existing[column.name] === record[column.name])) {
+                throw new UniqueViolationError(`Duplicate value for "${column.name}" in "${tableName}"`);
+            }
+        }
+
+        table.sequence += 1;
+        record.id = table.sequence;
+        table.rows.push(record);
+
+        return record.id;
+    }
+
+    findSync(tableName, options) {
+        let rows = this.table(tableName).rows.filter(row => matches(row, options.where));
+
+        if (options.orderBy && options.orderBy.length > 0) {
+            rows = rows.slice().sort((a, b) => {
+                for (const [column, direction] of options.orderBy) {
+                    const diff = compareValues(a[column], b[column]);
+                    if (diff !== 0) return direction === 'desc' ? -diff : diff;
+                }
+                return 0;
+            });
+        }
+
+        const start = options.offset || 0;
+        const end = options.limit !== undefined ? start + options.limit : undefined;
+
+        return rows.slice(start, end).map(row => {
+            if (!options.columns) return { ...row };
+            const picked = {};
+            options.columns.forEach(column => { picked[column] = row[column]; });
+            return picked;
+        });
+    }
+
+    updateSync(tableName, where, patch) {
+        const rows = this.table(tableName).rows.filter(row => matches(row, where));
+        rows.forEach(row => {
+            for (const [key, value] of Object.entries(patch)) {
+                row[key] = toStoredValue(value);
+            }
+        });
+        return rows.length;
+    }
+
+    removeSync(tableName, where) {
+        const table = this.table(tableName);
+        const removed = table.rows.filter(row => matches(row, where));
+        if (removed.length === 0) return 0;
+
+        table.rows = table.rows.filter(row => !removed.includes(row));
+
+        // Emulate ON DELETE CASCADE / SET NULL for tables that reference this one
+        for (const [childName, child] of Object.entries(this.data.tables)) {
+            child.columns
+                .filter(column => column.references && column.references.table === tableName)
+                .forEach(column => {
+                    const ids = removed.map(row => row[column.references.column]);
+                    const where = { [column.name]: { $in: ids } };
+                    if (column.references.onDelete === 'CASCADE') {
+                        this.removeSync(childName, where);
+                    } else if (column.references.onDelete === 'SET NULL') {
+                        this.updateSync(childName, where, { [column.name]: null });
+                    }
+                });
+        }
+
+        return removed.length;
+    }
+
+    createTableSync(tableName, columns) {
+        if (this.data.tables[tableName]) return;
+        this.data.tables[tableName] = { columns, sequence: 0, rows: [] };
+    }
+
+    dropTableSync(tableName) {
+        delete this.data.tables[tableName];
+    }
+
+    addColumnSync(tableName, column) {
+        const table = this.table(tableName);
+        table.columns.push(column);
+        table.rows.forEach(row => {
+            row[column.name] = column.default !== undefined ? column.default : null;
+        });
+    }
+
+    dropColumnSync(tableName, columnName) {
+        const table = this.table(tableName);
+        table.columns = table.columns.filter(column => column.name !== columnName);
+        table.rows.forEach(row => { delete row[columnName]; });
+    }
+
+    // ========== PERSISTENCE ==========
+
+    mutate(task) {
+        return this.exclusive(async () => {
+            const result = task();
+            await this.persist();
+            return result;
+        });
+    }
+
+    exclusive(task) {
+        const run = this.queue.then(() => this.load()).then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        if (this.data) return;
+
+        if (this.filename !== ':memory:' && fs.existsSync(this.filename)) {
+            this.data = JSON.parse(await fs.promises.readFile(this.filename, 'utf8'));
+        } else {
+            this.data = { tables: {} };
+        }
+    }
+
+    /**
+     * Write to a temp file and rename, so a crash never leaves a half-written database
+     */
+    async persist() {
+        if (this.filename === ':memory:') return;
+
+        await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+        const tempFile = `${this.filename}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(this.data));
+        await fs.promises.rename(tempFile, this.filename);
+    }
+}
+
+/**
+ * Same API as FileDriver, applied directly inside an already-held lock
+ */
+class FileTransaction {
+    constructor(driver) {
+        this.driver = driver;
+    }
+
+    get name() {
+        return this.driver.name;
+    }
+
+    async insert(table, row) {
+        return this.driver.insertSync(table, row);
+    }
+
+    async find(table, options = {}) {
+        return this.driver.findSync(table, options);
+    }
+
+    async findOne(table, options = {}) {
+        return this.driver.findSync(table, { ...options, limit: 1 })[0] || null;
+    }
+
+    async update(table, where, patch) {
+        return this.driver.updateSync(table, where, patch);
+    }
+
+    async remove(table, where) {
+        return this.driver.removeSync(table, where);
+    }
+
+    async transaction(fn) {
+        return fn(this);
+    }
+
+    async hasTable(table) {
+        return Boolean(this.driver.data.tables[table]);
+    }
+
+    async createTable(table, columns) {
+        this.driver.createTableSync(table, columns);
+    }
+
+    async dropTable(table) {
+        this.driver.dropTableSync(table);
+    }
+
+    async addColumn(table, column) {
+        this.driver.addColumnSync(table, column);
+    }
+
+    async dropColumn(table, columnName) {
+        this.driver.dropColumnSync(table, columnName);
+    }
+
+    async createIndex() {}
+}
+
+// ========== HELPERS ==========
+
+function toStoredValue(value) {
+    return value instanceof Date ? value.toISOString() : value;
+}
+
+function matches(row, where) {
+    for (const [column, condition] of Object.entries(where || {})) {
+        const value = row[column] === undefined ? null : row[column];
+
+        if (!isOperatorObject(condition)) {
+            if (value !== toStoredValue(condition)) return false;
+            continue;
+        }
+
+        for (const [operator, raw] of Object.entries(condition)) {
+            const operand = Array.isArray(raw) ? raw.map(toStoredValue) : toStoredValue(raw);
+            const diff = compareValues(value, operand);
+
+            const ok = {
+                $in: () => operand.includes(value),
+                $ne: () => value !== operand,
+                $gt: () => value !== null && diff > 0,
+                $gte: () => value !== null && diff >= 0,
+                $lt: () => value !== null && diff < 0,
+                $lte: () => value !== null && diff <= 0
+            }[operator];
+
+            if (!ok) throw new Error(`Unsupported operator "${operator}" on ${column}`);
+            if (!ok()) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Order like SQL does: nulls last, numbers numerically, everything else as strings
+ */
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : 1;
+}
+
+module.exports = {
+    FileDriver
+};
@@ -0,0 +1,102 @@
+/**
+ * MYSQL DIALECT
+ * Connection pool and SQL syntax rules for MySQL / MariaDB (via `mysql2`)
+ */
+
+const mysql = require('mysql2/promise');
+
+const COLUMN_TYPES = {
+    id: () => 'INT AUTO_INCREMENT PRIMARY KEY',
+    integer: () => 'INT',
+    float: () => 'DOUBLE',
+    boolean: () => 'BOOLEAN',
+    string: column => `VARCHAR(${column.length || 255})`,
+    text: () => 'TEXT',
+    timestamp: () => 'DATETIME(3)',
+    date: () => 'DATE'
+};
+
+/**
+ * Create the mysql dialect
+ * @param {Object} config - { host, port, user, password, database }
+ */
+function createMysqlDialect(config) {
+    const pool = mysql.createPool({
+        host: config.host,
+        port: config.port,
+        user: config.user,
+        password: config.password,
+        database: config.database,
+        // Timestamps are written and read as UTC
+        timezone: 'Z',
+        dateStrings: ['DATE']
+    });
+
+    async function run(connection, sql, params) {
+        const [result] = await connection.query(sql, params);
+        return {
+            rows: Array.isArray(result) ? result : [],
+            insertId: result.insertId,
+            affectedRows: result.affectedRows
+        };
+    }
+
+    return {
+        name: 'mysql',
+        returningId: '',
+
+        quote: identifier => `\`${identifier}\``,
+        placeholder: () => '?',
+
+        columnType(column) {
+            const type = COLUMN_TYPES[column.type];
+            if (!type) throw new Error(`Unknown column type "${column.type}"`);
+            return type(column);
+        },
+
+        execute: (sql, params) => run(pool, sql, params),
+
+        isUniqueViolation: error => error.code === 'ER_DUP_ENTRY',
+
+        async transaction(fn) {
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                const result = await fn((sql, params) => run(connection, sql, params));
+                await connection.commit();
+                return result;
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        },
+
+        async tableExists(table, executor) {
+            const result = await executor(
+                'SELECT 1 FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+                [table]
+            );
+            return result.rows.length > 0;
+        },
+
+        // MySQL refuses to drop a column that still has a foreign key
+        async dropColumnConstraints(table, column, executor) {
+            const result = await executor(
+                `SELECT CONSTRAINT_NAME AS name FROM information_schema.KEY_COLUMN_USAGE
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+                [table, column]
+            );
+            for (const row of result.rows) {
+                await executor(`ALTER TABLE \`${table}\` DROP FOREIGN KEY \`${row.name}\``, []);
+            }
+        },
+
+        close: () => pool.end()
+    };
+}
+
+module.exports = {
+    createMysqlDialect
+};
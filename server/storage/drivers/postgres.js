@@ -0,0 +1,94 @@
+/**
+ * POSTGRES DIALECT
+ * Connection pool and SQL syntax rules for PostgreSQL (via `pg`)
+ */
+
+const { Pool, types } = require('pg');
+
+// Keep DATE columns as 'YYYY-MM-DD' strings instead of local-midnight Date objects
+types.setTypeParser(types.builtins.DATE, value => value);
+
+const COLUMN_TYPES = {
+    id: () => 'SERIAL PRIMARY KEY',
+    integer: () => 'INTEGER',
+    float: () => 'DOUBLE PRECISION',
+    boolean: () => 'BOOLEAN',
+    string: column => `VARCHAR(${column.length || 255})`,
+    text: () => 'TEXT',
+    timestamp: () => 'TIMESTAMPTZ',
+    date: () => 'DATE'
+};
+
+/**
+ * Create the postgres dialect
+ * @param {Object} config - { host, port, user, password, database }
+ */
+function createPostgresDialect(config) {
+    const pool = new Pool({
+        host: config.host,
+        port: config.port,
+        user: config.user,
+        password: config.password,
+        database: config.database
+    });
+
+    async function run(client, sql, params) {
+        const result = await client.query(sql, params);
+        return {
+            rows: result.rows,
+            insertId: result.rows[0] ? result.rows[0].id : undefined,
+            affectedRows: result.rowCount
+        };
+    }
+
+    return {
+        name: 'postgres',
+        returningId: ' RETURNING id',
+
+        quote: identifier => `"${identifier}"`,
+        placeholder: index => `$${index}`,
+
+        columnType(column) {
+            const type = COLUMN_TYPES[column.type];
+            if (!type) throw new Error(`Unknown column type "${column.type}"`);
+            return type(column);
+        },
+
+        execute: (sql, params) => run(pool, sql, params),
+
+        isUniqueViolation: error => error.code === '23505',
+
+        async transaction(fn) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await fn((sql, params) => run(client, sql, params));
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                // Always release the client back to the pool
+                client.release();
+            }
+        },
+
+        async tableExists(table, executor) {
+            const result = await executor(
+                'SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = $1',
+                [table]
+            );
+            return result.rows.length > 0;
+        },
+
+        // DROP COLUMN removes the column's constraints by itself
+        dropColumnConstraints: async () => {},
+
+        close: () => pool.end()
+    };
+}
+
+module.exports = {
+    createPostgresDialect
+};
@@ -0,0 +1,284 @@
+/**
+ * SQL DRIVER - Dialect-aware query builder
+ * Turns the generic storage operations into SQL for a given dialect (postgres, mysql)
+ */
+
+const OPERATORS = {
+    $gt: '>',
+    $gte: '>=',
+    $lt: '<',
+    $lte: '<=',
+    $ne: '<>'
+};
+
+/**
+ * A write that would duplicate a value in a unique column or index
+ * Thrown by every driver so callers can tell it apart from other storage failures
+ */
+class UniqueViolationError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'UniqueViolationError';
+        this.cause = cause;
+    }
+}
+
+class SqlDriver {
+    /**
+     * @param {Object} dialect - Connection + syntax rules (see ./postgres.js, ./mysql.js)
+     * @param {Function} [executor] - Bound executor used inside a transaction
+     */
+    constructor(dialect, executor = null) {
+        this.dialect = dialect;
+        this.executor = executor || ((sql, params) => dialect.execute(sql, params));
+        this.inTransaction = executor !== null;
+    }
+
+    get name() {
+        return this.dialect.name;
+    }
+
+    /**
+     * Run raw SQL through the current executor
+     * @returns {Promise<{ rows: Array, insertId: number, affectedRows: number }>}
+     */
+    async execute(sql, params = []) {
+        let result;
+        try {
+            result = await this.executor(sql, params);
+        } catch (error) {
+            if (this.dialect.isUniqueViolation(error)) throw new UniqueViolationError(error.message, error);
+            throw error;
+        }
+        return { ...result, rows: result.rows.map(normalizeRow) };
+    }
+
+    /**
+     * Insert one row and return its generated id
+     */
+    async insert(table, row) {
+        const columns = Object.keys(row);
+        const params = columns.map(column => row[column]);
+        const placeholders = params.map((_, i) => this.dialect.placeholder(i + 1));
+
+        const sql = `INSERT INTO ${this.q(table)} (${columns.map(c => this.q(c)).join(', ')}) ` +
+            `VALUES (${placeholders.join(', ')})${this.dialect.returningId}`;
+
+        const result = await this.execute(sql, params);
+        return result.insertId;
+    }
+
+    /**
+     * Select rows
+     * @param {Object} options - { where, orderBy: [[column, 'asc'|'desc']], limit, offset, columns }
+     */
+    async find(table, options = {}) {
+        const params = [];
+        const columns = options.columns ? options.columns.map(c => this.q(c)).join(', ') : '*';
+        let sql = `SELECT ${columns} FROM ${this.q(table)}${this.buildWhere(options.where, params)}`;
+
+        if (options.orderBy && options.orderBy.length > 0) {
+            const order = options.orderBy.map(([column, direction]) =>
+                `${this.q(column)} ${direction === 'desc' ? 'DESC' : 'ASC'}`
+            );
+            sql += ` ORDER BY ${order.join(', ')}`;
+        }
+
+        if (options.limit !== undefined) {
+            params.push(options.limit);
+            sql += ` LIMIT ${this.dialect.placeholder(params.length)}`;
+        }
+
+        if (options.offset) {
+            params.push(options.offset);
+            sql += ` OFFSET ${this.dialect.placeholder(params.length)}`;
+        }
+
+        const result = await this.execute(sql, params);
+        return result.rows;
+    }
+
+    async findOne(table, options = {}) {
+        const rows = await this.find(table, { ...options, limit: 1 });
+        return rows[0] || null;
+    }
+
+    /**
+     * Update matching rows, returns the number of affected rows
+     */
+    async update(table, where, patch) {
+        const params = [];
+        const assignments = Object.entries(patch).map(([column, value]) => {
+            params.push(value);
+            return `${this.q(column)} = ${this.dialect.placeholder(params.length)}`;
+        });
+
+        const sql = `UPDATE ${this.q(table)} SET ${assignments.join(', ')}${this.buildWhere(where, params)}`;
+        const result = await this.execute(sql, params);
+        return result.affectedRows;
+    }
+
+    /**
+     * Delete matching rows, returns the number of deleted rows
+     */
+    async remove(table, where) {
+        const params = [];
+        const sql = `DELETE FROM ${this.q(table)}${this.buildWhere(where, params)}`;
+        const result = await this.execute(sql, params);
+        return result.affectedRows;
+    }
+
+    /**
+     * Run fn inside a transaction; fn receives a driver bound to the transaction
+     */
+    async transaction(fn) {
+        // Nested transactions reuse the outer one
+        if (this.inTransaction) {
+            return fn(this);
+        }
+
+        return this.dialect.transaction(executor => fn(new SqlDriver(this.dialect, executor)));
+    }
+
+    // ========== SCHEMA ==========
+
+    async hasTable(table) {
+        return this.dialect.tableExists(table, this.executor);
+    }
+
+    async createTable(table, columns) {
+        const definitions = columns.map(column => this.columnDefinition(column));
+
+        columns
+            .filter(column => column.references)
+            .forEach(column => definitions.push(this.foreignKey(table, column)));
+
+        await this.execute(`CREATE TABLE IF NOT EXISTS ${this.q(table)} (\n    ${definitions.join(',\n    ')}\n)`);
+    }
+
+    async dropTable(table) {
+        await this.execute(`DROP TABLE IF EXISTS ${this.q(table)}`);
+    }
+
+    async addColumn(table, column) {
+        let sql = `ALTER TABLE ${this.q(table)} ADD COLUMN ${this.columnDefinition(column)}`;
+        if (column.references) {
+            sql += `, ADD ${this.foreignKey(table, column)}`;
+        }
+        await this.execute(sql);
+    }
+
+    async dropColumn(table, columnName) {
+        await this.dialect.dropColumnConstraints(table, columnName, this.executor);
+        await this.execute(`ALTER TABLE ${this.q(table)} DROP COLUMN ${this.q(columnName)}`);
+    }
+
+    async createIndex(table, columns, { unique = false } = {}) {
+        const name = `idx_${table}_${columns.join('_')}`;
+        await this.execute(
+            `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${this.q(name)} ON ${this.q(table)} (${columns.map(c => this.q(c)).join(', ')})`
+        );
+    }
+
+    columnDefinition(column) {
+        const parts = [this.q(column.name), this.dialect.columnType(column)];
+
+        if (column.type !== 'id') {
+            if (column.nullable === false) parts.push('NOT NULL');
+            if (column.default !== undefined) parts.push(`DEFAULT ${toLiteral(column.default)}`);
+            if (column.unique) parts.push('UNIQUE');
+        }
+
+        return parts.join(' ');
+    }
+
+    foreignKey(table, column) {
+        const { references } = column;
+        return `CONSTRAINT ${this.q(`fk_${table}_${column.name}`)} ` +
+            `FOREIGN KEY (${this.q(column.name)}) REFERENCES ${this.q(references.table)}(${this.q(references.column)})` +
+            (references.onDelete ? ` ON DELETE ${references.onDelete}` : '');
+    }
+
+    async close() {
+        await this.dialect.close();
+    }
+
+    // ========== HELPERS ==========
+
+    q(identifier) {
+        return this.dialect.quote(identifier);
+    }
+
+    buildWhere(where, params) {
+        const clauses = [];
+
+        for (const [column, condition] of Object.entries(where || {})) {
+            const col = this.q(column);
+
+            if (condition === null) {
+                clauses.push(`${col} IS NULL`);
+                continue;
+            }
+
+            if (!isOperatorObject(condition)) {
+                params.push(condition);
+                clauses.push(`${col} = ${this.dialect.placeholder(params.length)}`);
+                continue;
+            }
+
+            for (const [operator, value] of Object.entries(condition)) {
+                if (operator === '$in') {
+                    if (value.length === 0) {
+                        clauses.push('1 = 0');
+                        continue;
+                    }
+                    const placeholders = value.map(item => {
+                        params.push(item);
+                        return this.dialect.placeholder(params.length);
+                    });
+                    clauses.push(`${col} IN (${placeholders.join(', ')})`);
+                } else if (operator === '$ne' && value === null) {
+                    clauses.push(`${col} IS NOT NULL`);
+                } else if (OPERATORS[operator]) {
+                    params.push(value);
+                    clauses.push(`${col} ${OPERATORS[operator]} ${this.dialect.placeholder(params.length)}`);
+                } else {
+                    throw new Error(`Unsupported operator "${operator}" on ${column}`);
+                }
+            }
+        }
+
+        return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+    }
+}
+
+function isOperatorObject(value) {
+    return value !== null &&
+        typeof value === 'object' &&
+        !(value instanceof Date) &&
+        !Array.isArray(value) &&
+        Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function toLiteral(value) {
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number') return String(value);
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Drivers return timestamps as ISO strings so every backend has the same row shape
+ */
+function normalizeRow(row) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(row)) {
+        normalized[key] = value instanceof Date ? value.toISOString() : value;
+    }
+    return normalized;
+}
+
+module.exports = {
+    SqlDriver,
+    UniqueViolationError,
+    isOperatorObject
+};
@@ -0,0 +1,734 @@
+/**
+ * EMOTION STORE - Storage interface for the companion
+ * Users, chat sessions, conversation history and emotion analytics on top of any storage driver.
+ * Every conversation read or write is scoped to a user id.
+ * Message and reply text is encrypted on the way in and decrypted on the way out.
+ */
+
+const { Migrator } = require('./migrator');
+const { FieldCipher } = require('../../utils/encryption');
+
+// Columns holding what the user wrote and what the companion replied
+const ENCRYPTED_FIELDS = ['user_text', 'ai_response'];
+
+class EmotionStore {
+    /**
+     * @param {Object} driver - SqlDriver or FileDriver
+     * @param {Object} options - { cipher: FieldCipher } (default stores text unencrypted)
+     */
+    constructor(driver, { cipher = new FieldCipher() } = {}) {
+        this.driver = driver;
+        this.cipher = cipher;
+    }
+
+    get dialect() {
+        return this.driver.name;
+    }
+
+    /**
+     * Bring the schema up to date by applying pending migrations
+     */
+    async init() {
+        return new Migrator(this.driver).migrate();
+    }
+
+    // ========== USERS ==========
+
+    /**
+     * @returns {Promise<number>} - New user id
+     */
+    async createUser({ username, passwordHash, timezone = null, language = null }) {
+        return this.driver.insert('users', {
+            username,
+            password_hash: passwordHash,
+            timezone,
+            language,
+            created_at: new Date()
+        });
+    }
+
+    /**
+     * Change profile preferences, leaving out the ones not given
+     * @param {Object} preferences - { timezone, language } (language null = detect per message)
+     */
+    async updateUserPreferences(userId, { timezone, language }) {
+        const changes = {};
+        if (timezone !== undefined) changes.timezone = timezone;
+        if (language !== undefined) changes.language = language;
+        await this.driver.update('users', { id: userId }, changes);
+    }
+
+    async findUserByUsername(username) {
+        return this.driver.findOne('users', { where: { username } });
+    }
+
+    async findUserById(id) {
+        return this.driver.findOne('users', { where: { id } });
+    }
+
+    async saveAuthToken({ userId, tokenHash, expiresAt }) {
+        await this.driver.insert('auth_tokens', {
+            user_id: userId,
+            token_hash: tokenHash,
+            created_at: new Date(),
+            expires_at: expiresAt
+        });
+    }
+
+    /**
+     * Resolve an unexpired token hash to its user
+     */
+    async findUserByTokenHash(tokenHash) {
+        const token = await this.driver.findOne('auth_tokens', {
+            where: { token_hash: tokenHash, expires_at: { $gt: new Date() } }
+        });
+        return token ? this.findUserById(token.user_id) : null;
+    }
+
+    async deleteAuthToken(tokenHash) {
+        await this.driver.remove('auth_tokens', { token_hash: tokenHash });
+    }
+
+    // ========== CONVERSATIONS ==========
+
+    /**
+     * Save a conversation turn together with its emotion analysis
+     * @returns {Promise<number>} - Conversation id
+     */
+    async saveConversation(data) {
+        const { userId, sessionId, userText, aiResponse, textEmotion, faceEmotion, emotionAnalysis } = data;
+        const createdAt = data.createdAt || new Date();
+
+        return this.driver.transaction(async (tx) => {
+            const conversationId = await tx.insert('conversations', this.encryptText({
+                user_id: userId,
+                session_id: sessionId || null,
+                user_text: userText,
+                ai_response: aiResponse,
+                created_at: createdAt
+            }));
+
+            await tx.insert('emotions', {
+                user_id: userId,
+                conversation_id: conversationId,
+                face_emotion: faceEmotion ? faceEmotion.emotion : null,
+                text_emotion: textEmotion.emotion,
+                confidence_face: faceEmotion ? faceEmotion.confidence : null,
+                confidence_text: textEmotion.confidence,
+                face_valence: dimension(faceEmotion, 'valence'),
+                face_arousal: dimension(faceEmotion, 'arousal'),
+                face_expressions: faceEmotion && faceEmotion.expressions ? JSON.stringify(faceEmotion.expressions) : null,
+                text_valence: dimension(textEmotion, 'valence'),
+                text_arousal: dimension(textEmotion, 'arousal'),
+                mismatch: Boolean(emotionAnalysis && emotionAnalysis.mismatch),
+                created_at: createdAt
+            });
+
+            if (sessionId) {
+                await tx.update('sessions', { id: sessionId, user_id: userId }, { updated_at: new Date() });
+            }
+
+            return conversationId;
+        });
+    }
+
+    /**
+     * Store mood entries imported from another app as conversations with their original timestamps
+     * Entries whose externalId was imported before are skipped
+     *
+     * @param {Object} data - { source, entries: [{ occurredAt, emotion, text, externalId }] }
+     * @returns {Promise<Object>} - { imported, skipped }
+     */
+    async importEntries(userId, { source, entries }, { batchSize = 500 } = {}) {
+        let imported = 0;
+
+        for (let i = 0; i < entries.length; i += batchSize) {
+            const batch = entries.slice(i, i + batchSize);
+
+            imported += await this.driver.transaction(async (tx) => {
+                const existing = await tx.find('conversations', {
+                    where: { user_id: userId, external_id: { $in: batch.map(entry => entry.externalId) } },
+                    columns: ['external_id']
+                });
+                const seen = new Set(existing.map(row => row.external_id));
+                let inserted = 0;
+
+                for (const entry of batch) {
+                    if (seen.has(entry.externalId)) continue;
+                    seen.add(entry.externalId);
+
+                    const conversationId = await tx.insert('conversations', this.encryptText({
+                        user_id: userId,
+                        user_text: entry.text,
+                        ai_response: '',
+                        source,
+                        external_id: entry.externalId,
+                        created_at: entry.occurredAt
+                    }));
+
+                    await tx.insert('emotions', {
+                        user_id: userId,
+                        conversation_id: conversationId,
+                        face_emotion: null,
+                        text_emotion: entry.emotion,
+                        confidence_face: null,
+                        confidence_text: 100,
+                        mismatch: false,
+                        created_at: entry.occurredAt
+                    });
+                    inserted++;
+                }
+
+                return inserted;
+            });
+        }
+
+        return { imported, skipped: entries.length - imported };
+    }
+
+    /**
+     * Most recent conversations first, each joined with its emotion row
+     */
+    async getHistory({ userId, limit = 50, offset = 0 }) {
+        const conversations = await this.driver.find('conversations', {
+            where: { user_id: userId, deleted_at: null },
+            orderBy: [['created_at', 'desc'], ['id', 'desc']],
+            limit,
+            offset
+        });
+
+        return this.attachEmotions(conversations);
+    }
+
+    /**
+     * Every conversation created in [start, end), oldest first, joined with its emotion row
+     * Reads in batches so exports never hold a user's whole history in memory
+     */
+    async *iterateConversations(userId, { start, end, batchSize = 500 } = {}) {
+        const createdAt = {};
+        if (start) createdAt.$gte = start;
+        if (end) createdAt.$lt = end;
+
+        const where = { user_id: userId, deleted_at: null };
+        if (start || end) where.created_at = createdAt;
+
+        for (let offset = 0; ; offset += batchSize) {
+            const conversations = await this.driver.find('conversations', {
+                where,
+                orderBy: [['created_at', 'asc'], ['id', 'asc']],
+                limit: batchSize,
+                offset
+            });
+
+            yield* await this.attachEmotions(conversations);
+            if (conversations.length < batchSize) return;
+        }
+    }
+
+    /**
+     * Stored emotion rows for insights, oldest first
+     * start / end (Dates, end exclusive) narrow the rows, limit keeps only the latest N of them
+     */
+    async getEmotionWindow(userId, { start, end, limit } = {}) {
+        const createdAt = {};
+        if (start) createdAt.$gte = start;
+        if (end) createdAt.$lt = end;
+
+        const where = { user_id: userId, deleted_at: null };
+        if (start || end) where.created_at = createdAt;
+
+        const rows = await this.driver.find('emotions', {
+            where,
+            orderBy: [['created_at', 'desc'], ['id', 'desc']],
+            limit
+        });
+
+        return rows.reverse();
+    }
+
+    // ========== SESSIONS ==========
+
+    /**
+     * @returns {Promise<number>} - New session id
+     */
+    async createSession({ userId, title = null }) {
+        const now = new Date();
+        return this.driver.insert('sessions', {
+            user_id: userId,
+            title,
+            status: 'open',
+            created_at: now,
+            updated_at: now
+        });
+    }
+
+    /**
+     * A user's sessions, most recently active first, with their turn counts
+     * @param {Object} options - { status: 'open'|'closed', limit }
+     */
+    async listSessions(userId, { status, limit = 50 } = {}) {
+        const where = { user_id: userId, deleted_at: null };
+        if (status) where.status = status;
+
+        const sessions = await this.driver.find('sessions', {
+            where,
+            orderBy: [['updated_at', 'desc'], ['id', 'desc']],
+            limit
+        });
+
+        const ids = sessions.map(session => session.id);
+        const turns = ids.length > 0
+            ? await this.driver.find('conversations', {
+                where: { session_id: { $in: ids }, deleted_at: null },
+                columns: ['session_id']
+            })
+            : [];
+
+        return sessions.map(session => ({
+            ...formatSession(session),
+            turnCount: turns.filter(turn => turn.session_id === session.id).length
+        }));
+    }
+
+    /**
+     * One session of a user, or null
+     */
+    async getSession(userId, sessionId) {
+        const session = await this.driver.findOne('sessions', { where: { id: sessionId, user_id: userId, deleted_at: null } });
+        return session ? formatSession(session) : null;
+    }
+
+    /**
+     * Every turn of a session in the order it happened
+     */
+    async getSessionTurns(userId, sessionId) {
+        const conversations = await this.driver.find('conversations', {
+            where: { user_id: userId, session_id: sessionId, deleted_at: null },
+            orderBy: [['created_at', 'asc'], ['id', 'asc']]
+        });
+
+        return this.attachEmotions(conversations);
+    }
+
+    /**
+     * The last `limit` turns of a session, oldest first (conversation context for reply providers)
+     */
+    async getRecentTurns(userId, sessionId, limit) {
+        const conversations = await this.driver.find('conversations', {
+            where: { user_id: userId, session_id: sessionId, deleted_at: null },
+            orderBy: [['created_at', 'desc'], ['id', 'desc']],
+            limit
+        });
+
+        return this.attachEmotions(conversations.reverse());
+    }
+
+    /**
+     * Mark a session closed and keep its emotion breakdown
+     */
+    async closeSession(userId, sessionId, emotionBreakdown) {
+        const now = new Date();
+        await this.driver.update('sessions', { id: sessionId, user_id: userId }, {
+            status: 'closed',
+            emotion_breakdown: JSON.stringify(emotionBreakdown),
+            updated_at: now,
+            closed_at: now
+        });
+        return this.getSession(userId, sessionId);
+    }
+
+    // ========== ANALYTICS ==========
+
+    /**
+     * Emotion rows created in [start, end), oldest first, for rollups
+     */
+    async getEmotionsBetween(userId, start, end) {
+        return this.driver.find('emotions', {
+            where: { user_id: userId, deleted_at: null, created_at: { $gte: start, $lt: end } },
+            orderBy: [['created_at', 'asc'], ['id', 'asc']],
+            columns: ['face_emotion', 'text_emotion', 'face_valence', 'face_arousal', 'text_valence', 'text_arousal', 'mismatch', 'created_at']
+        });
+    }
+
+    // ========== TRASH & RETENTION ==========
+
+    /**
+     * Move one conversation (and its emotion row) to the trash
+     * @returns {Promise<boolean>} - false when the user has no such live conversation
+     */
+    async trashConversation(userId, conversationId) {
+        const now = new Date();
+
+        return this.driver.transaction(async (tx) => {
+            const count = await tx.update('conversations',
+                { id: conversationId, user_id: userId, deleted_at: null },
+                { deleted_at: now });
+            if (count === 0) return false;
+
+            await tx.update('emotions', { conversation_id: conversationId }, { deleted_at: now });
+            return true;
+        });
+    }
+
+    /**
+     * Move a session and all of its turns to the trash
+     * @returns {Promise<boolean>} - false when the user has no such live session
+     */
+    async trashSession(userId, sessionId) {
+        const now = new Date();
+
+        return this.driver.transaction(async (tx) => {
+            const count = await tx.update('sessions', { id: sessionId, user_id: userId, deleted_at: null }, { deleted_at: now });
+            if (count === 0) return false;
+
+            const turns = await tx.find('conversations', {
+                where: { session_id: sessionId, deleted_at: null },
+                columns: ['id']
+            });
+            const ids = turns.map(turn => turn.id);
+
+            await tx.update('conversations', { id: { $in: ids } }, { deleted_at: now });
+            await tx.update('emotions', { conversation_id: { $in: ids } }, { deleted_at: now });
+            return true;
+        });
+    }
+
+    /**
+     * Move every live conversation and session of a user to the trash
+     */
+    async trashHistory(userId) {
+        const now = new Date();
+
+        await this.driver.transaction(async (tx) => {
+            await tx.update('emotions', { user_id: userId, deleted_at: null }, { deleted_at: now });
+            await tx.update('conversations', { user_id: userId, deleted_at: null }, { deleted_at: now });
+            await tx.update('sessions', { user_id: userId, deleted_at: null }, { deleted_at: now });
+        });
+    }
+
+    /**
+     * Bring a trashed conversation back, along with its session if that was trashed too
+     * @returns {Promise<boolean>} - false when the conversation isn't in the user's trash
+     */
+    async restoreConversation(userId, conversationId) {
+        return this.driver.transaction(async (tx) => {
+            const conversation = await tx.findOne('conversations', {
+                where: { id: conversationId, user_id: userId, deleted_at: { $ne: null } }
+            });
+            if (!conversation) return false;
+
+            await tx.update('conversations', { id: conversationId }, { deleted_at: null });
+            await tx.update('emotions', { conversation_id: conversationId }, { deleted_at: null });
+
+            if (conversation.session_id) {
+                await tx.update('sessions', { id: conversation.session_id }, { deleted_at: null });
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Bring a trashed session back with every trashed turn in it
+     * @returns {Promise<boolean>} - false when the session isn't in the user's trash
+     */
+    async restoreSession(userId, sessionId) {
+        return this.driver.transaction(async (tx) => {
+            const count = await tx.update('sessions',
+                { id: sessionId, user_id: userId, deleted_at: { $ne: null } },
+                { deleted_at: null });
+            if (count === 0) return false;
+
+            const turns = await tx.find('conversations', {
+                where: { session_id: sessionId, deleted_at: { $ne: null } },
+                columns: ['id']
+            });
+            const ids = turns.map(turn => turn.id);
+
+            await tx.update('conversations', { id: { $in: ids } }, { deleted_at: null });
+            await tx.update('emotions', { conversation_id: { $in: ids } }, { deleted_at: null });
+            return true;
+        });
+    }
+
+    /**
+     * Trashed sessions and conversations of a user, most recently deleted first
+     */
+    async listTrash(userId) {
+        const sessions = await this.driver.find('sessions', {
+            where: { user_id: userId, deleted_at: { $ne: null } },
+            orderBy: [['deleted_at', 'desc'], ['id', 'desc']]
+        });
+        const conversations = await this.driver.find('conversations', {
+            where: { user_id: userId, deleted_at: { $ne: null } },
+            orderBy: [['deleted_at', 'desc'], ['id', 'desc']]
+        });
+
+        return {
+            sessions: sessions.map(session => ({ ...formatSession(session), deletedAt: session.deleted_at })),
+            conversations: (await this.attachEmotions(conversations))
+                .map((turn, index) => ({ ...turn, deleted_at: conversations[index].deleted_at }))
+        };
+    }
+
+    /**
+     * Permanently delete trashed rows: emotions, then conversations, then sessions
+     * @param {Object} options - { userId, before } (both optional; before = only rows trashed earlier)
+     * @returns {Promise<Object>} - { conversations, sessions } deleted
+     */
+    async purgeTrash({ userId, before } = {}) {
+        const where = { deleted_at: before ? { $lt: before } : { $ne: null } };
+        if (userId) where.user_id = userId;
+
+        return this.driver.transaction(async (tx) => {
+            await tx.remove('emotions', where);
+            const conversations = await tx.remove('conversations', where);
+            const sessions = await tx.remove('sessions', where);
+            return { conversations, sessions };
+        });
+    }
+
+    /**
+     * Permanently delete every conversation, emotion and session of one user
+     */
+    async clearHistory(userId) {
+        await this.driver.transaction(async (tx) => {
+            await tx.remove('emotions', { user_id: userId });
+            await tx.remove('conversations', { user_id: userId });
+            await tx.remove('sessions', { user_id: userId });
+        });
+    }
+
+    /**
+     * Enforce the retention policy for all users (see config/retention.js)
+     * @param {Object} policy - { textDays, emotionDays, trashDays }, null = keep forever
+     * @returns {Promise<Object>} - counts of what was removed
+     */
+    async applyRetention(policy, now = new Date()) {
+        const cutoff = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+        const result = { trashedConversations: 0, trashedSessions: 0, expiredConversations: 0, redactedConversations: 0 };
+
+        if (policy.trashDays) {
+            const purged = await this.purgeTrash({ before: cutoff(policy.trashDays) });
+            result.trashedConversations = purged.conversations;
+            result.trashedSessions = purged.sessions;
+        }
+
+        if (policy.emotionDays) {
+            const before = { created_at: { $lt: cutoff(policy.emotionDays) } };
+            result.expiredConversations = await this.driver.transaction(async (tx) => {
+                await tx.remove('emotions', before);
+                return tx.remove('conversations', before);
+            });
+        }
+
+        if (policy.textDays) {
+            result.redactedConversations = await this.driver.update('conversations',
+                { created_at: { $lt: cutoff(policy.textDays) }, text_purged_at: null },
+                { user_text: '', ai_response: '', text_purged_at: now });
+        }
+
+        return result;
+    }
+
+    // ========== RISK FLAGS ==========
+
+    /**
+     * Record a turn the risk classifier flagged (see controllers/riskController.js)
+     * @returns {Promise<number>} - New flag id
+     */
+    async saveRiskFlag({ userId, conversationId, sessionId, risk, safetyResponse, locale }) {
+        return this.driver.insert('risk_flags', {
+            user_id: userId,
+            conversation_id: conversationId || null,
+            session_id: sessionId || null,
+            level: risk.level,
+            signals: JSON.stringify(risk.signals),
+            pattern: JSON.stringify(risk.pattern),
+            safety_response: Boolean(safetyResponse),
+            locale: locale || null,
+            created_at: new Date()
+        });
+    }
+
+    /**
+     * Flags for review, newest first
+     * @param {Object} options - { levels: [...], since: Date, unreviewed: boolean, limit }
+     */
+    async listRiskFlags({ levels, since, unreviewed = false, limit = 100 } = {}) {
+        const where = {};
+        if (levels && levels.length > 0) where.level = { $in: levels };
+        if (since) where.created_at = { $gte: since };
+        if (unreviewed) where.reviewed_at = null;
+
+        const rows = await this.driver.find('risk_flags', {
+            where,
+            orderBy: [['created_at', 'desc'], ['id', 'desc']],
+            limit
+        });
+
+        return rows.map(formatRiskFlag);
+    }
+
+    /**
+     * @returns {Promise<boolean>} - false when there is no such flag
+     */
+    async reviewRiskFlag(flagId, note = null) {
+        const updated = await this.driver.update('risk_flags', { id: flagId }, {
+            reviewed_at: new Date(),
+            review_note: note
+        });
+        return updated > 0;
+    }
+
+    // ========== ENCRYPTION ==========
+
+    /**
+     * Bring every stored message and reply under the active key (encrypting plaintext, rewrapping older keys),
+     * or back to plaintext with { decrypt: true }. Trashed rows are included.
+     * @returns {Promise<Object>} - { scanned, updated }
+     */
+    async reencryptConversations({ decrypt = false, dryRun = false, batchSize = 500 } = {}) {
+        const convert = decrypt
+            ? (value, field) => this.cipher.decrypt(value, field)
+            : (value, field) => this.cipher.reencrypt(value, field);
+        const result = { scanned: 0, updated: 0 };
+        let lastId = 0;
+
+        for (;;) {
+            const rows = await this.driver.find('conversations', {
+                where: { id: { $gt: lastId } },
+                orderBy: [['id', 'asc']],
+                limit: batchSize,
+                columns: ['id', ...ENCRYPTED_FIELDS]
+            });
+            if (rows.length === 0) return result;
+
+            for (const row of rows) {
+                const changes = {};
+                ENCRYPTED_FIELDS.forEach(column => {
+                    const value = convert(row[column], `conversations.${column}`);
+                    if (value !== row[column]) changes[column] = value;
+                });
+
+                if (Object.keys(changes).length > 0) {
+                    if (!dryRun) await this.driver.update('conversations', { id: row.id }, changes);
+                    result.updated++;
+                }
+            }
+
+            result.scanned += rows.length;
+            lastId = rows[rows.length - 1].id;
+        }
+    }
+
+    async close() {
+        await this.driver.close();
+    }
+
+    // ========== HELPERS ==========
+
+    encryptText(row) {
+        const encrypted = { ...row };
+        ENCRYPTED_FIELDS.forEach(column => {
+            encrypted[column] = this.cipher.encrypt(row[column], `conversations.${column}`);
+        });
+        return encrypted;
+    }
+
+    decryptText(row) {
+        const decrypted = { ...row };
+        ENCRYPTED_FIELDS.forEach(column => {
+            decrypted[column] = this.cipher.decrypt(row[column], `conversations.${column}`);
+        });
+        return decrypted;
+    }
+
+    /**
+     * Decrypt conversation rows, keep their public columns (see formatConversation()) and join each with its emotion row
+     */
+    async attachEmotions(conversations) {
+        const ids = conversations.map(conversation => conversation.id);
+        const emotions = ids.length > 0
+            ? await this.driver.find('emotions', { where: { conversation_id: { $in: ids } } })
+            : [];
+
+        const byConversation = new Map(emotions.map(row => [row.conversation_id, row]));
+
+        return conversations.map(conversation => {
+            const emotion = byConversation.get(conversation.id) || {};
+            return {
+                ...formatConversation(this.decryptText(conversation)),
+                face_emotion: emotion.face_emotion || null,
+                text_emotion: emotion.text_emotion || null,
+                confidence_face: emotion.confidence_face !== undefined ? emotion.confidence_face : null,
+                confidence_text: emotion.confidence_text !== undefined ? emotion.confidence_text : null,
+                face_valence: emotion.face_valence !== undefined ? emotion.face_valence : null,
+                face_arousal: emotion.face_arousal !== undefined ? emotion.face_arousal : null,
+                face_expressions: emotion.face_expressions ? JSON.parse(emotion.face_expressions) : null,
+                text_valence: emotion.text_valence !== undefined ? emotion.text_valence : null,
+                text_arousal: emotion.text_arousal !== undefined ? emotion.text_arousal : null,
+                mismatch: Boolean(emotion.mismatch)
+            };
+        });
+    }
+}
+
+/**
+ * Valence or arousal of an analysis, null when it has none
+ */
+function dimension(analysis, name) {
+    return analysis && typeof analysis[name] === 'number' ? analysis[name] : null;
+}
+
+/**
+ * Public columns of a conversations row; owner, import and retention bookkeeping stay in the database
+ */
+function formatConversation(row) {
+    return {
+        id: row.id,
+        session_id: row.session_id || null,
+        source: row.source || null,
+        created_at: row.created_at,
+        user_text: row.user_text,
+        ai_response: row.ai_response
+    };
+}
+
+/**
+ * API shape of a sessions row
+ */
+function formatSession(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        status: row.status,
+        emotionBreakdown: row.emotion_breakdown ? JSON.parse(row.emotion_breakdown) : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        closedAt: row.closed_at
+    };
+}
+
+/**
+ * API shape of a risk_flags row
+ */
+function formatRiskFlag(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        conversationId: row.conversation_id,
+        sessionId: row.session_id,
+        level: row.level,
+        signals: row.signals ? JSON.parse(row.signals) : [],
+        pattern: row.pattern ? JSON.parse(row.pattern) : null,
+        safetyResponse: Boolean(row.safety_response),
+        locale: row.locale,
+        createdAt: row.created_at,
+        reviewedAt: row.reviewed_at,
+        reviewNote: row.review_note
+    };
+}
+
+module.exports = {
+    EmotionStore
+};
@@ -0,0 +1,42 @@
+/**
+ * STORAGE - Driver selection
+ * Builds an EmotionStore backed by postgres, mysql or the embedded file driver
+ */
+
+const { EmotionStore } = require('./emotionStore');
+const { SqlDriver, UniqueViolationError } = require('./drivers/sqlDriver');
+const { FileDriver } = require('./drivers/fileDriver');
+
+/**
+ * Create the storage driver for a config
+ * @param {Object} config - { client: 'postgres'|'mysql'|'file', ...connection options }
+ */
+function createDriver(config) {
+    switch (config.client) {
+        case 'postgres': {
+            const { createPostgresDialect } = require('./drivers/postgres');
+            return new SqlDriver(createPostgresDialect(config));
+        }
+        case 'mysql': {
+            const { createMysqlDialect } = require('./drivers/mysql');
+            return new SqlDriver(createMysqlDialect(config));
+        }
+        case 'file':
+            return new FileDriver(config);
+        default:
+            throw new Error(`Unknown database client "${config.client}" (expected postgres, mysql or file)`);
+    }
+}
+
+/**
+ * @param {Object} options - { cipher } for the encrypted text columns (see EmotionStore)
+ */
+function createStore(config, options = {}) {
+    return new EmotionStore(createDriver(config), options);
+}
+
+module.exports = {
+    createDriver,
+    createStore,
+    UniqueViolationError
+};
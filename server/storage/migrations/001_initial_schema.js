@@ -0,0 +1,46 @@
+/**
+ * 001 - Initial schema
+ * conversations, emotions and emotion_summary as they existed before migrations.
+ * Tables are created IF NOT EXISTS, so older deployments adopt this as their baseline.
+ *
+ * Column types: id, integer, float, boolean, string, text, timestamp, date
+ */
+
+module.exports = {
+    async up(db) {
+        await db.createTable('conversations', [
+            { name: 'id', type: 'id' },
+            { name: 'user_text', type: 'text', nullable: false },
+            { name: 'ai_response', type: 'text', nullable: false },
+            { name: 'created_at', type: 'timestamp', nullable: false }
+        ]);
+
+        await db.createTable('emotions', [
+            { name: 'id', type: 'id' },
+            { name: 'conversation_id', type: 'integer', references: { table: 'conversations', column: 'id', onDelete: 'CASCADE' } },
+            { name: 'face_emotion', type: 'string', length: 50 },
+            { name: 'text_emotion', type: 'string', length: 50 },
+            { name: 'confidence_face', type: 'integer' },
+            { name: 'confidence_text', type: 'integer' },
+            { name: 'mismatch', type: 'boolean', default: false },
+            { name: 'created_at', type: 'timestamp', nullable: false }
+        ]);
+
+        await db.createTable('emotion_summary', [
+            { name: 'id', type: 'id' },
+            { name: 'date', type: 'date', nullable: false, unique: true },
+            { name: 'happy_count', type: 'integer', default: 0 },
+            { name: 'sad_count', type: 'integer', default: 0 },
+            { name: 'angry_count', type: 'integer', default: 0 },
+            { name: 'neutral_count', type: 'integer', default: 0 },
+            { name: 'created_at', type: 'timestamp', nullable: false },
+            { name: 'updated_at', type: 'timestamp', nullable: false }
+        ]);
+    },
+
+    async down(db) {
+        await db.dropTable('emotion_summary');
+        await db.dropTable('emotions');
+        await db.dropTable('conversations');
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * 002 - Count anxious messages in the daily summary
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumn('emotion_summary', { name: 'anxious_count', type: 'integer', default: 0 });
+    },
+
+    async down(db) {
+        await db.dropColumn('emotion_summary', 'anxious_count');
+    }
+};
@@ -0,0 +1,134 @@
+/**
+ * 003 - User accounts and per-user data
+ * Adds users and their auth tokens, and a user_id on every data table.
+ * emotion_summary was one global counter per date, so it is rebuilt keyed by (user_id, date).
+ *
+ * Data saved before this migration is handed to a legacy user (LEGACY_USERNAME, default "legacy"),
+ * counters included, so nothing is lost. Set LEGACY_PASSWORD when migrating to be able to log in as
+ * that user; without it the account is created locked. Rolling back merges the counters per date again.
+ */
+
+const { hashPassword } = require('../../../utils/credentials');
+
+// Stored in place of a password hash; never matches a password
+const LOCKED_PASSWORD = '!';
+
+const COUNT_COLUMNS = ['happy_count', 'sad_count', 'angry_count', 'anxious_count', 'neutral_count'];
+
+/**
+ * Owner for the rows saved before accounts existed, null when there are none
+ */
+async function createLegacyOwner(db, summaries) {
+    const orphans = await db.findOne('conversations', { where: { user_id: null } })
+        || await db.findOne('emotions', { where: { user_id: null } });
+    if (!orphans && summaries.length === 0) return null;
+
+    const username = process.env.LEGACY_USERNAME || 'legacy';
+    const password = process.env.LEGACY_PASSWORD;
+    if (!password) {
+        console.warn(`⚠️  Earlier data belongs to "${username}", which is locked until given a password (LEGACY_PASSWORD)`);
+    }
+
+    return db.insert('users', {
+        username,
+        password_hash: password ? await hashPassword(password) : LOCKED_PASSWORD,
+        created_at: new Date()
+    });
+}
+
+module.exports = {
+    async up(db) {
+        await db.createTable('users', [
+            { name: 'id', type: 'id' },
+            { name: 'username', type: 'string', length: 50, nullable: false, unique: true },
+            { name: 'password_hash', type: 'string', nullable: false },
+            { name: 'created_at', type: 'timestamp', nullable: false }
+        ]);
+
+        await db.createTable('auth_tokens', [
+            { name: 'id', type: 'id' },
+            { name: 'user_id', type: 'integer', nullable: false, references: { table: 'users', column: 'id', onDelete: 'CASCADE' } },
+            { name: 'token_hash', type: 'string', length: 64, nullable: false, unique: true },
+            { name: 'created_at', type: 'timestamp', nullable: false },
+            { name: 'expires_at', type: 'timestamp', nullable: false }
+        ]);
+
+        await db.addColumn('conversations', {
+            name: 'user_id', type: 'integer', references: { table: 'users', column: 'id', onDelete: 'CASCADE' }
+        });
+        await db.addColumn('emotions', {
+            name: 'user_id', type: 'integer', references: { table: 'users', column: 'id', onDelete: 'CASCADE' }
+        });
+
+        const summaries = await db.find('emotion_summary');
+        const legacyOwner = await createLegacyOwner(db, summaries);
+        if (legacyOwner) {
+            await db.update('conversations', { user_id: null }, { user_id: legacyOwner });
+            await db.update('emotions', { user_id: null }, { user_id: legacyOwner });
+        }
+
+        await db.dropTable('emotion_summary');
+        await db.createTable('emotion_summary', [
+            { name: 'id', type: 'id' },
+            { name: 'user_id', type: 'integer', nullable: false, references: { table: 'users', column: 'id', onDelete: 'CASCADE' } },
+            { name: 'date', type: 'date', nullable: false },
+            { name: 'happy_count', type: 'integer', default: 0 },
+            { name: 'sad_count', type: 'integer', default: 0 },
+            { name: 'angry_count', type: 'integer', default: 0 },
+            { name: 'anxious_count', type: 'integer', default: 0 },
+            { name: 'neutral_count', type: 'integer', default: 0 },
+            { name: 'created_at', type: 'timestamp', nullable: false },
+            { name: 'updated_at', type: 'timestamp', nullable: false }
+        ]);
+
+        await db.createIndex('conversations', ['user_id', 'created_at']);
+        await db.createIndex('emotions', ['user_id', 'created_at']);
+        await db.createIndex('emotion_summary', ['user_id', 'date'], { unique: true });
+
+        for (const summary of summaries) {
+            const counts = Object.fromEntries(COUNT_COLUMNS.map(column => [column, summary[column] || 0]));
+            await db.insert('emotion_summary', {
+                user_id: legacyOwner,
+                date: summary.date,
+                ...counts,
+                created_at: summary.created_at,
+                updated_at: summary.updated_at
+            });
+        }
+    },
+
+    async down(db) {
+        const merged = new Map();
+        for (const summary of await db.find('emotion_summary', { orderBy: [['date', 'asc']] })) {
+            const key = String(summary.date);
+            if (!merged.has(key)) {
+                merged.set(key, { ...Object.fromEntries(COUNT_COLUMNS.map(column => [column, 0])), date: summary.date });
+            }
+            const day = merged.get(key);
+            COUNT_COLUMNS.forEach(column => { day[column] += summary[column] || 0; });
+        }
+
+        await db.dropTable('emotion_summary');
+        await db.createTable('emotion_summary', [
+            { name: 'id', type: 'id' },
+            { name: 'date', type: 'date', nullable: false, unique: true },
+            { name: 'happy_count', type: 'integer', default: 0 },
+            { name: 'sad_count', type: 'integer', default: 0 },
+            { name: 'angry_count', type: 'integer', default: 0 },
+            { name: 'neutral_count', type: 'integer', default: 0 },
+            { name: 'created_at', type: 'timestamp', nullable: false },
+            { name: 'updated_at', type: 'timestamp', nullable: false },
+            { name: 'anxious_count', type: 'integer', default: 0 }
+        ]);
+
+        const now = new Date();
+        for (const day of merged.values()) {
+            await db.insert('emotion_summary', { ...day, created_at: now, updated_at: now });
+        }
+
+        await db.dropColumn('emotions', 'user_id');
+        await db.dropColumn('conversations', 'user_id');
+        await db.dropTable('auth_tokens');
+        await db.dropTable('users');
+    }
+};
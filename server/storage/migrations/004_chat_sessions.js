@@ -0,0 +1,31 @@
+/**
+ * 004 - Chat sessions
+ * Groups conversation turns into threads that can be resumed and closed.
+ * emotion_breakdown holds the detectEmotionalPattern result (JSON) once a session is closed.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.createTable('sessions', [
+            { name: 'id', type: 'id' },
+            { name: 'user_id', type: 'integer', nullable: false, references: { table: 'users', column: 'id', onDelete: 'CASCADE' } },
+            { name: 'title', type: 'string', length: 200 },
+            { name: 'status', type: 'string', length: 20, nullable: false, default: 'open' },
+            { name: 'emotion_breakdown', type: 'text' },
+            { name: 'created_at', type: 'timestamp', nullable: false },
+            { name: 'updated_at', type: 'timestamp', nullable: false },
+            { name: 'closed_at', type: 'timestamp' }
+        ]);
+
+        await db.addColumn('conversations', {
+            name: 'session_id', type: 'integer', references: { table: 'sessions', column: 'id', onDelete: 'CASCADE' }
+        });
+
+        await db.createIndex('sessions', ['user_id', 'updated_at']);
+    },
+
+    async down(db) {
+        await db.dropColumn('conversations', 'session_id');
+        await db.dropTable('sessions');
+    }
+};
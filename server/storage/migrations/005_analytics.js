@@ -0,0 +1,53 @@
+/**
+ * 005 - Analytics
+ * Daily counts are now computed from the emotions table in the user's time zone,
+ * so the emotion_summary counter table is dropped and users get a timezone preference.
+ * Rolling back rebuilds emotion_summary from emotions (by UTC date, as it was counted before).
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumn('users', { name: 'timezone', type: 'string', length: 64 });
+        await db.dropTable('emotion_summary');
+    },
+
+    async down(db) {
+        await db.createTable('emotion_summary', [
+            { name: 'id', type: 'id' },
+            { name: 'user_id', type: 'integer', nullable: false, references: { table: 'users', column: 'id', onDelete: 'CASCADE' } },
+            { name: 'date', type: 'date', nullable: false },
+            { name: 'happy_count', type: 'integer', default: 0 },
+            { name: 'sad_count', type: 'integer', default: 0 },
+            { name: 'angry_count', type: 'integer', default: 0 },
+            { name: 'anxious_count', type: 'integer', default: 0 },
+            { name: 'neutral_count', type: 'integer', default: 0 },
+            { name: 'created_at', type: 'timestamp', nullable: false },
+            { name: 'updated_at', type: 'timestamp', nullable: false }
+        ]);
+        await db.createIndex('emotion_summary', ['user_id', 'date'], { unique: true });
+
+        const rows = await db.find('emotions', {
+            where: { user_id: { $ne: null } },
+            columns: ['user_id', 'text_emotion', 'created_at']
+        });
+
+        const summaries = new Map();
+        for (const row of rows) {
+            if (!['happy', 'sad', 'angry', 'anxious', 'neutral'].includes(row.text_emotion)) continue;
+            const column = `${row.text_emotion}_count`;
+
+            const date = new Date(row.created_at).toISOString().slice(0, 10);
+            const key = `${row.user_id}:${date}`;
+            if (!summaries.has(key)) summaries.set(key, { user_id: row.user_id, date });
+            const summary = summaries.get(key);
+            summary[column] = (summary[column] || 0) + 1;
+        }
+
+        const now = new Date();
+        for (const summary of summaries.values()) {
+            await db.insert('emotion_summary', { ...summary, created_at: now, updated_at: now });
+        }
+
+        await db.dropColumn('users', 'timezone');
+    }
+};
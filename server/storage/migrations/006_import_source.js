@@ -0,0 +1,19 @@
+/**
+ * 006 - Import source
+ * Marks conversations that came from another app (e.g. 'daylio', 'json') instead of a chat.
+ * external_id is a hash of the imported record so importing the same file twice adds nothing.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumn('conversations', { name: 'source', type: 'string', length: 20 });
+        await db.addColumn('conversations', { name: 'external_id', type: 'string', length: 64 });
+
+        await db.createIndex('conversations', ['user_id', 'external_id']);
+    },
+
+    async down(db) {
+        await db.dropColumn('conversations', 'external_id');
+        await db.dropColumn('conversations', 'source');
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * 007 - Retention and trash
+ * deleted_at moves conversations (with their emotion rows) and sessions to the trash instead of deleting them,
+ * text_purged_at marks conversations whose raw text was removed by the retention job.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumn('conversations', { name: 'deleted_at', type: 'timestamp' });
+        await db.addColumn('conversations', { name: 'text_purged_at', type: 'timestamp' });
+        await db.addColumn('emotions', { name: 'deleted_at', type: 'timestamp' });
+        await db.addColumn('sessions', { name: 'deleted_at', type: 'timestamp' });
+    },
+
+    async down(db) {
+        // Rows still in the trash would reappear as live data, so they go for good
+        await db.remove('emotions', { deleted_at: { $ne: null } });
+        await db.remove('conversations', { deleted_at: { $ne: null } });
+        await db.remove('sessions', { deleted_at: { $ne: null } });
+
+        await db.dropColumn('sessions', 'deleted_at');
+        await db.dropColumn('emotions', 'deleted_at');
+        await db.dropColumn('conversations', 'text_purged_at');
+        await db.dropColumn('conversations', 'deleted_at');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * 008 - Risk flags
+ * One row per turn the risk classifier flagged (elevated, high or imminent), kept apart from the conversations
+ * so reviews aren't lost when a conversation is trashed, purged or deleted.
+ * conversation_id and session_id are plain references for that reason; signals and pattern are JSON
+ * and never hold the user's text.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.createTable('risk_flags', [
+            { name: 'id', type: 'id' },
+            { name: 'user_id', type: 'integer', nullable: false, references: { table: 'users', column: 'id', onDelete: 'CASCADE' } },
+            { name: 'conversation_id', type: 'integer' },
+            { name: 'session_id', type: 'integer' },
+            { name: 'level', type: 'string', length: 20, nullable: false },
+            { name: 'signals', type: 'text' },
+            { name: 'pattern', type: 'text' },
+            { name: 'safety_response', type: 'boolean', default: false },
+            { name: 'locale', type: 'string', length: 35 },
+            { name: 'created_at', type: 'timestamp', nullable: false },
+            { name: 'reviewed_at', type: 'timestamp' },
+            { name: 'review_note', type: 'text' }
+        ]);
+
+        await db.createIndex('risk_flags', ['level', 'created_at']);
+        await db.createIndex('risk_flags', ['user_id', 'created_at']);
+    },
+
+    async down(db) {
+        await db.dropTable('risk_flags');
+    }
+};
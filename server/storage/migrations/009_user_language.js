@@ -0,0 +1,15 @@
+/**
+ * 009 - User language
+ * The user's preferred language (a shared/lexicons tag such as 'hi' or 'hi-Latn'), null to detect it per message.
+ * It drives text emotion analysis and speech recognition.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumn('users', { name: 'language', type: 'string', length: 16 });
+    },
+
+    async down(db) {
+        await db.dropColumn('users', 'language');
+    }
+};
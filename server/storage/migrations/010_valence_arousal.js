@@ -0,0 +1,21 @@
+/**
+ * 010 - Valence and arousal
+ * Continuous valence (unpleasant -1 .. pleasant 1) and arousal (calm -1 .. activated 1) of each turn's
+ * face and text, next to the emotion labels. Null when not measured (no face, imported entries).
+ */
+
+const COLUMNS = ['face_valence', 'face_arousal', 'text_valence', 'text_arousal'];
+
+module.exports = {
+    async up(db) {
+        for (const name of COLUMNS) {
+            await db.addColumn('emotions', { name, type: 'float' });
+        }
+    },
+
+    async down(db) {
+        for (const name of COLUMNS) {
+            await db.dropColumn('emotions', name);
+        }
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * 011 - Face expressions
+ * face-api.js's seven expression probabilities behind each turn's face emotion, as JSON
+ * ({ neutral, happy, sad, angry, fearful, disgusted, surprised }), so faces can be relabelled
+ * if the expression mapping changes. Null when not measured.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumn('emotions', { name: 'face_expressions', type: 'text' });
+    },
+
+    async down(db) {
+        await db.dropColumn('emotions', 'face_expressions');
+    }
+};
@@ -0,0 +1,131 @@
+/**
+ * MIGRATOR - Versioned schema migrations
+ * Applies and rolls back the numbered files in ./migrations, tracked in schema_migrations.
+ *
+ * A migration exports { up(db), down(db) }, where db is the storage driver bound to a
+ * transaction (createTable, dropTable, addColumn, dropColumn, createIndex, insert, find, update, remove).
+ * Note: MySQL commits DDL implicitly, so a failed migration there may be partially applied.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class Migrator {
+    /**
+     * @param {Object} driver - SqlDriver or FileDriver
+     * @param {string} [directory] - Folder holding NNN_name.js migration files
+     */
+    constructor(driver, directory = MIGRATIONS_DIR) {
+        this.driver = driver;
+        this.directory = directory;
+    }
+
+    /**
+     * All migration files, ordered by version
+     * @returns {Array<{ version, name, file }>}
+     */
+    listMigrations() {
+        return fs.readdirSync(this.directory)
+            .filter(file => /^\d+_.+\.js$/.test(file))
+            .sort()
+            .map(file => {
+                const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+                return { version, name, file: path.join(this.directory, file) };
+            });
+    }
+
+    /**
+     * Every known migration with whether (and when) it was applied
+     */
+    async status() {
+        const applied = await this.appliedMigrations();
+        const byVersion = new Map(applied.map(row => [row.version, row]));
+
+        return this.listMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: byVersion.has(migration.version),
+            appliedAt: byVersion.has(migration.version) ? byVersion.get(migration.version).applied_at : null
+        }));
+    }
+
+    /**
+     * Apply pending migrations, optionally stopping at a version
+     * @returns {Promise<Array>} - Migrations that were applied
+     */
+    async migrate({ to } = {}) {
+        const applied = new Set((await this.appliedMigrations()).map(row => row.version));
+        const pending = this.listMigrations()
+            .filter(migration => !applied.has(migration.version))
+            .filter(migration => !to || migration.version <= to);
+
+        for (const migration of pending) {
+            const { up } = require(migration.file);
+
+            await this.driver.transaction(async (tx) => {
+                await up(tx);
+                await tx.insert(MIGRATIONS_TABLE, {
+                    version: migration.version,
+                    name: migration.name,
+                    applied_at: new Date()
+                });
+            });
+
+            console.log(`⬆️  Applied migration ${migration.version}_${migration.name}`);
+        }
+
+        return pending;
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @returns {Promise<Array>} - Migrations that were rolled back
+     */
+    async rollback({ steps = 1 } = {}) {
+        const files = new Map(this.listMigrations().map(migration => [migration.version, migration]));
+        const applied = (await this.appliedMigrations()).reverse().slice(0, steps);
+
+        for (const row of applied) {
+            const migration = files.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration ${row.version}_${row.name} was applied but its file is missing`);
+            }
+
+            const { down } = require(migration.file);
+
+            await this.driver.transaction(async (tx) => {
+                await down(tx);
+                await tx.remove(MIGRATIONS_TABLE, { version: row.version });
+            });
+
+            console.log(`⬇️  Rolled back migration ${migration.version}_${migration.name}`);
+        }
+
+        return applied;
+    }
+
+    // ========== HELPERS ==========
+
+    async appliedMigrations() {
+        await this.ensureMigrationsTable();
+        return this.driver.find(MIGRATIONS_TABLE, { orderBy: [['version', 'asc']] });
+    }
+
+    async ensureMigrationsTable() {
+        if (await this.driver.hasTable(MIGRATIONS_TABLE)) return;
+
+        await this.driver.createTable(MIGRATIONS_TABLE, [
+            { name: 'id', type: 'id' },
+            { name: 'version', type: 'string', length: 20, nullable: false, unique: true },
+            { name: 'name', type: 'string', nullable: false },
+            { name: 'applied_at', type: 'timestamp', nullable: false }
+        ]);
+    }
+}
+
+module.exports = {
+    Migrator
+};
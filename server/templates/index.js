@@ -0,0 +1,207 @@
+/**
+ * TEMPLATE LIBRARY - Localised response template packs
+ *
+ * Every phrase the companion says comes from a pack file, one per locale (templates/<locale>.json):
+ *   emotions          Display names for {textEmotion}, {faceEmotion} and {primaryEmotion}
+ *   severityBands     { high, medium } thresholds, lower severities are "low"
+ *   phrases           Named phrase lists, a {name} placeholder picks one at random
+ *   responses         <strategy type> -> <severity band or "any"> -> <emotion or "default"> -> [templates]
+ *   insights          "<face>-<text>" (or "default") -> { concern, suggestion }
+ *   followUps         <emotion> -> [questions]
+ *   closures          <emotion or "default"> -> [closing lines], an empty list means no closure
+ *   continuations     <emotion or "default"> -> [short acknowledgements] before a follow-up question
+ *   escalations       <emotion or "default"> -> [lines] for a hidden emotion that keeps showing up
+ *   shifts            "<earlier>-<now>" (or "default") -> [lines] acknowledging a change of mood
+ *   mismatchMessages  Short mismatch notes used by shared/emotion.js in the browser
+ *   safety            Safety protocol replies: high / imminent -> [templates with {resources}], checkIn -> [lines],
+ *                     resource (how one crisis line is written) and separator
+ *
+ * Placeholders look like {name} or {name|lower}. Anything missing from a locale's pack is taken
+ * from the default locale, so a translation can start small. Packs are reloaded when their files change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RELOAD_DELAY_MS = 200;
+
+class TemplateLibrary {
+    /**
+     * @param {Object} options - { dir, defaultLocale }
+     */
+    constructor({ dir, defaultLocale = 'en' }) {
+        this.dir = dir;
+        this.defaultLocale = defaultLocale;
+        this.packs = new Map();
+        this.watcher = null;
+    }
+
+    get locales() {
+        return Array.from(this.packs.keys());
+    }
+
+    /**
+     * Read every pack in the directory; throws (keeping the packs already loaded) if any is invalid
+     */
+    load() {
+        const packs = new Map();
+
+        fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).forEach(file => {
+            const locale = path.basename(file, '.json');
+            let pack;
+            try {
+                pack = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+            } catch (error) {
+                throw new Error(`Template pack ${file}: ${error.message}`);
+            }
+            if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+                throw new Error(`Template pack ${file}: expected a JSON object`);
+            }
+            packs.set(locale, pack);
+        });
+
+        if (!packs.has(this.defaultLocale)) {
+            throw new Error(`No template pack for the default locale "${this.defaultLocale}" in ${this.dir}`);
+        }
+
+        this.packs = packs;
+        return this.locales;
+    }
+
+    /**
+     * Reload the packs whenever a file in the directory changes
+     */
+    watch() {
+        let timer = null;
+
+        this.watcher = fs.watch(this.dir, () => {
+            // Editors write files in several steps, reload once they are done
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                try {
+                    console.log(`🔁 Template packs reloaded (${this.load().join(', ')})`);
+                } catch (error) {
+                    console.error('❌ Template reload failed, keeping the previous packs:', error.message);
+                }
+            }, RELOAD_DELAY_MS);
+        });
+        this.watcher.unref();
+    }
+
+    close() {
+        if (this.watcher) this.watcher.close();
+        this.watcher = null;
+    }
+
+    /**
+     * Best loaded locale for a requested one: 'es-MX' -> 'es-MX', else 'es', else the default
+     */
+    resolveLocale(requested) {
+        if (requested && this.packs.has(requested)) return requested;
+
+        const language = requested ? String(requested).split('-')[0].toLowerCase() : null;
+        return language && this.packs.has(language) ? language : this.defaultLocale;
+    }
+
+    /**
+     * Value at a path of keys in a locale's pack, falling back to the default locale's pack
+     */
+    lookup(locale, keys) {
+        for (const pack of this.packsFor(locale)) {
+            const value = find(pack, keys);
+            if (value !== undefined) return value;
+        }
+        return undefined;
+    }
+
+    /**
+     * First list of templates found under `section` for the given emotion keys,
+     * trying the severity band before "any" (e.g. responses.concerning_mismatch.high.default).
+     * The whole search runs in the locale's pack before the default pack, so a translated "any"
+     * wins over an untranslated band.
+     */
+    templatesFor(locale, section, { severity, keys }) {
+        const bands = severity === undefined || severity === null ? ['any'] : [this.severityBand(locale, severity), 'any'];
+
+        for (const pack of this.packsFor(locale)) {
+            for (const band of bands) {
+                for (const key of keys) {
+                    const templates = find(pack, [...section, band, key]);
+                    if (Array.isArray(templates) && templates.length > 0) return templates;
+                }
+            }
+        }
+        return [];
+    }
+
+    packsFor(locale) {
+        const resolved = this.resolveLocale(locale);
+        return resolved === this.defaultLocale
+            ? [this.packs.get(resolved)]
+            : [this.packs.get(resolved), this.packs.get(this.defaultLocale)];
+    }
+
+    severityBand(locale, severity) {
+        const bands = this.lookup(locale, ['severityBands']) || {};
+        if (severity >= (bands.high !== undefined ? bands.high : 7)) return 'high';
+        if (severity >= (bands.medium !== undefined ? bands.medium : 4)) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Random item, preferring ones that don't appear in any of the `avoid` texts (recent replies),
+     * then ones not in the latest of them
+     */
+    choose(items, avoid = []) {
+        if (!Array.isArray(items) || items.length === 0) return undefined;
+
+        for (const texts of [avoid, avoid.slice(-1)]) {
+            const fresh = items.filter(item => !texts.some(text => usedIn(item, text)));
+            if (fresh.length > 0) return fresh[Math.floor(Math.random() * fresh.length)];
+        }
+        return items[Math.floor(Math.random() * items.length)];
+    }
+
+    /**
+     * Fill in a template's placeholders. Emotion names are shown in the locale's words,
+     * names not in vars are taken from the pack's phrase lists; unknown placeholders are left as they are.
+     * Phrases are chosen avoiding the `avoid` texts.
+     */
+    render(locale, template, vars = {}, avoid = []) {
+        return String(template).replace(/\{(\w+)(?:\|(\w+))?\}/g, (match, name, filter) => {
+            let value;
+            if (vars[name] !== undefined && vars[name] !== null) {
+                value = /Emotion$/.test(name) ? this.emotionName(locale, vars[name]) : vars[name];
+            } else {
+                const phrase = this.choose(this.lookup(locale, ['phrases', name]), avoid);
+                if (phrase === undefined) return match;
+                value = this.render(locale, phrase, vars, avoid);
+            }
+
+            value = String(value);
+            if (filter === 'lower') return value.toLowerCase();
+            if (filter === 'upper') return value.toUpperCase();
+            return value;
+        });
+    }
+
+    emotionName(locale, emotion) {
+        return this.lookup(locale, ['emotions', emotion]) || emotion;
+    }
+}
+
+/**
+ * Whether a reply was built from a template: it contains every fixed part of it
+ */
+function usedIn(template, text) {
+    const parts = String(template).split(/\{[^}]*\}/).map(part => part.trim()).filter(part => part.length >= 8);
+    return parts.length > 0 && parts.every(part => String(text).includes(part));
+}
+
+function find(pack, keys) {
+    return keys.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), pack);
+}
+
+module.exports = {
+    TemplateLibrary
+};
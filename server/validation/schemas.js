@@ -0,0 +1,314 @@
+/**
+ * SCHEMAS - Request schemas for every API route
+ * See ./validator.js for the supported keywords
+ */
+
+const { GRANULARITIES } = require('../../controllers/analyticsController');
+const { EXPORT_FORMATS } = require('../../controllers/exportController');
+const { IMPORT_FORMATS } = require('../importers');
+const { LANGUAGES } = require('../../shared/lexicons');
+const { DEFAULT_EXPRESSION_MAPPING } = require('../../shared/emotion');
+const { names: EMOTIONS } = require('../../shared/taxonomy');
+
+// face-api.js's seven expressions
+const FACE_EXPRESSIONS = Object.keys(DEFAULT_EXPRESSION_MAPPING);
+
+const MAX_TEXT_LENGTH = 2000;
+
+const id = { type: 'integer', minimum: 1 };
+
+const confidence = { type: 'number', minimum: 0, maximum: 100 };
+
+// Valence (unpleasant .. pleasant) or arousal (calm .. activated)
+const dimension = { type: 'number', minimum: -1, maximum: 1 };
+
+const share = { type: 'number', minimum: 0, maximum: 1 };
+
+// Raw face-api.js expression probabilities
+const expressions = {
+    type: 'object',
+    properties: Object.fromEntries(FACE_EXPRESSIONS.map(expression => [expression, share]))
+};
+
+const limit = { type: 'integer', minimum: 1, maximum: 200, default: 50 };
+
+const timezone = { type: 'string', maxLength: 64, format: 'timezone' };
+
+// null = detect the language of each message
+const language = { type: 'string', nullable: true, enum: LANGUAGES };
+
+const textEmotion = {
+    type: 'object',
+    properties: {
+        emotion: { type: 'string', enum: EMOTIONS, required: true },
+        confidence: { ...confidence, required: true },
+        isDismissive: { type: 'boolean' },
+        allScores: { type: 'object', additionalProperties: { type: 'number' } },
+        emotions: {
+            type: 'array',
+            maxItems: EMOTIONS.length,
+            items: {
+                type: 'object',
+                properties: {
+                    emotion: { type: 'string', enum: EMOTIONS, required: true },
+                    intensity: { type: 'number', minimum: 0, maximum: 1, required: true }
+                }
+            }
+        },
+        mixed: { type: 'boolean' },
+        valence: dimension,
+        arousal: dimension,
+        language: { type: 'string', enum: LANGUAGES }
+    }
+};
+
+const faceEmotion = {
+    type: 'object',
+    nullable: true,
+    properties: {
+        emotion: { type: 'string', enum: EMOTIONS, required: true },
+        confidence: { ...confidence, required: true },
+        // How steady the smoothed face reading was (0-1)
+        stability: { type: 'number', minimum: 0, maximum: 1 },
+        expressions,
+        valence: dimension,
+        arousal: dimension,
+        timestamp: { type: 'string', format: 'date-time' }
+    }
+};
+
+// The face over the whole time a message was written (see summarizeComposition() in public/js/camera.js)
+const faceWindow = {
+    type: 'object',
+    nullable: true,
+    properties: {
+        startedAt: { type: 'string', format: 'date-time' },
+        endedAt: { type: 'string', format: 'date-time' },
+        frames: { type: 'integer', minimum: 0 },
+        facePresence: { ...share, required: true },
+        dominant: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                emotion: { type: 'string', enum: EMOTIONS, required: true },
+                share: { ...share, required: true }
+            }
+        },
+        distribution: {
+            type: 'object',
+            properties: Object.fromEntries(EMOTIONS.map(emotion => [emotion, share]))
+        },
+        expressions,
+        peaks: {
+            type: 'array',
+            maxItems: EMOTIONS.length,
+            items: {
+                type: 'object',
+                properties: {
+                    emotion: { type: 'string', enum: EMOTIONS, required: true },
+                    confidence: { ...confidence, required: true },
+                    at: { type: 'string', format: 'date-time' }
+                }
+            }
+        },
+        valence: dimension,
+        arousal: dimension
+    }
+};
+
+// ========== AUTH ==========
+
+const register = {
+    body: {
+        type: 'object',
+        required: true,
+        properties: {
+            username: {
+                type: 'string',
+                required: true,
+                trim: true,
+                pattern: /^[a-zA-Z0-9_.-]{3,50}$/,
+                patternMessage: 'must be 3-50 letters, digits, dots, dashes or underscores'
+            },
+            password: { type: 'string', required: true, minLength: 8, maxLength: 200 },
+            timezone,
+            language
+        }
+    }
+};
+
+const login = {
+    body: {
+        type: 'object',
+        required: true,
+        properties: {
+            username: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 50 },
+            password: { type: 'string', required: true, minLength: 1, maxLength: 200 }
+        }
+    }
+};
+
+const updateProfile = {
+    body: {
+        type: 'object',
+        required: true,
+        properties: {
+            timezone,
+            language
+        }
+    }
+};
+
+// ========== API ==========
+
+const analyze = {
+    body: {
+        type: 'object',
+        required: true,
+        properties: {
+            userText: { type: 'string', required: true, trim: true, minLength: 1, maxLength: MAX_TEXT_LENGTH },
+            textEmotion,
+            faceEmotion,
+            faceWindow,
+            sessionId: id,
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+const history = {
+    query: {
+        type: 'object',
+        properties: {
+            limit,
+            offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+    }
+};
+
+const summary = {
+    query: {
+        type: 'object',
+        properties: {
+            date: { type: 'string', format: 'date' },
+            timezone
+        }
+    }
+};
+
+const analytics = {
+    query: {
+        type: 'object',
+        properties: {
+            granularity: { type: 'string', enum: GRANULARITIES, default: 'day' },
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            timezone
+        }
+    }
+};
+
+const insights = {
+    query: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer', minimum: 1, maximum: 500 },
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' }
+        }
+    }
+};
+
+const exportArchive = {
+    query: {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: EXPORT_FORMATS, default: 'json' },
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            timezone
+        }
+    }
+};
+
+const importHistory = {
+    query: {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: IMPORT_FORMATS, required: true },
+            timezone,
+            mapping: { type: 'string', maxLength: 1000 },
+            dryRun: { type: 'boolean', default: false }
+        }
+    }
+};
+
+// ========== SESSIONS ==========
+
+const idParams = {
+    type: 'object',
+    properties: { id: { ...id, required: true } }
+};
+
+const createSession = {
+    body: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', trim: true, maxLength: 200 }
+        }
+    }
+};
+
+const listSessions = {
+    query: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['open', 'closed'] },
+            limit
+        }
+    }
+};
+
+const getSession = { params: idParams };
+
+const closeSession = { params: idParams };
+
+const deleteSession = { params: idParams };
+
+// ========== TRASH ==========
+
+const clearHistory = {
+    query: {
+        type: 'object',
+        properties: {
+            permanent: { type: 'boolean', default: false }
+        }
+    }
+};
+
+const deleteConversation = { params: idParams };
+
+const restore = { params: idParams };
+
+module.exports = {
+    EMOTIONS,
+    MAX_TEXT_LENGTH,
+    register,
+    login,
+    updateProfile,
+    analyze,
+    history,
+    summary,
+    analytics,
+    insights,
+    exportArchive,
+    importHistory,
+    createSession,
+    listSessions,
+    getSession,
+    closeSession,
+    deleteSession,
+    clearHistory,
+    deleteConversation,
+    restore
+};
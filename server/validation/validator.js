@@ -0,0 +1,180 @@
+/**
+ * VALIDATOR - Minimal JSON-schema style validation
+ *
+ * Supported keywords:
+ *   type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array'
+ *   required, nullable, default
+ *   string:  minLength, maxLength, pattern, enum, format ('date' | 'date-time' | 'timezone'), trim
+ *   number:  minimum, maximum
+ *   object:  properties, additionalProperties (false by default, true, or a schema)
+ *   array:   items, maxItems
+ */
+
+const { isValidTimeZone } = require('../../utils/timezone');
+
+const FORMATS = {
+    date: value => isCalendarDate(value),
+    'date-time': value => !isNaN(Date.parse(value)),
+    timezone: value => isValidTimeZone(value)
+};
+
+/**
+ * 'YYYY-MM-DD' naming a day that exists (Date.parse accepts 2026-02-30 and rolls it over)
+ */
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} options - { path: 'body', coerce: false } (coerce turns query strings into numbers/booleans)
+ * @returns {{ value: *, errors: Array<{ path, code, message }> }}
+ */
+function validate(schema, value, options = {}) {
+    const errors = [];
+    const result = check(schema, value, options.path || '', { coerce: Boolean(options.coerce), errors });
+    return { value: result, errors };
+}
+
+function check(schema, value, path, context) {
+    if (value === undefined) {
+        if (schema.default !== undefined) return schema.default;
+        if (schema.required) fail(context, path, 'required', 'is required');
+        return undefined;
+    }
+
+    if (value === null) {
+        if (!schema.nullable) fail(context, path, 'invalid_type', `must be ${article(schema.type)}`);
+        return null;
+    }
+
+    const checker = CHECKERS[schema.type];
+    if (!checker) throw new Error(`Unknown schema type "${schema.type}" at ${path}`);
+    return checker(schema, value, path, context);
+}
+
+const CHECKERS = {
+    string(schema, value, path, context) {
+        if (typeof value !== 'string') {
+            return fail(context, path, 'invalid_type', 'must be a string');
+        }
+
+        const text = schema.trim ? value.trim() : value;
+
+        if (schema.minLength !== undefined && text.length < schema.minLength) {
+            return fail(context, path, 'too_short', schema.minLength === 1
+                ? 'must not be empty'
+                : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+            return fail(context, path, 'too_long', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.enum && !schema.enum.includes(text)) {
+            return fail(context, path, 'invalid_enum', `must be one of: ${schema.enum.join(', ')}`);
+        }
+        if (schema.pattern && !schema.pattern.test(text)) {
+            return fail(context, path, 'invalid_format', schema.patternMessage || 'has an invalid format');
+        }
+        if (schema.format && !FORMATS[schema.format](text)) {
+            return fail(context, path, 'invalid_format', `must be a valid ${schema.format}`);
+        }
+
+        return text;
+    },
+
+    number(schema, value, path, context) {
+        const number = context.coerce && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return fail(context, path, 'invalid_type', `must be ${article(schema.type)}`);
+        }
+        if (schema.type === 'integer' && !Number.isInteger(number)) {
+            return fail(context, path, 'invalid_type', 'must be an integer');
+        }
+        if (schema.minimum !== undefined && number < schema.minimum) {
+            return fail(context, path, 'too_small', `must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && number > schema.maximum) {
+            return fail(context, path, 'too_big', `must be at most ${schema.maximum}`);
+        }
+
+        return number;
+    },
+
+    integer(schema, value, path, context) {
+        return CHECKERS.number(schema, value, path, context);
+    },
+
+    boolean(schema, value, path, context) {
+        if (context.coerce && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+        if (typeof value !== 'boolean') {
+            return fail(context, path, 'invalid_type', 'must be a boolean');
+        }
+        return value;
+    },
+
+    object(schema, value, path, context) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return fail(context, path, 'invalid_type', 'must be an object');
+        }
+
+        const properties = schema.properties || {};
+        const output = {};
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            const checked = check(propertySchema, value[key], join(path, key), context);
+            if (checked !== undefined) output[key] = checked;
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) continue;
+
+            if (schema.additionalProperties === true) {
+                output[key] = item;
+            } else if (schema.additionalProperties) {
+                output[key] = check(schema.additionalProperties, item, join(path, key), context);
+            } else {
+                fail(context, join(path, key), 'unknown_field', 'is not an allowed field');
+            }
+        }
+
+        return output;
+    },
+
+    array(schema, value, path, context) {
+        if (!Array.isArray(value)) {
+            return fail(context, path, 'invalid_type', 'must be an array');
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(context, path, 'too_big', `must have at most ${schema.maxItems} items`);
+        }
+        return schema.items
+            ? value.map((item, i) => check(schema.items, item, `${path}[${i}]`, context))
+            : value;
+    }
+};
+
+// ========== HELPERS ==========
+
+function fail(context, path, code, message) {
+    context.errors.push({ path, code, message: `${path || 'value'} ${message}` });
+    return undefined;
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function article(type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,645 @@
+/**
+ * EMOTION.JS - Text Emotion Analysis
+ * Analyzes emotional content in user's text using keyword matching and sentiment analysis.
+ * The vocabulary comes from per-language lexicons (shared/lexicons), picked per message by language detection.
+ * Besides the emotion label every analysis carries valence (unpleasant -1 .. pleasant 1) and
+ * arousal (calm -1 .. activated 1), so face and text can also be compared as points on that plane.
+ * Shared by the browser (served at /shared/emotion.js) and the server (require('shared/emotion')).
+ */
+
+const TextTokenizer = (typeof module !== 'undefined' && module.exports) ? require('./tokenizer') : window.EmotionTokenizer;
+const Taxonomy = (typeof module !== 'undefined' && module.exports) ? require('./taxonomy') : window.EmotionTaxonomy;
+
+// Letters of each writing system, to tell scripts apart before looking at words
+const SCRIPTS = {
+    Latn: /\p{Script=Latin}/gu,
+    Deva: /\p{Script=Devanagari}/gu,
+    Beng: /\p{Script=Bengali}/gu
+};
+
+// Valence and arousal of each emotion label (see shared/taxonomy.js), used for keywords without their own weights
+const EMOTION_DIMENSIONS = Object.fromEntries(Taxonomy.names.map(emotion => {
+    const { valence, arousal } = Taxonomy.EMOTIONS[emotion];
+    return [emotion, { valence, arousal }];
+}));
+
+// Valence and arousal of face-api.js's seven expressions, mixed by their probabilities
+const FACE_EXPRESSION_DIMENSIONS = {
+    neutral: { valence: 0, arousal: 0 },
+    happy: { valence: 0.8, arousal: 0.5 },
+    sad: { valence: -0.7, arousal: -0.4 },
+    angry: { valence: -0.7, arousal: 0.8 },
+    fearful: { valence: -0.6, arousal: 0.7 },
+    disgusted: { valence: -0.7, arousal: 0.3 },
+    surprised: { valence: 0.2, arousal: 0.8 }
+};
+
+// How each face-api.js expression counts toward the app's emotions (weights sum to 1).
+// Fear reads as anxiety; surprise, pleasant or startled, sits between happy and anxious on the valence/arousal plane.
+// The server can override entries (see config/faceExpressions.js).
+const DEFAULT_EXPRESSION_MAPPING = {
+    neutral: { neutral: 1 },
+    happy: { happy: 1 },
+    sad: { sad: 1 },
+    angry: { angry: 1 },
+    fearful: { anxious: 1 },
+    disgusted: { angry: 1 },
+    surprised: { happy: 0.5, anxious: 0.5 }
+};
+
+// A runner-up emotion at least this strong next to the top one makes a text mixed ("excited but terrified")
+const MIXED_RATIO = 0.6;
+
+// Farthest two points of the valence/arousal square can be apart
+const MAX_DIMENSIONAL_DISTANCE = Math.hypot(2, 2);
+
+// How many terms after a negation it reaches within its clause, not counting intensifiers ("not very happy or excited")
+const NEGATION_SCOPE = 3;
+
+// How many terms before a trailing negation it reaches ("khush nahi", "bahut khush nahi")
+const TRAILING_NEGATION_SCOPE = 2;
+
+class TextEmotionAnalyzer {
+    /**
+     * @param {Array} lexicons - Language lexicons (see shared/lexicons), the first is the fallback language
+     */
+    constructor(lexicons = TextEmotionAnalyzer.defaultLexicons()) {
+        // Template pack for mismatch messages (see setTemplates)
+        this.templates = null;
+        
+        // Emotion keywords, dismissive phrases and negation words per language
+        this.lexicons = new Map(lexicons.map(lexicon => [lexicon.language, compileLexicon(lexicon)]));
+        this.defaultLanguage = lexicons[0].language;
+        
+        // Emoji mean the same in every language, so they are scored whichever lexicon is in use
+        this.emojiEmotions = new Map();
+        this.lexicons.forEach(lexicon => lexicon.emojiOf.forEach((emotions, emoji) => {
+            this.emojiEmotions.set(emoji, unique([...(this.emojiEmotions.get(emoji) || []), ...emotions]));
+        }));
+    }
+    
+    /**
+     * Every bundled lexicon: shared/lexicons on the server, the ones loaded with <script> tags in the browser
+     */
+    static defaultLexicons() {
+        if (typeof module !== 'undefined' && module.exports) {
+            return require('./lexicons').LEXICONS;
+        }
+        return Object.values(window.EmotionLexicons || {});
+    }
+    
+    get languages() {
+        return Array.from(this.lexicons.keys());
+    }
+    
+    /**
+     * Valence and arousal of a face from face-api.js expression probabilities
+     * @param {Object} expressions - { neutral, happy, sad, angry, fearful, disgusted, surprised } probabilities
+     * @returns {Object} - { valence, arousal }, both 0 when nothing was recognised
+     */
+    static dimensionsOfExpressions(expressions) {
+        let valence = 0;
+        let arousal = 0;
+        let total = 0;
+        
+        Object.entries(expressions || {}).forEach(([expression, probability]) => {
+            const dimensions = FACE_EXPRESSION_DIMENSIONS[expression];
+            if (!dimensions || !(probability > 0)) return;
+            valence += dimensions.valence * probability;
+            arousal += dimensions.arousal * probability;
+            total += probability;
+        });
+        
+        return total > 0
+            ? { valence: roundDimension(valence / total), arousal: roundDimension(arousal / total) }
+            : { valence: 0, arousal: 0 };
+    }
+    
+    /**
+     * The app's emotions from face-api.js expression probabilities
+     * @param {Object} expressions - { neutral, happy, sad, angry, fearful, disgusted, surprised } probabilities
+     * @param {Object} [mapping] - expression -> { emotion: weight }, see compileExpressionMapping()
+     * @returns {Object} - { <emotion>: probability } for every emotion of the taxonomy
+     */
+    static emotionsOfExpressions(expressions, mapping = DEFAULT_EXPRESSION_MAPPING) {
+        const emotions = Taxonomy.each(0);
+        
+        Object.entries(expressions || {}).forEach(([expression, probability]) => {
+            if (!mapping[expression] || !(probability > 0)) return;
+            Object.entries(mapping[expression]).forEach(([emotion, weight]) => {
+                emotions[emotion] += probability * weight;
+            });
+        });
+        return emotions;
+    }
+    
+    /**
+     * Complete expression mapping from overrides of the default one
+     * @param {Object} overrides - expression -> emotion ("anxious") or { emotion: weight } (weights are scaled to sum to 1)
+     * @returns {Object} - expression -> { emotion: weight } for all seven expressions
+     * @throws {Error} - on an unknown expression or emotion, or weights that aren't positive numbers
+     */
+    static compileExpressionMapping(overrides = {}) {
+        const mapping = { ...DEFAULT_EXPRESSION_MAPPING };
+        
+        Object.entries(overrides).forEach(([expression, target]) => {
+            if (!DEFAULT_EXPRESSION_MAPPING[expression]) {
+                throw new Error(`Unknown face expression "${expression}"`);
+            }
+            
+            const weights = typeof target === 'string' ? { [target]: 1 } : target;
+            const entries = Object.entries(weights || {});
+            const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+            entries.forEach(([emotion, weight]) => {
+                if (!Taxonomy.EMOTIONS[emotion]) {
+                    throw new Error(`Face expression "${expression}" maps to unknown emotion "${emotion}"`);
+                }
+                if (typeof weight !== 'number' || !(weight > 0)) {
+                    throw new Error(`Face expression "${expression}": weight of "${emotion}" must be a positive number`);
+                }
+            });
+            if (entries.length === 0) {
+                throw new Error(`Face expression "${expression}" must map to at least one emotion`);
+            }
+            
+            mapping[expression] = Object.fromEntries(entries.map(([emotion, weight]) => [emotion, weight / total]));
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * Distance between two analyses on the valence/arousal plane (0 .. MAX_DIMENSIONAL_DISTANCE)
+     * @returns {number|null} - null when either lacks valence or arousal
+     */
+    static dimensionalDistance(a, b) {
+        const hasDimensions = value => value && typeof value.valence === 'number' && typeof value.arousal === 'number';
+        if (!hasDimensions(a) || !hasDimensions(b)) return null;
+        return Math.round(Math.hypot(a.valence - b.valence, a.arousal - b.arousal) * 100) / 100;
+    }
+    
+    /**
+     * Analyze text and return detected emotion
+     * @param {string} text - User's input text
+     * @param {Object} options - { language: the user's preferred language, favoured when detecting }
+     * @returns {Object} - { emotion: string, confidence: number, isDismissive: boolean, allScores,
+     *                      emotions: [{ emotion, intensity }] strongest first, mixed: boolean, valence, arousal, language }
+     */
+    analyze(text, { language } = {}) {
+        if (!text || text.trim().length === 0) {
+            return {
+                emotion: Taxonomy.FALLBACK,
+                confidence: 0,
+                isDismissive: false,
+                emotions: [],
+                mixed: false,
+                valence: 0,
+                arousal: 0,
+                language: language || this.defaultLanguage
+            };
+        }
+        
+        // Pick the message's language, then use its lexicon (plus the ones it is usually mixed with)
+        const detected = this.detectLanguage(text, language);
+        const lexicons = this.lexiconsFor(detected);
+        
+        // Check for dismissive phrases
+        const isDismissive = this.isDismissivePhrase(text, lexicons);
+        
+        // Calculate emotion scores
+        const hits = this.findEmotionHits(text, lexicons);
+        const scores = sumScores(hits);
+        
+        // Get dominant emotion, and every emotion present ranked
+        const dominantEmotion = this.getDominantEmotion(scores);
+        const emotions = this.rankEmotions(scores);
+        
+        return {
+            emotion: dominantEmotion.emotion,
+            confidence: dominantEmotion.confidence,
+            isDismissive: isDismissive,
+            allScores: scores,
+            emotions,
+            mixed: this.isMixed(emotions),
+            ...averageDimensions(hits),
+            language: detected
+        };
+    }
+    
+    /**
+     * Most likely language of a message: its writing system first, then marker words, keywords and letters.
+     * The preferred language wins ties, so short or ambiguous messages follow the user's preference.
+     */
+    detectLanguage(text, preferred) {
+        const normalized = TextTokenizer.normalizeText(text);
+        
+        const letterCounts = Object.entries(SCRIPTS).map(([script, pattern]) => [script, (normalized.match(pattern) || []).length]);
+        const [script] = letterCounts.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+        
+        // The preferred language goes first so it wins ties
+        const candidates = Array.from(this.lexicons.values())
+            .filter(lexicon => lexicon.script === script)
+            .sort((a, b) => (b.language === preferred) - (a.language === preferred));
+        if (candidates.length === 0) {
+            return this.lexicons.has(preferred) ? preferred : this.defaultLanguage;
+        }
+        
+        const tokens = TextTokenizer.tokenize(normalized);
+        let best = candidates[0];
+        let bestScore = -1;
+        
+        candidates.forEach(lexicon => {
+            const words = wordsOf(TextTokenizer.expandContractions(tokens, lexicon));
+            let score = words.filter(word => lexicon.markers.has(word) || lexicon.emotionOf.has(word)).length;
+            if (lexicon.letters && lexicon.letters.test(normalized)) score += 2;
+            if (lexicon.language === preferred) score += 1;
+            
+            if (score > bestScore) {
+                best = lexicon;
+                bestScore = score;
+            }
+        });
+        
+        return best.language;
+    }
+    
+    /**
+     * A language's lexicon followed by the ones it is mixed with
+     */
+    lexiconsFor(language) {
+        const primary = this.lexicons.get(language) || this.lexicons.get(this.defaultLanguage);
+        const mixed = (primary.mixesWith || []).map(other => this.lexicons.get(other)).filter(Boolean);
+        return [primary, ...mixed];
+    }
+    
+    /**
+     * Tokens of a text with contractions written out ("can't" -> "can", "not") in any of the lexicons
+     */
+    tokensOf(text, lexicons) {
+        return lexicons.reduce((tokens, lexicon) => TextTokenizer.expandContractions(tokens, lexicon), TextTokenizer.tokenize(text));
+    }
+    
+    /**
+     * Tokens with multi-word expressions from the lexicons joined into one 'phrase' token ("fed up"),
+     * longest expression first so "dil toot gaya" wins over "dil"
+     */
+    termsOf(tokens, lexicons) {
+        const phrases = lexicons.flatMap(lexicon => lexicon.phrases).sort((a, b) => b.length - a.length);
+        const terms = [];
+        
+        for (let i = 0; i < tokens.length;) {
+            const phrase = tokens[i].type === 'word' && phrases.find(words => words.every((word, offset) => {
+                const token = tokens[i + offset];
+                return token && token.type === 'word' && token.text === word;
+            }));
+            
+            if (phrase) {
+                terms.push({ type: 'phrase', text: phrase.join(' ') });
+                i += phrase.length;
+            } else {
+                terms.push(tokens[i]);
+                i++;
+            }
+        }
+        
+        return terms;
+    }
+    
+    /**
+     * Check if text contains dismissive phrases
+     * A phrase right after a negation doesn't count ("no estoy bien" is not "estoy bien")
+     */
+    isDismissivePhrase(text, lexicons = this.lexiconsFor(this.defaultLanguage)) {
+        const words = wordsOf(this.tokensOf(text, lexicons));
+        const isNegation = word => lexicons.some(lexicon => lexicon.negationWords.has(word));
+        
+        return lexicons.some(lexicon => lexicon.dismissivePhrases.some(phrase => words.some((word, start) => (
+            phrase.every((part, offset) => words[start + offset] === part) &&
+            !(start > 0 && isNegation(words[start - 1]))
+        ))));
+    }
+    
+    /**
+     * Calculate scores for each emotion based on keyword, phrase and emoji matching
+     */
+    calculateEmotionScores(text, lexicons = this.lexiconsFor(this.defaultLanguage)) {
+        return sumScores(this.findEmotionHits(text, lexicons));
+    }
+    
+    /**
+     * Every emotion keyword, phrase and emoji of a text: [{ emotion, score, valence, arousal }]
+     * A negation reverses the emotion words and phrases after it, up to NEGATION_SCOPE terms
+     * or the end of the clause; in languages like Hindi and Bengali it reverses the ones just
+     * before it instead. Emoji are never negated.
+     */
+    findEmotionHits(text, lexicons = this.lexiconsFor(this.defaultLanguage)) {
+        const terms = this.termsOf(this.tokensOf(text, lexicons), lexicons);
+        const hits = [];
+        
+        const negationFollows = lexicons[0].negation === 'after';
+        const isWord = term => term && term.type === 'word';
+        const inAny = (set, word) => lexicons.some(lexicon => lexicon[set].has(word));
+        
+        // Emotion words of the current clause a following negation can still flip
+        let recentHits = [];
+        
+        // Terms left in the scope of an earlier negation
+        let negatedTerms = 0;
+        
+        for (let i = 0; i < terms.length; i++) {
+            const term = terms[i];
+            
+            // A clause break ends any negation
+            if (term.type === 'break' || (isWord(term) && inAny('contrastWords', term.text))) {
+                negatedTerms = 0;
+                recentHits = [];
+                continue;
+            }
+            
+            // Check for negation
+            if (isWord(term) && inAny('negationWords', term.text)) {
+                if (negationFollows) {
+                    // Reverse the emotion words just before it
+                    recentHits.filter(hit => hit.index >= i - TRAILING_NEGATION_SCOPE).forEach(hit => {
+                        hit.score *= -0.5;
+                    });
+                    recentHits = [];
+                } else {
+                    negatedTerms = NEGATION_SCOPE;
+                }
+                continue;
+            }
+            
+            const isEmoji = term.type === 'emoji' || term.type === 'emoticon';
+            const emotions = isEmoji
+                ? this.emojiEmotions.get(term.text) || []
+                : unique(lexicons.flatMap(lexicon => lexicon.emotionOf.get(term.text) || []));
+            const weighted = lexicons.find(lexicon => lexicon.dimensions.has(term.text));
+            
+            // Check each emotion
+            for (const emotion of emotions) {
+                let score = 1;
+                
+                // Check for intensifiers in previous word
+                const previous = terms[i - 1];
+                if (isWord(previous) && lexicons.some(lexicon => lexicon.emotionKeywords[emotion] && lexicon.emotionKeywords[emotion].intensifiers.has(previous.text))) {
+                    score *= 1.5;
+                }
+                
+                // Apply negation (reverse the emotion)
+                if (negatedTerms > 0 && !isEmoji) {
+                    score *= -0.5;
+                }
+                
+                const hit = { emotion, score, index: i, ...(weighted ? weighted.dimensions.get(term.text) : EMOTION_DIMENSIONS[emotion]) };
+                hits.push(hit);
+                if (score > 0 && !isEmoji) recentHits.push(hit);
+            }
+            
+            // Intensifiers don't use up the scope ("not very happy")
+            const intensifies = isWord(term) && lexicons.some(lexicon => Object.values(lexicon.emotionKeywords).some(data => data.intensifiers.has(term.text)));
+            if (negatedTerms > 0 && !intensifies) negatedTerms--;
+        }
+        
+        return hits.map(({ index, ...hit }) => hit);
+    }
+    
+    /**
+     * Get dominant emotion from scores
+     */
+    getDominantEmotion(scores) {
+        let maxEmotion = Taxonomy.FALLBACK;
+        let maxScore = 0;
+        
+        for (const [emotion, score] of Object.entries(scores)) {
+            if (score > maxScore) {
+                maxScore = score;
+                maxEmotion = emotion;
+            }
+        }
+        
+        // Calculate confidence (0-100)
+        const totalScore = Object.values(scores).reduce((a, b) => a + b, 0);
+        const confidence = totalScore > 0 
+            ? Math.round((maxScore / totalScore) * 100)
+            : 0;
+        
+        return {
+            emotion: maxEmotion,
+            confidence: Math.min(confidence, 100)
+        };
+    }
+    
+    /**
+     * Every emotion with a score, strongest first (ties keep the scores' order, like getDominantEmotion)
+     * @returns {Array} - [{ emotion, intensity }], intensity being its share of all scores (0-1)
+     */
+    rankEmotions(scores) {
+        const total = Object.values(scores).reduce((a, b) => a + b, 0);
+        
+        return Object.entries(scores)
+            .filter(([, score]) => score > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([emotion, score]) => ({ emotion, intensity: Math.round((score / total) * 100) / 100 }));
+    }
+    
+    /**
+     * Whether the two strongest emotions are both strong: the runner-up reaches MIXED_RATIO of the top one.
+     * Neutral words next to an emotion don't make a text mixed.
+     */
+    isMixed(emotions) {
+        const [first, second] = emotions;
+        if (!first || !second || first.emotion === Taxonomy.FALLBACK || second.emotion === Taxonomy.FALLBACK) return false;
+        return second.intensity >= first.intensity * MIXED_RATIO;
+    }
+    
+    /**
+     * Compare face emotion with text emotion
+     * Returns mismatch information
+     */
+    compareEmotions(faceEmotion, textEmotion) {
+        // If no face emotion detected
+        if (!faceEmotion) {
+            return {
+                match: true,
+                mismatch: false,
+                reason: null
+            };
+        }
+        
+        const face = faceEmotion.emotion;
+        const text = textEmotion.emotion;
+        
+        // Direct match
+        if (face === text) {
+            return {
+                match: true,
+                mismatch: false,
+                confidence: Math.min(faceEmotion.confidence, textEmotion.confidence)
+            };
+        }
+        
+        // Concerning pairs (see shared/taxonomy.js): a negative face over pleasant or neutral words
+        // only counts when the words brush feelings off ("I'm fine")
+        const isConcerningMismatch = Taxonomy.mismatch(face, text).concerning &&
+            (textEmotion.isDismissive || Taxonomy.isNegative(text));
+        
+        return {
+            match: false,
+            mismatch: true,
+            concerningMismatch: isConcerningMismatch,
+            faceEmotion: face,
+            textEmotion: text,
+            isDismissive: textEmotion.isDismissive,
+            message: this.getMismatchMessage(face, text, textEmotion.isDismissive)
+        };
+    }
+    
+    /**
+     * Use a template pack (templates/<locale>.json) for mismatch messages
+     */
+    setTemplates(pack) {
+        this.templates = pack;
+    }
+    
+    /**
+     * Get empathetic message for emotion mismatch
+     * Empty until a template pack has been set
+     */
+    getMismatchMessage(faceEmotion, textEmotion, isDismissive) {
+        const pack = this.templates || {};
+        const messages = pack.mismatchMessages || {};
+        const dismissive = messages.dismissive || {};
+        const template = isDismissive ? dismissive[faceEmotion] || dismissive.default : messages.default;
+        const names = pack.emotions || {};
+        
+        return (template || '')
+            .replace(/\{faceEmotion\}/g, names[faceEmotion] || faceEmotion)
+            .replace(/\{textEmotion\}/g, names[textEmotion] || textEmotion);
+    }
+    
+    /**
+     * Get sentiment score (-1 to 1): the text's valence
+     */
+    getSentimentScore(text) {
+        return this.analyze(text).valence;
+    }
+}
+
+/**
+ * Text of the word tokens, skipping emoji and punctuation
+ */
+function wordsOf(tokens) {
+    return tokens.filter(token => token.type === 'word').map(token => token.text);
+}
+
+/**
+ * Emotion scores from hits, never below zero
+ */
+function sumScores(hits) {
+    const scores = Taxonomy.each(0);
+    
+    hits.forEach(hit => { scores[hit.emotion] += hit.score; });
+    
+    // Remove negative scores
+    for (const emotion in scores) {
+        scores[emotion] = Math.max(0, scores[emotion]);
+    }
+    
+    return scores;
+}
+
+/**
+ * Mean valence and arousal of the hits: intensified words pull further out,
+ * negated ones flip their valence and count for less
+ */
+function averageDimensions(hits) {
+    if (hits.length === 0) return { valence: 0, arousal: 0 };
+    
+    let valence = 0;
+    let arousal = 0;
+    hits.forEach(hit => {
+        valence += hit.valence * hit.score;
+        arousal += hit.arousal * Math.abs(hit.score);
+    });
+    
+    return {
+        valence: roundDimension(valence / hits.length),
+        arousal: roundDimension(arousal / hits.length)
+    };
+}
+
+/**
+ * Clamp to -1 .. 1, two decimals
+ */
+function roundDimension(value) {
+    return Math.round(Math.max(-1, Math.min(1, value)) * 100) / 100;
+}
+
+function unique(list) {
+    return Array.from(new Set(list));
+}
+
+/**
+ * Lexicon with its word lists tokenized the way messages are:
+ *   emotionOf  keyword or multi-word expression ("fed up") -> emotions it counts for
+ *   emojiOf    emoji or emoticon -> emotions it counts for
+ *   phrases    multi-word expressions as word lists, matched before single words
+ *   dimensions keyword -> { valence, arousal } for keywords weighted apart from their emotion
+ */
+function compileLexicon(lexicon) {
+    const termOf = text => TextTokenizer.expandContractions(TextTokenizer.tokenize(text), lexicon)
+        .filter(token => token.type !== 'break');
+    const words = list => (list || []).map(word => wordsOf(termOf(word)).join(' ')).filter(Boolean);
+    
+    const emotionKeywords = {};
+    const emotionOf = new Map();
+    const emojiOf = new Map();
+    const phrases = new Map();
+    Object.entries(lexicon.emotionKeywords).forEach(([emotion, data]) => {
+        if (!Taxonomy.EMOTIONS[emotion]) {
+            throw new Error(`Lexicon ${lexicon.language}: "${emotion}" is not an emotion of shared/taxonomy.js`);
+        }
+        emotionKeywords[emotion] = { intensifiers: new Set(words(data.intensifiers)) };
+        
+        data.keywords.forEach(keyword => {
+            const tokens = termOf(keyword);
+            if (tokens.length === 0) return;
+            
+            const isEmoji = tokens.length === 1 && tokens[0].type !== 'word';
+            const key = isEmoji ? tokens[0].text : wordsOf(tokens).join(' ');
+            const target = isEmoji ? emojiOf : emotionOf;
+            target.set(key, unique([...(target.get(key) || []), emotion]));
+            if (!isEmoji && tokens.length > 1) phrases.set(key, wordsOf(tokens));
+        });
+    });
+    
+    return {
+        ...lexicon,
+        markers: new Set(words(lexicon.markers)),
+        emotionKeywords,
+        emotionOf,
+        emojiOf,
+        phrases: Array.from(phrases.values()),
+        dismissivePhrases: (lexicon.dismissivePhrases || []).map(phrase => wordsOf(termOf(phrase))),
+        dimensions: new Map(Object.entries(lexicon.dimensions || {}).map(([keyword, [valence, arousal]]) => (
+            [wordsOf(termOf(keyword)).join(' '), { valence, arousal }]
+        ))),
+        negationWords: new Set(words(lexicon.negationWords)),
+        contrastWords: new Set(words(lexicon.contrastWords))
+    };
+}
+
+TextEmotionAnalyzer.EMOTION_DIMENSIONS = EMOTION_DIMENSIONS;
+TextEmotionAnalyzer.FACE_EXPRESSION_DIMENSIONS = FACE_EXPRESSION_DIMENSIONS;
+TextEmotionAnalyzer.DEFAULT_EXPRESSION_MAPPING = DEFAULT_EXPRESSION_MAPPING;
+TextEmotionAnalyzer.MAX_DIMENSIONAL_DISTANCE = MAX_DIMENSIONAL_DISTANCE;
+TextEmotionAnalyzer.MIXED_RATIO = MIXED_RATIO;
+
+// Export for Node (server-side analysis) or the browser
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextEmotionAnalyzer;
+} else {
+    window.TextEmotionAnalyzer = TextEmotionAnalyzer;
+}
\ No newline at end of file
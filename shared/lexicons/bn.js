@@ -0,0 +1,67 @@
+/**
+ * BN.JS - Bengali lexicon
+ * Loaded by shared/lexicons/index.js on the server and by a <script> tag in the browser.
+ */
+
+(function () {
+    const lexicon = {
+        language: 'bn',
+        name: 'বাংলা',
+        script: 'Beng',
+        speechLang: 'bn-IN',
+        // "আমি ভালো নেই": the negation follows the word it negates
+        negation: 'after',
+        mixesWith: ['en'],
+
+        markers: ['আমি', 'আমার', 'আমাকে', 'তুমি', 'আছি', 'আছে', 'হয়', 'কি', 'কী', 'এবং', 'আর', 'খুব', 'লাগছে'],
+
+        emotionKeywords: {
+            happy: {
+                keywords: ['খুশি', 'আনন্দ', 'আনন্দিত', 'দারুণ', 'চমৎকার', 'মজা', 'ভালোবাসা', 'ভালো', 'ভাল', 'মন ভালো'],
+                intensifiers: ['খুব', 'খুবই', 'অনেক', 'ভীষণ', 'একদম', 'বেশ', 'অত্যন্ত']
+            },
+            sad: {
+                keywords: [
+                    'দুঃখ', 'দুঃখিত', 'কষ্ট', 'কাঁদছি', 'কান্না', 'কাঁদতে', 'একা', 'একাকী', 'হতাশ', 'হতাশা',
+                    'বিষণ্ণ', 'খারাপ', 'ভেঙে', 'মন খারাপ'
+                ],
+                intensifiers: ['খুব', 'খুবই', 'অনেক', 'ভীষণ', 'একদম', 'বেশ', 'অত্যন্ত']
+            },
+            angry: {
+                keywords: ['রাগ', 'রাগী', 'রেগে', 'বিরক্ত', 'ক্ষুব্ধ', 'ক্ষিপ্ত', 'ঘৃণা', 'রাগান্বিত', 'মাথা গরম'],
+                intensifiers: ['খুব', 'খুবই', 'অনেক', 'ভীষণ', 'একদম', 'বেশ', 'অত্যন্ত']
+            },
+            anxious: {
+                keywords: ['চিন্তা', 'চিন্তিত', 'উদ্বিগ্ন', 'উদ্বেগ', 'ভয়', 'ভীত', 'টেনশন', 'অস্থির', 'নার্ভাস', 'দুশ্চিন্তা'],
+                intensifiers: ['খুব', 'খুবই', 'অনেক', 'ভীষণ', 'একদম', 'বেশ', 'অত্যন্ত']
+            },
+            neutral: {
+                keywords: ['ঠিক', 'ঠিকঠাক', 'স্বাভাবিক', 'মোটামুটি', 'হ্যাঁ'],
+                intensifiers: []
+            }
+        },
+
+        dismissivePhrases: [
+            'আমি ঠিক আছি',
+            'আমি ভালো আছি',
+            'সব ঠিক আছে',
+            'কিছু না',
+            'কিছু হয়নি',
+            'চিন্তা করো না',
+            'চিন্তা কোরো না',
+            'বাদ দাও',
+            'ব্যাপার না'
+        ],
+
+        negationWords: ['না', 'নয়', 'নেই', 'নাই', 'নি', 'নই'],
+
+        contrastWords: ['কিন্তু', 'তবে']
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = lexicon;
+    } else {
+        window.EmotionLexicons = window.EmotionLexicons || {};
+        window.EmotionLexicons[lexicon.language] = lexicon;
+    }
+})();
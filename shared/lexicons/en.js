@@ -0,0 +1,127 @@
+/**
+ * EN.JS - English lexicon
+ * Loaded by shared/lexicons/index.js on the server and by a <script> tag in the browser.
+ */
+
+(function () {
+    const lexicon = {
+        language: 'en',
+        name: 'English',
+        script: 'Latn',
+        speechLang: 'en-US',
+        negation: 'before',
+
+        // Common words that tell English apart from other Latin-script languages
+        markers: [
+            'i', 'am', 'is', 'are', 'was', 'the', 'a', 'and', 'but', 'my', 'me', 'it', 'its',
+            'you', 'feel', 'feeling', 'so', 'very', 'really', 'today', 'just', 'have', 'been', 'what'
+        ],
+
+        emotionKeywords: {
+            happy: {
+                keywords: [
+                    'happy', 'joy', 'joyful', 'excited', 'great', 'amazing', 'wonderful',
+                    'fantastic', 'excellent', 'good', 'glad', 'pleased', 'delighted',
+                    'cheerful', 'thrilled', 'love', 'loving', 'blessed', 'grateful',
+                    'awesome', 'brilliant', 'perfect', 'beautiful', 'fun', 'enjoy',
+                    'celebrating', 'laugh', 'smile', 'yay', 'haha', 'lol', 'over the moon',
+                    'on cloud nine', 'on top of the world', 'in a good mood', '😊', '😄',
+                    '😁', '🎉', '❤️', '💕', '✨', '😉', '🙂', '😃', '😀', '🥰', '😍', '🥳', '👍'
+                ],
+                intensifiers: ['very', 'so', 'really', 'extremely', 'super', 'absolutely']
+            },
+            sad: {
+                keywords: [
+                    'sad', 'unhappy', 'depressed', 'down', 'upset', 'hurt', 'crying',
+                    'tears', 'lonely', 'alone', 'miserable', 'devastated', 'heartbroken',
+                    'blue', 'gloomy', 'disappointed', 'hopeless', 'despair', 'grief',
+                    'sorrow', 'melancholy', 'sorry', 'regret', 'miss', 'lost', 'broken',
+                    'empty', 'numb', 'pain', 'ache', 'down in the dumps', 'burnt out', 'burned out',
+                    'worn out', 'let down', "can't stop crying", '😢', '😭', '💔', '😞', '😔', '🥺', '😥'
+                ],
+                intensifiers: ['very', 'so', 'really', 'extremely', 'deeply', 'totally']
+            },
+            angry: {
+                keywords: [
+                    'angry', 'mad', 'furious', 'rage', 'annoyed', 'frustrated', 'irritated',
+                    'pissed', 'hate', 'hatred', 'disgusted', 'outraged', 'livid', 'fuming',
+                    'bitter', 'resentful', 'hostile', 'violent', 'aggressive', 'fight',
+                    'argue', 'stupid', 'idiot', 'damn', 'hell', 'awful', 'terrible',
+                    'worst', 'fed up', 'pissed off', 'sick of', 'sick and tired', 'had enough',
+                    'ticked off', '😠', '😡', '🤬', '💢', '😤', '👿'
+                ],
+                intensifiers: ['very', 'so', 'really', 'extremely', 'absolutely', 'totally']
+            },
+            anxious: {
+                keywords: [
+                    'anxious', 'worried', 'nervous', 'scared', 'afraid', 'fear', 'fearful',
+                    'panic', 'stress', 'stressed', 'overwhelmed', 'tense', 'uneasy',
+                    'concerned', 'troubled', 'distressed', 'frightened', 'terrified',
+                    'insecure', 'uncertain', 'doubt', 'worry', 'freaking out', 'stressed out', 'on edge',
+                    'panic attack', '😰', '😨', '😟', '😕', '😬', '😓'
+                ],
+                intensifiers: ['very', 'so', 'really', 'extremely', 'totally']
+            },
+            neutral: {
+                keywords: [
+                    'okay', 'ok', 'fine', 'alright', 'normal', 'regular', 'usual',
+                    'average', 'so-so', 'meh', 'whatever', 'sure', 'maybe', 'not bad', 'nothing much',
+                    'not much', 'same old', '😐', '😑', '🤷'
+                ],
+                intensifiers: []
+            }
+        },
+
+        // Keywords whose valence/arousal ([valence, arousal], -1 .. 1) sit apart from their emotion's
+        dimensions: {
+            thrilled: [0.9, 0.9], excited: [0.7, 0.8], 'over the moon': [0.9, 0.8], love: [0.9, 0.5],
+            grateful: [0.7, 0.1], blessed: [0.7, 0.1], pleased: [0.6, 0.2], glad: [0.6, 0.2],
+            devastated: [-0.9, 0.2], hopeless: [-0.9, -0.5], heartbroken: [-0.9, 0.1], despair: [-0.9, -0.3],
+            numb: [-0.4, -0.8], empty: [-0.5, -0.7], 'burnt out': [-0.6, -0.7], 'burned out': [-0.6, -0.7],
+            'worn out': [-0.5, -0.7], disappointed: [-0.5, -0.2], sorry: [-0.3, -0.1],
+            furious: [-0.8, 1], livid: [-0.8, 1], outraged: [-0.8, 0.9], fuming: [-0.8, 0.9],
+            annoyed: [-0.4, 0.4], irritated: [-0.4, 0.4], 'fed up': [-0.5, 0.4], bitter: [-0.5, 0.2],
+            terrified: [-0.8, 0.9], panic: [-0.7, 0.9], 'panic attack': [-0.8, 1], 'freaking out': [-0.7, 0.9],
+            overwhelmed: [-0.6, 0.7], concerned: [-0.3, 0.3], uncertain: [-0.2, 0.2], doubt: [-0.2, 0.1],
+            'not bad': [0.3, 0], meh: [-0.1, -0.3]
+        },
+
+        // Common dismissive phrases (indicate hidden emotions)
+        dismissivePhrases: [
+            "i'm fine",
+            "it's fine",
+            "i'm ok",
+            "i'm okay",
+            "nothing's wrong",
+            "don't worry",
+            "it's nothing",
+            "never mind",
+            "forget it",
+            "doesn't matter"
+        ],
+
+        negationWords: ['not', 'no', 'never', 'neither', 'nor', 'nobody', 'nothing', 'none', 'nowhere', 'without'],
+
+        // Words that start a new clause, ending a negation's scope ("not great, but happy")
+        contrastWords: ['but', 'although', 'though', 'however', 'yet'],
+
+        // Contracted words written out, with or without the apostrophe
+        contractions: {
+            "can't": 'can not', cannot: 'can not', "won't": 'will not', "shan't": 'shall not', "ain't": 'is not',
+            cant: 'can not', wont: 'will not', dont: 'do not', doesnt: 'does not', didnt: 'did not',
+            isnt: 'is not', wasnt: 'was not', arent: 'are not', werent: 'were not', havent: 'have not',
+            hasnt: 'has not', couldnt: 'could not', shouldnt: 'should not', wouldnt: 'would not',
+            im: 'i am', ive: 'i have', "it's": 'it is', "that's": 'that is', "what's": 'what is',
+            "there's": 'there is', "he's": 'he is', "she's": 'she is', "nothing's": 'nothing is',
+            "everything's": 'everything is', "let's": 'let us'
+        },
+        contractionSuffixes: { "n't": 'not', "'m": 'am', "'re": 'are', "'ve": 'have', "'ll": 'will', "'d": 'would', "'s": '' }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = lexicon;
+    } else {
+        window.EmotionLexicons = window.EmotionLexicons || {};
+        window.EmotionLexicons[lexicon.language] = lexicon;
+    }
+})();
@@ -0,0 +1,101 @@
+/**
+ * ES.JS - Spanish lexicon
+ * Loaded by shared/lexicons/index.js on the server and by a <script> tag in the browser.
+ */
+
+(function () {
+    const lexicon = {
+        language: 'es',
+        name: 'Español',
+        script: 'Latn',
+        speechLang: 'es-ES',
+        negation: 'before',
+
+        // Letters and punctuation English doesn't use
+        letters: /[ñ¿¡áéíóú]/,
+
+        markers: [
+            'el', 'la', 'los', 'las', 'que', 'de', 'y', 'es', 'estoy', 'estás', 'está', 'muy', 'pero',
+            'por', 'para', 'con', 'mi', 'me', 'yo', 'un', 'una', 'qué', 'cómo', 'hoy', 'también',
+            'porque', 'todo', 'siento', 'tengo', 'hay'
+        ],
+
+        emotionKeywords: {
+            happy: {
+                keywords: [
+                    'feliz', 'felices', 'contento', 'contenta', 'alegre', 'alegría', 'genial', 'increíble',
+                    'maravilloso', 'maravillosa', 'fantástico', 'fantástica', 'excelente', 'encantado',
+                    'encantada', 'emocionado', 'emocionada', 'agradecido', 'agradecida', 'bendecido',
+                    'bendecida', 'divertido', 'divertida', 'disfruto', 'disfrutando', 'risa', 'sonrisa',
+                    'jaja', 'jajaja', 'amor', 'encanta', 'perfecto', 'perfecta', 'hermoso', 'hermosa',
+                    'de buen humor', 'muy bien'
+                ],
+                intensifiers: ['muy', 'tan', 'súper', 'super', 'realmente', 'totalmente', 'muchísimo']
+            },
+            sad: {
+                keywords: [
+                    'triste', 'tristeza', 'deprimido', 'deprimida', 'decaído', 'decaída', 'llorando',
+                    'llorar', 'lágrimas', 'solo', 'sola', 'soledad', 'infeliz', 'destrozado', 'destrozada',
+                    'desanimado', 'desanimada', 'desesperanza', 'pena', 'dolor', 'duele', 'vacío', 'vacía',
+                    'roto', 'rota', 'perdido', 'perdida', 'decepcionado', 'decepcionada', 'desesperado',
+                    'desesperada', 'de bajón', 'sin ganas', 'corazón roto'
+                ],
+                intensifiers: ['muy', 'tan', 'realmente', 'profundamente', 'totalmente']
+            },
+            angry: {
+                keywords: [
+                    'enojado', 'enojada', 'enfadado', 'enfadada', 'furioso', 'furiosa', 'rabia', 'ira',
+                    'molesto', 'molesta', 'irritado', 'irritada', 'frustrado', 'frustrada', 'odio', 'odiar',
+                    'harto', 'harta', 'indignado', 'indignada', 'cabreado', 'cabreada', 'maldito', 'maldita',
+                    'mierda', 'terrible', 'horrible', 'peor', 'hasta las narices', 'hasta la madre'
+                ],
+                intensifiers: ['muy', 'tan', 'realmente', 'totalmente', 'súper', 'super']
+            },
+            anxious: {
+                keywords: [
+                    'ansioso', 'ansiosa', 'ansiedad', 'preocupado', 'preocupada', 'nervioso', 'nerviosa',
+                    'miedo', 'asustado', 'asustada', 'pánico', 'estrés', 'estresado', 'estresada',
+                    'agobiado', 'agobiada', 'tenso', 'tensa', 'inquieto', 'inquieta', 'angustia',
+                    'angustiado', 'angustiada', 'aterrado', 'aterrada', 'inseguro', 'insegura',
+                    'ataque de pánico', 'nervios de punta'
+                ],
+                intensifiers: ['muy', 'tan', 'realmente', 'totalmente']
+            },
+            neutral: {
+                keywords: ['bien', 'vale', 'normal', 'regular', 'meh', 'tranquilo', 'tranquila', 'igual', 'más o menos', 'ni fu ni fa'],
+                intensifiers: []
+            }
+        },
+
+        // Keywords whose valence/arousal ([valence, arousal], -1 .. 1) sit apart from their emotion's
+        dimensions: {
+            emocionado: [0.7, 0.8], emocionada: [0.7, 0.8], agradecido: [0.7, 0.1], agradecida: [0.7, 0.1],
+            destrozado: [-0.9, 0.2], destrozada: [-0.9, 0.2], vacío: [-0.5, -0.7], vacía: [-0.5, -0.7],
+            furioso: [-0.8, 1], furiosa: [-0.8, 1], molesto: [-0.4, 0.4], molesta: [-0.4, 0.4],
+            aterrado: [-0.8, 0.9], aterrada: [-0.8, 0.9], pánico: [-0.7, 0.9], 'ataque de pánico': [-0.8, 1]
+        },
+
+        dismissivePhrases: [
+            'estoy bien',
+            'todo bien',
+            'no pasa nada',
+            'no es nada',
+            'no importa',
+            'da igual',
+            'olvídalo',
+            'no te preocupes',
+            'déjalo'
+        ],
+
+        negationWords: ['no', 'nunca', 'jamás', 'ni', 'nada', 'nadie', 'tampoco', 'sin'],
+
+        contrastWords: ['pero', 'aunque', 'sino']
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = lexicon;
+    } else {
+        window.EmotionLexicons = window.EmotionLexicons || {};
+        window.EmotionLexicons[lexicon.language] = lexicon;
+    }
+})();
@@ -0,0 +1,90 @@
+/**
+ * HI-LATN.JS - Hinglish lexicon (Hindi written in Latin letters, usually mixed with English)
+ * Loaded by shared/lexicons/index.js on the server and by a <script> tag in the browser.
+ * Spellings vary a lot ("nahi", "nahin", "nhi"), so common variants are listed.
+ */
+
+(function () {
+    const lexicon = {
+        language: 'hi-Latn',
+        name: 'Hinglish',
+        script: 'Latn',
+        // Indian English recognition keeps Hindi words in Latin letters
+        speechLang: 'en-IN',
+        // "khush nahi hoon": the negation follows the word it negates
+        negation: 'after',
+        mixesWith: ['en'],
+
+        markers: [
+            'hai', 'hain', 'hoon', 'hu', 'hun', 'main', 'mai', 'mera', 'meri', 'mujhe', 'mujhko', 'tum',
+            'aap', 'kya', 'kyun', 'kyu', 'nahi', 'nahin', 'nhi', 'bahut', 'bohot', 'yaar', 'yar', 'raha',
+            'rahi', 'rahe', 'tha', 'thi', 'ki', 'ka', 'ke', 'ko', 'se', 'aur', 'bhi', 'sab', 'kuch', 'lag',
+            'karo', 'kar', 'acha', 'accha', 'theek', 'thik'
+        ],
+
+        emotionKeywords: {
+            happy: {
+                keywords: [
+                    'khush', 'khushi', 'mast', 'badhiya', 'badiya', 'maza', 'mazaa', 'mazza', 'anand',
+                    'shandaar', 'zabardast', 'pyaar', 'pyar', 'sukoon', 'maza aa gaya', 'mazaa aa gaya', 'dil khush'
+                ],
+                intensifiers: ['bahut', 'bohot', 'bahot', 'bohat', 'kaafi', 'kafi', 'ekdum', 'bilkul', 'itna', 'itni']
+            },
+            sad: {
+                keywords: [
+                    'udaas', 'udas', 'dukhi', 'dukh', 'rona', 'roya', 'royi', 'rone', 'akela', 'akeli', 'tanha',
+                    'niraash', 'nirash', 'toota', 'tuta', 'tooti', 'tuti', 'bura', 'gham', 'dard', 'mayoos',
+                    'mood off', 'dil toot gaya', 'dil tut gaya', 'mann nahi lag raha', 'man nahi lag raha'
+                ],
+                intensifiers: ['bahut', 'bohot', 'bahot', 'bohat', 'kaafi', 'kafi', 'ekdum', 'bilkul', 'itna', 'itni']
+            },
+            angry: {
+                keywords: [
+                    'gussa', 'gusse', 'ghussa', 'naraz', 'naraaz', 'chidh', 'chidha', 'chidhi', 'nafrat',
+                    'khafa', 'bakwaas', 'bakwas', 'dimaag kharab', 'dimag kharab'
+                ],
+                intensifiers: ['bahut', 'bohot', 'bahot', 'bohat', 'kaafi', 'kafi', 'ekdum', 'bilkul', 'itna', 'itni']
+            },
+            anxious: {
+                keywords: [
+                    'tension', 'chinta', 'pareshan', 'pareshaan', 'darr', 'dar', 'darta', 'darti', 'ghabrahat',
+                    'ghabra', 'ghabraya', 'bechain', 'bechaini', 'dar lag raha', 'darr lag raha', 'neend nahi aa rahi'
+                ],
+                intensifiers: ['bahut', 'bohot', 'bahot', 'bohat', 'kaafi', 'kafi', 'ekdum', 'bilkul', 'itna', 'itni']
+            },
+            neutral: {
+                keywords: ['theek', 'thik', 'acha', 'accha', 'achha', 'chalta', 'haan', 'han'],
+                intensifiers: []
+            }
+        },
+
+        dismissivePhrases: [
+            'main theek hoon',
+            'main thik hoon',
+            'main theek hu',
+            'main thik hu',
+            'mai theek hu',
+            'mai thik hu',
+            'sab theek hai',
+            'sab thik hai',
+            'kuch nahi',
+            'koi baat nahi',
+            'chhodo',
+            'chodo',
+            'tension mat lo',
+            'chinta mat karo',
+            'rehne do'
+        ],
+
+        negationWords: ['nahi', 'nahin', 'nhi', 'nai', 'mat', 'na'],
+
+        contrastWords: ['lekin', 'magar', 'par']
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = lexicon;
+    } else {
+        window.EmotionLexicons = window.EmotionLexicons || {};
+        window.EmotionLexicons[lexicon.language] = lexicon;
+    }
+})();
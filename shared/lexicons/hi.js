@@ -0,0 +1,76 @@
+/**
+ * HI.JS - Hindi lexicon (Devanagari)
+ * Loaded by shared/lexicons/index.js on the server and by a <script> tag in the browser.
+ * Hindi messages often mix in English and romanised Hindi words, so those lexicons are used alongside.
+ */
+
+(function () {
+    const lexicon = {
+        language: 'hi',
+        name: 'हिन्दी',
+        script: 'Deva',
+        speechLang: 'hi-IN',
+        // "खुश नहीं हूँ": the negation follows the word it negates
+        negation: 'after',
+        mixesWith: ['en', 'hi-Latn'],
+
+        markers: ['है', 'हैं', 'हूँ', 'हूं', 'मैं', 'मेरा', 'मेरी', 'मुझे', 'क्या', 'और', 'भी', 'रहा', 'रही', 'था', 'थी'],
+
+        emotionKeywords: {
+            happy: {
+                keywords: [
+                    'खुश', 'ख़ुश', 'खुशी', 'ख़ुशी', 'प्रसन्न', 'आनंद', 'मज़ा', 'मजा', 'बढ़िया', 'शानदार',
+                    'प्यार', 'ज़बरदस्त', 'जबरदस्त', 'सुकून', 'मज़ा आ गया', 'मजा आ गया', 'दिल खुश'
+                ],
+                intensifiers: ['बहुत', 'काफी', 'काफ़ी', 'बेहद', 'एकदम', 'बिल्कुल', 'इतना', 'इतनी']
+            },
+            sad: {
+                keywords: [
+                    'उदास', 'दुखी', 'दुख', 'दुःख', 'रोना', 'रो', 'रोया', 'रोई', 'अकेला', 'अकेली', 'निराश',
+                    'टूटा', 'टूटी', 'दर्द', 'गम', 'ग़म', 'मायूस', 'बुरा', 'तन्हा', 'दिल टूट गया', 'मन नहीं लग रहा'
+                ],
+                intensifiers: ['बहुत', 'काफी', 'काफ़ी', 'बेहद', 'एकदम', 'बिल्कुल', 'इतना', 'इतनी']
+            },
+            angry: {
+                keywords: [
+                    'गुस्सा', 'ग़ुस्सा', 'गुस्से', 'नाराज़', 'नाराज', 'क्रोध', 'नफरत', 'नफ़रत', 'चिढ़', 'खफ़ा', 'खफा',
+                    'बकवास', 'दिमाग खराब', 'दिमाग़ ख़राब'
+                ],
+                intensifiers: ['बहुत', 'काफी', 'काफ़ी', 'बेहद', 'एकदम', 'बिल्कुल', 'इतना', 'इतनी']
+            },
+            anxious: {
+                keywords: [
+                    'चिंता', 'चिंतित', 'परेशान', 'डर', 'डरा', 'डरी', 'घबराहट', 'घबरा', 'बेचैन', 'बेचैनी',
+                    'तनाव', 'टेंशन', 'डर लग रहा'
+                ],
+                intensifiers: ['बहुत', 'काफी', 'काफ़ी', 'बेहद', 'एकदम', 'बिल्कुल', 'इतना', 'इतनी']
+            },
+            neutral: {
+                keywords: ['ठीक', 'अच्छा', 'सामान्य', 'हाँ', 'हां'],
+                intensifiers: []
+            }
+        },
+
+        dismissivePhrases: [
+            'मैं ठीक हूँ',
+            'मैं ठीक हूं',
+            'सब ठीक है',
+            'कुछ नहीं',
+            'कोई बात नहीं',
+            'छोड़ो',
+            'चिंता मत करो',
+            'रहने दो'
+        ],
+
+        negationWords: ['नहीं', 'नही', 'न', 'ना', 'मत'],
+
+        contrastWords: ['लेकिन', 'मगर', 'पर', 'किंतु']
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = lexicon;
+    } else {
+        window.EmotionLexicons = window.EmotionLexicons || {};
+        window.EmotionLexicons[lexicon.language] = lexicon;
+    }
+})();
@@ -0,0 +1,40 @@
+/**
+ * LEXICONS - Per-language emotion vocabularies for TextEmotionAnalyzer
+ *
+ * Each lexicon file is shared with the browser (loaded with a <script> tag into window.EmotionLexicons) and holds:
+ *   language          Tag used for the user's language preference ('en', 'hi', 'bn', 'es', 'hi-Latn')
+ *   name              Name shown in the language picker
+ *   script            Writing system: 'Latn', 'Deva' (Devanagari) or 'Beng' (Bengali)
+ *   speechLang        Speech recognition language
+ *   negation          'before' or 'after': which side of an emotion word its negation sits
+ *   mixesWith         Lexicons whose words are also counted (code-mixed messages)
+ *   markers           Common words used to detect the language
+ *   letters           Optional regex of letters only this language uses among its script
+ *   emotionKeywords   <emotion> (see shared/taxonomy.js) -> { keywords, intensifiers }; emotions may be left out,
+ *                     keywords may be emoji or multi-word expressions ("fed up"),
+ *                     emoji count whatever the message's language
+ *   dimensions        Optional keyword -> [valence, arousal] (-1 .. 1) for keywords that sit apart from their
+ *                     emotion's usual point ("furious" is more activated than "annoyed")
+ *   dismissivePhrases Phrases that brush feelings off ("I'm fine")
+ *   negationWords
+ *   contrastWords     Words starting a new clause ("but"), which ends a negation's scope
+ *   contractions      Optional whole-word expansions ("can't" -> "can not")
+ *   contractionSuffixes  Optional ending expansions ("n't" -> "not")
+ *
+ * The first lexicon is the fallback when nothing else can be detected.
+ */
+
+const LEXICONS = [
+    require('./en'),
+    require('./hi'),
+    require('./bn'),
+    require('./es'),
+    require('./hi-Latn')
+];
+
+const LANGUAGES = LEXICONS.map(lexicon => lexicon.language);
+
+module.exports = {
+    LEXICONS,
+    LANGUAGES
+};
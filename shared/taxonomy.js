@@ -0,0 +1,203 @@
+/**
+ * TAXONOMY.JS - The app's emotions
+ * One definition of every emotion label and how emotions relate, shared by the browser
+ * (served at /shared/taxonomy.js, window.EmotionTaxonomy) and the server (require('shared/taxonomy')).
+ * Validation, analytics, exports, the comparison tables and the UI all read it, so a new emotion
+ * only needs an entry here (plus lexicon keywords and template lines to be detected and answered).
+ *
+ * Each emotion has:
+ *   label          Name shown in the UI
+ *   icon           Emoji shown next to it
+ *   color          CSS color for charts and summaries
+ *   valence        Unpleasant -1 .. pleasant 1
+ *   arousal        Calm -1 .. activated 1
+ *   negative       A feeling the companion offers support for
+ *   description    How insights describe a stretch of it ("you've been mostly sad or down")
+ *   concernShare   Share of recent messages (%) above which a run of it is concerning, null if never
+ *   lowMood        A concerning run of it turns hopeless words into high risk (controllers/riskController.js)
+ *   intervention   What insights suggest once a concerning run of it passes `share` (%) of recent messages:
+ *                  { share, type, priority, message }, null if nothing
+ *
+ * A negative face behind dismissive words ("I'm fine") counts as hiding feelings.
+ */
+
+(function () {
+    const EMOTIONS = {
+        happy: {
+            label: 'Happy',
+            icon: '😊',
+            color: '#fbbf24',
+            valence: 0.8,
+            arousal: 0.5,
+            negative: false,
+            description: 'happy and positive',
+            concernShare: null,
+            lowMood: false,
+            intervention: null
+        },
+        sad: {
+            label: 'Sad',
+            icon: '😢',
+            color: '#60a5fa',
+            valence: -0.7,
+            arousal: -0.4,
+            negative: true,
+            description: 'sad or down',
+            concernShare: 60,
+            lowMood: true,
+            intervention: {
+                share: 70,
+                type: 'professional_help',
+                priority: 'high',
+                message: "I notice you've been feeling quite sad lately. It might help to talk to a counselor or therapist who can provide professional support."
+            }
+        },
+        angry: {
+            label: 'Angry',
+            icon: '😠',
+            color: '#f87171',
+            valence: -0.7,
+            arousal: 0.8,
+            negative: true,
+            description: 'frustrated or angry',
+            concernShare: 50,
+            lowMood: false,
+            intervention: {
+                share: 60,
+                type: 'stress_management',
+                priority: 'medium',
+                message: "You've been experiencing a lot of frustration. Consider trying stress-relief techniques like deep breathing, exercise, or talking to someone you trust."
+            }
+        },
+        anxious: {
+            label: 'Anxious',
+            icon: '😰',
+            color: '#a78bfa',
+            valence: -0.5,
+            arousal: 0.6,
+            negative: true,
+            description: 'worried or anxious',
+            concernShare: 60,
+            lowMood: true,
+            intervention: {
+                share: 70,
+                type: 'anxiety_support',
+                priority: 'high',
+                message: "Your anxiety levels seem elevated. Techniques like mindfulness, grounding exercises, or speaking with a mental health professional might help."
+            }
+        },
+        neutral: {
+            label: 'Neutral',
+            icon: '😐',
+            color: '#a1a1aa',
+            valence: 0,
+            arousal: 0,
+            negative: false,
+            description: 'relatively neutral',
+            concernShare: null,
+            lowMood: false,
+            intervention: null
+        }
+    };
+
+    // Used when nothing else applies (no keywords, unknown labels)
+    const FALLBACK = 'neutral';
+
+    // How compatible two emotions are (either order), 0 = highly incompatible .. 10 = the same emotion
+    const COMPATIBILITY = {
+        // Mild incompatibilities
+        'happy-neutral': 6,
+        'sad-neutral': 5,
+        'angry-neutral': 4,
+
+        // Moderate incompatibilities
+        'happy-anxious': 4,
+        'sad-anxious': 5,
+        'angry-anxious': 4,
+
+        // High incompatibilities (concerning)
+        'happy-sad': 2,
+        'happy-angry': 1,
+        'sad-angry': 3
+    };
+
+    const DEFAULT_COMPATIBILITY = 5;
+
+    // Face showing the first emotion while the words say the second: how severe (1-10) and whether it is
+    // concerning (the face shows something the words deny)
+    const MISMATCHES = {
+        'sad-happy': { severity: 9, concerning: true },       // Pretending to be happy
+        'sad-neutral': { severity: 7, concerning: true },     // Hiding sadness
+        'angry-happy': { severity: 9, concerning: true },     // Pretending to be happy
+        'angry-neutral': { severity: 7, concerning: true },   // Suppressing anger
+        'anxious-happy': { severity: 9, concerning: true },   // Pretending to be happy
+        'anxious-neutral': { severity: 7, concerning: true }, // Hiding fear
+        'sad-angry': { severity: 5, concerning: true },       // Mixed emotions
+        'angry-sad': { severity: 5, concerning: true },       // Mixed emotions
+        'sad-anxious': { severity: 5, concerning: true },     // Mixed emotions
+        'anxious-sad': { severity: 5, concerning: true },     // Mixed emotions
+        'angry-anxious': { severity: 5, concerning: true },   // Mixed emotions
+        'anxious-angry': { severity: 5, concerning: true },   // Mixed emotions
+        'neutral-sad': { severity: 3, concerning: false },    // Mild concern
+        'neutral-angry': { severity: 3, concerning: false },  // Mild concern
+        'neutral-anxious': { severity: 3, concerning: false }, // Mild concern
+        'happy-sad': { severity: 6, concerning: false },      // Unusual - needs attention
+        'happy-angry': { severity: 6, concerning: false },    // Unusual - needs attention
+        'happy-anxious': { severity: 6, concerning: false }   // Unusual - needs attention
+    };
+
+    const DEFAULT_MISMATCH = { severity: 2, concerning: false };
+
+    const taxonomy = {
+        EMOTIONS,
+        FALLBACK,
+
+        // Emotion names in display order
+        names: Object.keys(EMOTIONS),
+
+        negative: Object.keys(EMOTIONS).filter(emotion => EMOTIONS[emotion].negative),
+
+        lowMood: Object.keys(EMOTIONS).filter(emotion => EMOTIONS[emotion].lowMood),
+
+        /**
+         * Definition of an emotion, the fallback's for unknown names
+         */
+        get(emotion) {
+            return EMOTIONS[emotion] || EMOTIONS[FALLBACK];
+        },
+
+        isNegative(emotion) {
+            return Boolean(EMOTIONS[emotion] && EMOTIONS[emotion].negative);
+        },
+
+        isLowMood(emotion) {
+            return Boolean(EMOTIONS[emotion] && EMOTIONS[emotion].lowMood);
+        },
+
+        /**
+         * { <emotion>: value } for every emotion, e.g. zeroed counters
+         */
+        each(value) {
+            return Object.fromEntries(Object.keys(EMOTIONS).map(emotion => [emotion, value]));
+        },
+
+        compatibility(a, b) {
+            if (a === b) return 10;
+            const score = COMPATIBILITY[`${a}-${b}`] !== undefined ? COMPATIBILITY[`${a}-${b}`] : COMPATIBILITY[`${b}-${a}`];
+            return score !== undefined ? score : DEFAULT_COMPATIBILITY;
+        },
+
+        /**
+         * { severity, concerning } of a face emotion over different words
+         */
+        mismatch(face, text) {
+            return MISMATCHES[`${face}-${text}`] || DEFAULT_MISMATCH;
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = taxonomy;
+    } else {
+        window.EmotionTaxonomy = taxonomy;
+    }
+})();
@@ -0,0 +1,116 @@
+/**
+ * TOKENIZER.JS - Splits text into tokens for emotion analysis
+ * Shared by the browser (served at /shared/tokenizer.js) and the server (require('shared/tokenizer')).
+ *
+ * Token types:
+ *   word      Letters, combining marks and digits, with inner apostrophes and hyphens ("don't", "so-so")
+ *   emoji     One emoji, including ZWJ sequences; skin tones and variation selectors are dropped ("❤️" -> "❤")
+ *   emoticon  A text face turned into the matching emoji (":)" -> "😊", "</3" -> "💔")
+ *   break     Punctuation that ends a clause (. , ! ? ; : and dashes)
+ */
+
+(function () {
+    // Emoticons and the emoji they stand for, matched before the text is lower-cased (":D" is not ":d")
+    const EMOTICONS = {
+        ':)': '😊', ':-)': '😊', '=)': '😊', ':]': '😊', '(:': '😊', '^_^': '😊', '^^': '😊',
+        ':D': '😄', ':-D': '😄', '=D': '😄', 'xD': '😄', 'XD': '😄',
+        ';)': '😉', ';-)': '😉',
+        ':(': '😞', ':-(': '😞', '=(': '😞', ':[': '😞', '):': '😞',
+        ":'(": '😢', ":'-(": '😢', ';(': '😢', 'T_T': '😢', ';_;': '😢',
+        '>:(': '😠', '>:-(': '😠',
+        'D:': '😨',
+        ':/': '😕', ':-/': '😕', ':\\': '😕',
+        ':|': '😐', ':-|': '😐',
+        '<3': '❤', '</3': '💔'
+    };
+
+    // Longest first, so ">:(" wins over ":("
+    const EMOTICON_LIST = Object.keys(EMOTICONS).sort((a, b) => b.length - a.length);
+
+    const TOKEN_PATTERN = new RegExp([
+        '(\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier})*(?:\\u200D\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier})*)*)',
+        "([\\p{L}\\p{M}\\p{N}]+(?:['\\-][\\p{L}\\p{M}\\p{N}]+)*)",
+        '([.,!?;:\\u2013\\u2014\\u0964\\u00BF\\u00A1]+)'
+    ].join('|'), 'gu');
+
+    /**
+     * Lower-case text in one Unicode form, with curly apostrophes made straight,
+     * so "ख़ुश" typed two different ways and "don’t" / "don't" compare equal
+     */
+    function normalizeText(text) {
+        return String(text || '').normalize('NFC').toLowerCase().replace(/[‘’ʼ]/g, "'").trim();
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Array} - [{ type: 'word'|'emoji'|'emoticon'|'break', text }]
+     */
+    function tokenize(text) {
+        const tokens = [];
+
+        String(text || '').normalize('NFC').replace(/[‘’ʼ]/g, "'").split(/\s+/).forEach(chunk => {
+            if (!chunk) return;
+
+            // A chunk may open or close with a text face ("great:)" or ":)!!")
+            const leading = EMOTICON_LIST.find(face => chunk.startsWith(face));
+            if (leading) {
+                tokens.push({ type: 'emoticon', text: EMOTICONS[leading] });
+                chunk = chunk.slice(leading.length);
+            }
+            const trailing = chunk && EMOTICON_LIST.find(face => chunk.endsWith(face) && chunk.length > face.length);
+            if (trailing) chunk = chunk.slice(0, -trailing.length);
+
+            for (const match of chunk.toLowerCase().matchAll(TOKEN_PATTERN)) {
+                if (match[1]) tokens.push({ type: 'emoji', text: stripEmojiModifiers(match[1]) });
+                else if (match[2]) tokens.push({ type: 'word', text: match[2] });
+                else tokens.push({ type: 'break', text: match[3] });
+            }
+
+            if (trailing) tokens.push({ type: 'emoticon', text: EMOTICONS[trailing] });
+        });
+
+        return tokens;
+    }
+
+    /**
+     * Replace contracted words with their full forms using a lexicon's tables:
+     *   contractions         whole words ("can't" -> "can not", "im" -> "i am")
+     *   contractionSuffixes  endings ("n't" -> "not", "'re" -> "are", "'s" -> nothing)
+     */
+    function expandContractions(tokens, { contractions = {}, contractionSuffixes = {} } = {}) {
+        const suffixes = Object.keys(contractionSuffixes).sort((a, b) => b.length - a.length);
+
+        return tokens.flatMap(token => {
+            if (token.type !== 'word') return [token];
+
+            const whole = contractions[token.text];
+            if (whole !== undefined) return words(whole);
+
+            const suffix = suffixes.find(ending => token.text.endsWith(ending) && token.text.length > ending.length);
+            if (suffix) return words(`${token.text.slice(0, -suffix.length)} ${contractionSuffixes[suffix]}`);
+
+            return [token];
+        });
+    }
+
+    function words(text) {
+        return text.split(' ').filter(Boolean).map(word => ({ type: 'word', text: word }));
+    }
+
+    function stripEmojiModifiers(emoji) {
+        return emoji.replace(/\uFE0F|\p{Emoji_Modifier}/gu, '');
+    }
+
+    const Tokenizer = {
+        EMOTICONS,
+        normalizeText,
+        tokenize,
+        expandContractions
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Tokenizer;
+    } else {
+        window.EmotionTokenizer = Tokenizer;
+    }
+})();
@@ -0,0 +1,55 @@
+/**
+ * CREDENTIALS UTILITY
+ * Password hashing and auth token helpers (Node's built-in crypto, no extra dependencies)
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, expected] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+/**
+ * Random bearer token handed to the client
+ */
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Tokens are only stored hashed, so a database dump cannot be replayed as a login
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken
+};
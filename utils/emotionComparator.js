@@ -3,49 +3,14 @@
  * Advanced emotion comparison and pattern detection
  */
 
-/**
- * Emotion compatibility matrix
- * Defines how compatible different emotions are with each other
- * 0 = highly incompatible, 10 = perfectly compatible
- */
-const EMOTION_COMPATIBILITY = {
-    'happy-happy': 10,
-    'sad-sad': 10,
-    'angry-angry': 10,
-    'neutral-neutral': 10,
-    'anxious-anxious': 10,
-    
-    // Mild incompatibilities
-    'happy-neutral': 6,
-    'neutral-happy': 6,
-    'sad-neutral': 5,
-    'neutral-sad': 5,
-    'angry-neutral': 4,
-    'neutral-angry': 4,
-    
-    // Moderate incompatibilities
-    'happy-anxious': 4,
-    'anxious-happy': 4,
-    'sad-anxious': 5,
-    'anxious-sad': 5,
-    
-    // High incompatibilities (concerning)
-    'happy-sad': 2,
-    'sad-happy': 2,
-    'happy-angry': 1,
-    'angry-happy': 1,
-    'sad-angry': 3,
-    'angry-sad': 3,
-    'angry-anxious': 4,
-    'anxious-angry': 4
-};
+const taxonomy = require('../shared/taxonomy');
 
 /**
  * Get compatibility score between two emotions
+ * 0 = highly incompatible, 10 = perfectly compatible (see shared/taxonomy.js)
  */
 function getCompatibilityScore(emotion1, emotion2) {
-    const key = `${emotion1}-${emotion2}`;
-    return EMOTION_COMPATIBILITY[key] || 5; // Default to moderate compatibility
+    return taxonomy.compatibility(emotion1, emotion2);
 }
 
 /**
@@ -62,13 +27,7 @@ function detectEmotionalPattern(emotionHistory) {
     }
     
     // Count each emotion
-    const counts = {
-        happy: 0,
-        sad: 0,
-        angry: 0,
-        neutral: 0,
-        anxious: 0
-    };
+    const counts = taxonomy.each(0);
     
     emotionHistory.forEach(entry => {
         const emotion = entry.emotion || entry.text_emotion;
@@ -78,7 +37,7 @@ function detectEmotionalPattern(emotionHistory) {
     });
     
     // Find dominant emotion
-    let dominantEmotion = 'neutral';
+    let dominantEmotion = taxonomy.FALLBACK;
     let maxCount = 0;
     
     for (const [emotion, count] of Object.entries(counts)) {
@@ -91,18 +50,17 @@ function detectEmotionalPattern(emotionHistory) {
     const totalEntries = emotionHistory.length;
     const dominancePercentage = (maxCount / totalEntries) * 100;
     
-    // Detect concerning patterns
-    const isConcerning = 
-        (dominantEmotion === 'sad' && dominancePercentage > 60) ||
-        (dominantEmotion === 'angry' && dominancePercentage > 50) ||
-        (dominantEmotion === 'anxious' && dominancePercentage > 60);
+    // Detect concerning patterns: a run of one emotion above its concern share
+    const { concernShare } = taxonomy.get(dominantEmotion);
+    const isConcerning = concernShare !== null && dominancePercentage > concernShare;
     
-    // Detect trend (improving/declining)
+    // Detect trend (improving/declining) from the pleasant emotions
     const recentEmotions = emotionHistory.slice(-5);
     const olderEmotions = emotionHistory.slice(0, Math.min(5, emotionHistory.length - 5));
     
-    const recentPositive = recentEmotions.filter(e => e.emotion === 'happy' || e.text_emotion === 'happy').length;
-    const olderPositive = olderEmotions.filter(e => e.emotion === 'happy' || e.text_emotion === 'happy').length;
+    const isPositive = entry => taxonomy.get(entry.emotion || entry.text_emotion).valence > 0;
+    const recentPositive = recentEmotions.filter(isPositive).length;
+    const olderPositive = olderEmotions.filter(isPositive).length;
     
     let trend = 'stable';
     if (recentPositive > olderPositive + 1) trend = 'improving';
@@ -170,27 +128,13 @@ function suggestIntervention(emotionPattern, volatility) {
     
     // High concern patterns
     if (emotionPattern.concern) {
-        if (emotionPattern.pattern === 'sad' && emotionPattern.dominancePercentage > 70) {
-            interventions.push({
-                type: 'professional_help',
-                priority: 'high',
-                message: "I notice you've been feeling quite sad lately. It might help to talk to a counselor or therapist who can provide professional support."
-            });
-        }
-        
-        if (emotionPattern.pattern === 'angry' && emotionPattern.dominancePercentage > 60) {
-            interventions.push({
-                type: 'stress_management',
-                priority: 'medium',
-                message: "You've been experiencing a lot of frustration. Consider trying stress-relief techniques like deep breathing, exercise, or talking to someone you trust."
-            });
-        }
-        
-        if (emotionPattern.pattern === 'anxious' && emotionPattern.dominancePercentage > 70) {
+        // Each emotion's suggestion is in shared/taxonomy.js
+        const { intervention } = taxonomy.get(emotionPattern.pattern);
+        if (intervention && emotionPattern.dominancePercentage > intervention.share) {
             interventions.push({
-                type: 'anxiety_support',
-                priority: 'high',
-                message: "Your anxiety levels seem elevated. Techniques like mindfulness, grounding exercises, or speaking with a mental health professional might help."
+                type: intervention.type,
+                priority: intervention.priority,
+                message: intervention.message
             });
         }
     }
@@ -227,15 +171,8 @@ function generateEmotionalInsight(emotionHistory) {
     const pattern = detectEmotionalPattern(emotionHistory);
     const volatility = calculateEmotionalVolatility(emotionHistory);
     
-    const emotionLabels = {
-        happy: 'happy and positive',
-        sad: 'sad or down',
-        angry: 'frustrated or angry',
-        anxious: 'worried or anxious',
-        neutral: 'relatively neutral'
-    };
-    
-    let insight = `Looking at your recent emotional state, you've been mostly ${emotionLabels[pattern.pattern] || 'balanced'}. `;
+    const description = taxonomy.EMOTIONS[pattern.pattern] ? taxonomy.EMOTIONS[pattern.pattern].description : 'balanced';
+    let insight = `Looking at your recent emotional state, you've been mostly ${description}. `;
     
     if (volatility.stable) {
         insight += "Your emotions have been fairly stable. ";
@@ -0,0 +1,130 @@
+/**
+ * ENCRYPTION UTILITY
+ * Envelope encryption for text columns (AES-256-GCM, Node's built-in crypto)
+ *
+ * Every value gets its own random data key. The value is encrypted with the data key,
+ * and the data key is wrapped with a master key from config/encryption.js:
+ *   "enc$v1$<master key id>$<wrapped data key>$<encrypted value>"
+ * Rotating the master key only rewraps the data keys, the encrypted values stay as they are.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc$v1$';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Encrypt with AES-256-GCM
+ * @returns {string} - base64 of iv | auth tag | ciphertext
+ */
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+    const data = Buffer.from(sealed, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+class FieldCipher {
+    /**
+     * @param {Object} options - { keys: Map<id, Buffer>, activeKeyId }
+     *   Without an active key, new values are stored as plaintext (existing ones can still be read)
+     */
+    constructor({ keys = new Map(), activeKeyId = null } = {}) {
+        this.keys = keys;
+        this.activeKeyId = activeKeyId;
+    }
+
+    get enabled() {
+        return Boolean(this.activeKeyId);
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    /**
+     * @param {string} value - plaintext
+     * @param {string} field - e.g. 'conversations.user_text', binds the ciphertext to its column
+     */
+    encrypt(value, field) {
+        if (!this.enabled || typeof value !== 'string' || value === '' || this.isEncrypted(value)) {
+            return value;
+        }
+
+        const dataKey = crypto.randomBytes(KEY_LENGTH);
+        const wrapped = seal(this.masterKey(this.activeKeyId), dataKey, `${this.activeKeyId}:${field}`);
+        return `${PREFIX}${this.activeKeyId}$${wrapped}$${seal(dataKey, Buffer.from(value, 'utf8'), field)}`;
+    }
+
+    /**
+     * Plaintext of a stored value; values that were never encrypted come back unchanged
+     */
+    decrypt(value, field) {
+        if (!this.isEncrypted(value)) return value;
+
+        const { keyId, wrapped, payload } = parse(value);
+        return open(this.unwrap(keyId, wrapped, field), payload, field).toString('utf8');
+    }
+
+    /**
+     * The value under the active master key: plaintext is encrypted, values under an older key are rewrapped
+     */
+    reencrypt(value, field) {
+        if (!this.enabled) {
+            throw new Error('No active encryption key configured');
+        }
+        if (!this.isEncrypted(value)) return this.encrypt(value, field);
+
+        const { keyId, wrapped, payload } = parse(value);
+        if (keyId === this.activeKeyId) return value;
+
+        const dataKey = this.unwrap(keyId, wrapped, field);
+        const rewrapped = seal(this.masterKey(this.activeKeyId), dataKey, `${this.activeKeyId}:${field}`);
+        return `${PREFIX}${this.activeKeyId}$${rewrapped}$${payload}`;
+    }
+
+    unwrap(keyId, wrapped, field) {
+        return open(this.masterKey(keyId), wrapped, `${keyId}:${field}`);
+    }
+
+    masterKey(keyId) {
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`Encryption key "${keyId}" is not configured`);
+        }
+        return key;
+    }
+}
+
+function parse(value) {
+    const [keyId, wrapped, payload] = value.slice(PREFIX.length).split('$');
+    if (!keyId || !wrapped || !payload) {
+        throw new Error('Malformed encrypted value');
+    }
+    return { keyId, wrapped, payload };
+}
+
+/**
+ * New random master key, base64 encoded for ENCRYPTION_KEYS
+ */
+function generateKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+module.exports = {
+    FieldCipher,
+    generateKey,
+    KEY_LENGTH
+};
@@ -0,0 +1,53 @@
+/**
+ * ERRORS UTILITY
+ * Error types that map to the API's error contract:
+ *   { success: false, error: { code, message, details? } }
+ */
+
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Stable machine-readable code, e.g. 'NOT_FOUND'
+     * @param {string} message - Human-readable message
+     * @param {Array} [details] - Extra information, e.g. field errors
+     */
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    static badRequest(message, code = 'BAD_REQUEST') {
+        return new ApiError(400, code, message);
+    }
+
+    static unauthorized(message = 'Authentication required', code = 'UNAUTHORIZED') {
+        return new ApiError(401, code, message);
+    }
+
+    static notFound(message = 'Not found', code = 'NOT_FOUND') {
+        return new ApiError(404, code, message);
+    }
+
+    static conflict(message, code = 'CONFLICT') {
+        return new ApiError(409, code, message);
+    }
+}
+
+/**
+ * Request input that failed schema validation
+ * details: [{ path: 'body.textEmotion.confidence', code: 'too_big', message }]
+ */
+class ValidationError extends ApiError {
+    constructor(details) {
+        super(400, 'VALIDATION_ERROR', 'Request validation failed', details);
+        this.name = 'ValidationError';
+    }
+}
+
+module.exports = {
+    ApiError,
+    ValidationError
+};
@@ -0,0 +1,48 @@
+/**
+ * LOGGER UTILITY
+ * Keeps personal data out of the logs: message text, replies, notes and credentials are replaced
+ * by their length before anything is printed. Set LOG_PII=true to log them in full while debugging locally.
+ */
+
+const SENSITIVE_KEYS = new Set([
+    'userText', 'user_text', 'aiResponse', 'ai_response', 'text', 'note', 'notes',
+    'password', 'password_hash', 'passwordHash', 'token', 'authorization'
+]);
+
+function logPii() {
+    return process.env.LOG_PII === 'true';
+}
+
+/**
+ * Copy of a value with every sensitive field masked, e.g. { userText: '[redacted 42 chars]' }
+ */
+function redact(value, depth = 0) {
+    if (logPii() || value === null || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    Object.entries(value).forEach(([key, field]) => {
+        copy[key] = SENSITIVE_KEYS.has(key) && field !== null && field !== undefined
+            ? `[redacted ${String(field).length} chars]`
+            : redact(field, depth + 1);
+    });
+    return copy;
+}
+
+/**
+ * An error reduced to what is safe to log: driver errors can carry the SQL parameters or the request body
+ */
+function redactError(error) {
+    if (logPii() || !(error instanceof Error)) return error;
+
+    const safe = new Error(error.message);
+    safe.name = error.name;
+    safe.stack = error.stack;
+    if (error.code) safe.code = error.code;
+    return safe;
+}
+
+module.exports = {
+    redact,
+    redactError
+};
@@ -0,0 +1,107 @@
+/**
+ * TIMEZONE UTILITY
+ * Calendar math in an IANA time zone using only Intl (no tz database dependency).
+ * Local dates are 'YYYY-MM-DD' strings so they can be compared and stepped without a Date.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * True for any zone name Intl understands, e.g. 'Asia/Kolkata' or 'UTC'
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @returns {{ year, month, day, hour, minute, second }} - month is 1-12
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+}
+
+/**
+ * Milliseconds the zone is ahead of UTC at an instant
+ */
+function getOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant at which a local date (and hour / minute) starts in a zone
+ * @param {string} localDate - 'YYYY-MM-DD'
+ */
+function zonedStartOf(localDate, timeZone, hour = 0, minute = 0) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Correct twice so a DST change between the guess and the answer is picked up
+    let instant = guess - getOffset(new Date(guess), timeZone);
+    instant = guess - getOffset(new Date(instant), timeZone);
+    return new Date(instant);
+}
+
+/**
+ * 'YYYY-MM-DD' of an instant in a zone
+ */
+function toLocalDate(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return formatDate(p.year, p.month, p.day);
+}
+
+function addDays(localDate, days) {
+    const d = new Date(Date.parse(`${localDate}T00:00:00Z`) + days * DAY_MS);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * 0 = Monday ... 6 = Sunday
+ */
+function isoWeekday(localDate) {
+    return (new Date(`${localDate}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+function formatDate(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    zonedStartOf,
+    toLocalDate,
+    addDays,
+    isoWeekday,
+    formatDate
+};